@@ -0,0 +1,92 @@
+// lib/amount.js - Parses disclosure amount ranges, owners and sale types
+//
+// Periodic Transaction Reports give amounts as bands ("$1,001 - $15,000",
+// "$1,000,001 +", "Over $50,000,000") rather than exact values, so trades store
+// the bounds plus a point estimate chosen by AMOUNT_ESTIMATE_METHOD:
+//   midpoint (default) | low | high | geometric
+// Open-ended bands have no upper bound; their estimate is the lower bound times
+// AMOUNT_OPEN_ENDED_MULTIPLIER (default 1.5).
+
+function parseDollars(text) {
+  const value = parseFloat(String(text).replace(/[$,\s]/g, ''));
+  return Number.isNaN(value) ? null : value;
+}
+
+function estimateAmount(low, high, method = process.env.AMOUNT_ESTIMATE_METHOD || 'midpoint') {
+  if (low === null) return 0;
+  if (high === null) {
+    return low * (parseFloat(process.env.AMOUNT_OPEN_ENDED_MULTIPLIER) || 1.5);
+  }
+
+  switch (method) {
+    case 'low':
+      return low;
+    case 'high':
+      return high;
+    case 'geometric':
+      return Math.sqrt(Math.max(low, 1) * high);
+    default:
+      return (low + high) / 2;
+  }
+}
+
+/**
+ * Parses an amount as disclosed. Accepts ranges, open-ended bands and plain numbers.
+ * Returns { low, high, estimate, range } where range is the original text for
+ * bands (null for exact amounts) and high is null for open-ended bands.
+ */
+function parseAmountRange(value, method) {
+  if (typeof value === 'number') {
+    return { low: value, high: value, estimate: value, range: null };
+  }
+
+  const text = String(value || '').trim();
+  const figures = (text.match(/\$?\s*\d[\d,]*(\.\d+)?/g) || []).map(parseDollars).filter(n => n !== null);
+
+  if (figures.length === 0) {
+    return { low: null, high: null, estimate: 0, range: text || null };
+  }
+
+  if (figures.length >= 2) {
+    const [low, high] = figures[0] <= figures[1] ? figures : [figures[1], figures[0]];
+    return { low, high, estimate: estimateAmount(low, high, method), range: text };
+  }
+
+  const low = figures[0];
+  if (/\+|over|more than|above/i.test(text)) {
+    return { low, high: null, estimate: estimateAmount(low, null, method), range: text };
+  }
+  return { low, high: low, estimate: low, range: /-|to/i.test(text) ? text : null };
+}
+
+// Maps disclosure owner codes to self / spouse / joint / child
+function normalizeOwner(owner) {
+  const value = String(owner || '').trim().toLowerCase();
+  if (!value || value === '--' || value === 'n/a') return null;
+  if (value.startsWith('self')) return 'self';
+  if (value.startsWith('spouse') || value === 'sp') return 'spouse';
+  if (value.startsWith('joint') || value === 'jt') return 'joint';
+  if (value.startsWith('child') || value.startsWith('dependent') || value === 'dc') return 'child';
+  return value;
+}
+
+function isPartialSale(type) {
+  return /partial/i.test(String(type || ''));
+}
+
+function formatDollars(value) {
+  return `$${Math.round(value).toLocaleString()}`;
+}
+
+// "$1,001 - $15,000 (est. $8,001)" for bands, "$250,000" for exact amounts
+function describeAmount(estimate, range) {
+  return range ? `${range} (est. ${formatDollars(estimate)})` : formatDollars(estimate);
+}
+
+module.exports = {
+  parseAmountRange,
+  estimateAmount,
+  normalizeOwner,
+  isPartialSale,
+  describeAmount
+};
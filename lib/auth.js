@@ -0,0 +1,48 @@
+// lib/auth.js - API key authentication, role checks and the CORS allow-list
+//
+// Clients send their key as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// EventSource can't set headers, so the event stream also accepts ?api_key=.
+// CORS_ORIGINS is a comma-separated list of origins allowed to call the API from a browser;
+// without it only the dashboard the bot serves itself (same origin) can.
+const { authenticateKey } = require('./users');
+
+const QUERY_KEY_PATHS = ['/api/events'];
+
+function requestKey(req) {
+  const header = req.get('authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  if (req.get('x-api-key')) return req.get('x-api-key').trim();
+  if (QUERY_KEY_PATHS.includes(req.baseUrl + req.path)) return req.query.api_key;
+  return null;
+}
+
+// Sets req.user or answers 401
+async function authenticate(req, res, next) {
+  try {
+    const user = await authenticateKey(requestKey(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Missing or invalid API key' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+}
+
+function corsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  return {
+    origin: origins.length > 0 ? origins : false,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  };
+}
+
+module.exports = { authenticate, requireAdmin, corsOptions };
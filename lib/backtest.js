@@ -0,0 +1,275 @@
+// lib/backtest.js - Replays historical disclosures against daily price history
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseCsv } = require('./csv');
+const { toIsoDate, addDays, daysBetween } = require('./dates');
+const { MIN_CONFIDENCE, orderSide, assetSignal, buildSignal, buildRebalancingPlan } = require('./engine');
+const { stalenessOptions, assessStaleness } = require('./staleness');
+const houseStockWatcher = require('./sources/house-stock-watcher');
+
+// ===== DATA LOADING =====
+// Loads House Stock Watcher transactions from a local JSON dump, or downloads them
+async function loadHistoricalTransactions(file) {
+  let records;
+  if (file) {
+    records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else {
+    console.log('🔍 Downloading House Stock Watcher history for backtest...');
+    const response = await axios.get(houseStockWatcher.url);
+    records = response.data;
+  }
+
+  return records
+    .map(record => houseStockWatcher.normalize(record))
+    .filter(trade => trade.Representative && trade.Ticker && trade.DisclosureDate)
+    .sort((a, b) => a.DisclosureDate.localeCompare(b.DisclosureDate));
+}
+
+// Reads <dir>/<SYMBOL>.csv files with Date and Close (or Adj Close) columns
+function loadPriceHistory(dir, symbols) {
+  const history = {};
+
+  for (const symbol of symbols) {
+    const file = path.join(dir, `${symbol}.csv`);
+    if (!fs.existsSync(file)) {
+      console.log(`⚠️ No price history for ${symbol} (${file})`);
+      continue;
+    }
+
+    const bars = parseCsv(fs.readFileSync(file, 'utf8'))
+      .map(row => ({
+        date: toIsoDate(row.Date || row.date || row.timestamp),
+        close: parseFloat(row['Adj Close'] || row.Close || row.close)
+      }))
+      .filter(bar => bar.date && bar.close > 0);
+
+    history[symbol] = new Map(bars.map(bar => [bar.date, bar.close]));
+  }
+
+  return history;
+}
+
+// ===== SIMULATION =====
+function createPortfolio(cash, targets) {
+  const positions = {};
+  for (const [symbol, targetAllocation] of Object.entries(targets)) {
+    positions[symbol] = { shares: 0, targetAllocation, currentValue: 0, currentPrice: 0 };
+  }
+  return { totalValue: cash, cash, positions, funded: new Set() };
+}
+
+function markToMarket(portfolio, prices, date) {
+  for (const [symbol, position] of Object.entries(portfolio.positions)) {
+    const close = prices[symbol]?.get(date);
+    if (close) position.currentPrice = close;
+    position.currentValue = position.shares * position.currentPrice;
+  }
+  portfolio.totalValue = portfolio.cash + Object.values(portfolio.positions)
+    .reduce((sum, pos) => sum + pos.currentValue, 0);
+}
+
+// Buys each target once, on the first day it has a price
+function fundInitialTargets(portfolio, initialCapital) {
+  for (const [symbol, position] of Object.entries(portfolio.positions)) {
+    if (portfolio.funded.has(symbol) || !position.currentPrice) continue;
+
+    const amount = Math.min(position.targetAllocation * initialCapital, portfolio.cash);
+    position.shares += amount / position.currentPrice;
+    position.currentValue = position.shares * position.currentPrice;
+    portfolio.cash -= amount;
+    portfolio.funded.add(symbol);
+  }
+}
+
+// First close on or after `date` within a week, for the member's trade-date price
+function closeOnOrAfter(symbolPrices, date) {
+  for (let offset = 0; symbolPrices && offset <= 7; offset++) {
+    const close = symbolPrices.get(addDays(date, offset));
+    if (close) return close;
+  }
+  return null;
+}
+
+function computeMetrics(curve, key) {
+  if (curve.length === 0) return null;
+
+  const start = curve[0][key];
+  const end = curve[curve.length - 1][key];
+  const years = Math.max(daysBetween(curve[0].date, curve[curve.length - 1].date), 1) / 365.25;
+
+  let peak = start;
+  let maxDrawdown = 0;
+  for (const point of curve) {
+    peak = Math.max(peak, point[key]);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - point[key]) / peak : 0);
+  }
+
+  return {
+    finalEquity: end,
+    totalReturn: start > 0 ? end / start - 1 : 0,
+    cagr: start > 0 && end > 0 ? Math.pow(end / start, 1 / years) - 1 : -1,
+    maxDrawdown
+  };
+}
+
+/**
+ * Simulates the recommendation engine over a date range.
+ * Signals becoming actionable on the same day (the first trading day at least
+ * `executionLagDays` after disclosure) are netted into one rebalancing plan and
+ * executed at that day's close; BUYs are capped by available cash.
+ */
+function runBacktest(options) {
+  const {
+    transactions,
+    prices,
+    from,
+    to,
+    targets,
+    initialCapital = 10000,
+    performers,
+    minConfidence = MIN_CONFIDENCE,
+    executionLagDays = 1,
+    staleness = stalenessOptions(),
+    benchmark
+  } = options;
+
+  if (!targets || Object.keys(targets).length === 0) {
+    throw new Error('Backtest needs at least one target allocation');
+  }
+  if (!performers || Object.keys(performers).length === 0) {
+    throw new Error('Backtest needs at least one followed trader');
+  }
+
+  const dates = [...new Set(
+    Object.keys(targets).flatMap(symbol => [...(prices[symbol]?.keys() || [])])
+  )]
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .sort();
+
+  if (dates.length === 0) {
+    throw new Error('No price history in the requested date range');
+  }
+
+  const portfolio = createPortfolio(initialCapital, targets);
+  const benchmarkTargets = benchmark && benchmark !== 'targets' ? { [benchmark]: 1 } : targets;
+  const benchmarkPortfolio = createPortfolio(initialCapital, benchmarkTargets);
+
+  const signals = transactions.filter(trade =>
+    trade.DisclosureDate >= addDays(dates[0], -executionLagDays) &&
+    trade.DisclosureDate <= dates[dates.length - 1]
+  );
+
+  const equityCurve = [];
+  const trades = [];
+  let signalIndex = 0;
+  let signalsConsidered = 0;
+  let totalTraded = 0;
+
+  for (const date of dates) {
+    markToMarket(portfolio, prices, date);
+    fundInitialTargets(portfolio, initialCapital);
+    markToMarket(benchmarkPortfolio, prices, date);
+    fundInitialTargets(benchmarkPortfolio, initialCapital);
+
+    // Every disclosure that becomes actionable today is netted into one plan, as in a live run
+    markToMarket(portfolio, prices, date);
+    const daySignals = [];
+    while (signalIndex < signals.length && addDays(signals[signalIndex].DisclosureDate, executionLagDays) <= date) {
+      const trade = signals[signalIndex++];
+      const position = portfolio.positions[trade.Ticker];
+      if (!performers[trade.Representative] || !position || !position.currentPrice) continue;
+
+      signalsConsidered++;
+      const assessment = assessStaleness({
+        tradeDate: trade.TransactionDate,
+        disclosureDate: trade.DisclosureDate,
+        transactionType: trade.Transaction,
+        direction: assetSignal(trade).direction,
+        tradePrice: closeOnOrAfter(prices[trade.Ticker], trade.TransactionDate),
+        currentPrice: position.currentPrice
+      }, staleness);
+      if (assessment.skip) continue;
+
+      const signal = buildSignal(trade, performers, assessment);
+      if (signal) daySignals.push(signal);
+    }
+
+    const plan = daySignals.length > 0 ? buildRebalancingPlan(daySignals, portfolio, { minConfidence }) : { orders: [] };
+    for (const order of plan.orders) {
+      const position = portfolio.positions[order.symbol];
+      const side = orderSide(order.action);
+      const amount = side === 'BUY'
+        ? Math.min(order.recommendedAmount, portfolio.cash)
+        : Math.min(order.recommendedAmount, position.currentValue);
+      if (amount <= 0) continue;
+
+      const shares = amount / position.currentPrice;
+      position.shares += side === 'BUY' ? shares : -shares;
+      position.currentValue = position.shares * position.currentPrice;
+      portfolio.cash += side === 'BUY' ? -amount : amount;
+      totalTraded += amount;
+
+      trades.push({
+        date,
+        disclosureDate: order.trade ? order.trade.DisclosureDate : null,
+        trader: order.members.join(', '),
+        members: order.members,
+        symbol: order.symbol,
+        action: order.action,
+        price: position.currentPrice,
+        shares,
+        amount,
+        confidence: order.confidence,
+        reason: order.reason
+      });
+    }
+
+    markToMarket(portfolio, prices, date);
+    equityCurve.push({
+      date,
+      equity: portfolio.totalValue,
+      cash: portfolio.cash,
+      benchmark: benchmarkPortfolio.totalValue
+    });
+  }
+
+  const strategy = computeMetrics(equityCurve, 'equity');
+  const benchmarkMetrics = computeMetrics(equityCurve, 'benchmark');
+  const averageEquity = equityCurve.reduce((sum, point) => sum + point.equity, 0) / equityCurve.length;
+  const years = Math.max(daysBetween(dates[0], dates[dates.length - 1]), 1) / 365.25;
+  const turnover = averageEquity > 0 ? totalTraded / averageEquity : 0;
+
+  return {
+    parameters: { from: dates[0], to: dates[dates.length - 1], initialCapital, targets, minConfidence, executionLagDays, benchmark: benchmark || 'targets' },
+    summary: {
+      ...strategy,
+      turnover,
+      annualizedTurnover: turnover / years,
+      signalsConsidered,
+      tradesExecuted: trades.length
+    },
+    benchmark: { name: benchmark && benchmark !== 'targets' ? `${benchmark} buy-and-hold` : 'Initial targets buy-and-hold', ...benchmarkMetrics },
+    excessReturn: strategy.totalReturn - benchmarkMetrics.totalReturn,
+    equityCurve,
+    trades
+  };
+}
+
+// Loads transactions and CSV prices, then runs the simulation
+async function runBacktestFromFiles(options) {
+  const { pricesDir, transactionsFile, targets, benchmark } = options;
+  const symbols = Object.keys(targets || {});
+  if (benchmark && benchmark !== 'targets') symbols.push(benchmark);
+
+  const prices = loadPriceHistory(pricesDir, [...new Set(symbols)]);
+  const transactions = await loadHistoricalTransactions(transactionsFile);
+  return runBacktest({ ...options, prices, transactions });
+}
+
+module.exports = {
+  loadHistoricalTransactions,
+  loadPriceHistory,
+  runBacktest,
+  runBacktestFromFiles
+};
@@ -0,0 +1,90 @@
+// lib/brokerage/fidelity.js - Fidelity "Portfolio Positions" and "Account History" CSV exports
+//
+// Positions aggregate every account in the file. Core money market funds (symbols ending
+// in "**", e.g. SPAXX**) and the "Pending Activity" row count as cash.
+const {
+  parseAmount, parseDate, normalizeSymbol, isTicker, csvRecords, pick, assignActivityIds, emptyStatement
+} = require('./normalize');
+
+const POSITION_COLUMNS = ['Symbol', 'Quantity', 'Current Value'];
+const ACTIVITY_COLUMNS = ['Run Date', 'Action', 'Symbol', 'Amount ($)'];
+
+// Fidelity describes each row in free text, e.g. "YOU BOUGHT NVIDIA CORP (NVDA) (Cash)"
+function activityAction(text, amount) {
+  const action = text.toUpperCase();
+  if (/^(YOU )?BOUGHT|^REINVESTMENT/.test(action)) return 'BUY';
+  if (/^(YOU )?SOLD/.test(action)) return 'SELL';
+  if (/DIVIDEND|INTEREST|CAP GAIN/.test(action)) return 'DIVIDEND';
+  if (/FEE/.test(action)) return 'FEE';
+  if (/TRANSFER|CONTRIBUTION|DEPOSIT|WITHDRAWAL|DISTRIBUTION|DIRECT DEBIT/.test(action)) {
+    return amount < 0 ? 'WITHDRAWAL' : 'DEPOSIT';
+  }
+  return 'OTHER';
+}
+
+function parsePositions(records) {
+  const statement = emptyStatement('fidelity', 'positions');
+  const bySymbol = {};
+  let cash = 0;
+
+  for (const record of records) {
+    const symbol = normalizeSymbol(record.Symbol);
+    const value = parseAmount(record['Current Value']) || 0;
+    if (symbol === 'PENDING ACTIVITY' || symbol.endsWith('**')) {
+      cash += value;
+      continue;
+    }
+    if (!isTicker(symbol)) {
+      if (symbol) statement.warnings.push(`Skipped ${symbol}: not a stock or ETF ticker`);
+      continue;
+    }
+
+    const shares = parseAmount(record.Quantity) || 0;
+    const price = parseAmount(pick(record, 'Last Price', 'Last price'));
+    const position = bySymbol[symbol] = bySymbol[symbol] || { symbol, shares: 0, price, value: 0 };
+    position.shares += shares;
+    position.value += value;
+  }
+
+  statement.positions = Object.values(bySymbol);
+  statement.cash = cash;
+  return statement;
+}
+
+function parseActivity(records) {
+  const statement = emptyStatement('fidelity', 'activity');
+  for (const record of records) {
+    const date = parseDate(record['Run Date']);
+    if (!date) continue;
+    const amount = parseAmount(record['Amount ($)']) || 0;
+    const symbol = normalizeSymbol(record.Symbol);
+    statement.activity.push({
+      date,
+      action: activityAction(record.Action, amount),
+      symbol: isTicker(symbol) ? symbol : null,
+      shares: Math.abs(parseAmount(record.Quantity) || 0),
+      price: parseAmount(pick(record, 'Price ($)', 'Price')),
+      amount,
+      description: record.Action
+    });
+  }
+  assignActivityIds('fidelity', statement.activity);
+  return statement;
+}
+
+module.exports = {
+  name: 'fidelity',
+  label: 'Fidelity (Portfolio Positions / Account History CSV)',
+
+  detect(text) {
+    return csvRecords(text, POSITION_COLUMNS) !== null || csvRecords(text, ACTIVITY_COLUMNS) !== null;
+  },
+
+  parse(text) {
+    const activity = csvRecords(text, ACTIVITY_COLUMNS);
+    if (activity) return parseActivity(activity);
+    const positions = csvRecords(text, POSITION_COLUMNS);
+    if (positions) return parsePositions(positions);
+    throw new Error('Not a Fidelity positions or history export');
+  }
+};
@@ -0,0 +1,210 @@
+// lib/brokerage/index.js - Brokerage statement imports: parse, store, reconcile
+//
+// A format module exports:
+//   name          stored in brokerage_imports.format
+//   label         display name
+//   detect(text)  true if the file looks like this format
+//   parse(text)   -> statement:
+//     { format, kind: 'positions' | 'activity', asOf, positions: [{ symbol, shares, price, value }],
+//       cash, activity: [{ id, date, action, symbol, shares, price, amount, description }], warnings }
+//
+// Positions statements are snapshots: they replace stored share counts (and cash, when
+// the file has it). Activity statements are deltas: each transaction not imported before
+// moves shares (BUY / SELL / SPLIT) and cash (its signed amount).
+const { run, get, all } = require('../db');
+
+const FORMATS = [
+  require('./ofx'),
+  require('./robinhood'),
+  require('./fidelity'),
+  require('./schwab')
+];
+
+// Share and cash differences below these are rounding, not a mismatch
+const SHARE_TOLERANCE = 1e-6;
+const CASH_TOLERANCE = 0.005;
+
+function listFormats() {
+  return FORMATS.map(format => ({ name: format.name, label: format.label }));
+}
+
+// Returns { statement } or { error }
+function parseStatement(text, formatName) {
+  const format = formatName
+    ? FORMATS.find(candidate => candidate.name === formatName)
+    : FORMATS.find(candidate => candidate.detect(text));
+  if (!format) {
+    return {
+      error: formatName
+        ? `format must be one of: ${FORMATS.map(candidate => candidate.name).join(', ')}`
+        : 'Unrecognized file: expected a Fidelity, Schwab or Robinhood CSV export or an OFX statement'
+    };
+  }
+
+  try {
+    const statement = format.parse(text);
+    if (statement.positions.length === 0 && statement.activity.length === 0 && statement.cash === null) {
+      return { error: `No positions or transactions found in the ${format.name} file` };
+    }
+    return { statement };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Compares a statement with `portfolio` (server.js's userPortfolio). `seenIds` holds the
+ * activity ids already applied. Returns
+ * { kind, asOf, positions: [{ symbol, storedShares, importedShares, change, price, status }],
+ *   cash: { stored, imported, change } | null, activity, newActivityIds, warnings }
+ */
+function reconcile(statement, portfolio, seenIds = new Set()) {
+  const warnings = [...statement.warnings];
+  const imported = {};
+  let importedCash = statement.cash;
+  let activity = null;
+  let newActivityIds = [];
+
+  if (statement.kind === 'positions') {
+    for (const position of statement.positions) {
+      imported[position.symbol] = { shares: position.shares, price: position.price };
+    }
+    // Holdings missing from a snapshot were sold or moved out
+    for (const [symbol, position] of Object.entries(portfolio.positions)) {
+      if (!imported[symbol] && position.shares > SHARE_TOLERANCE) {
+        imported[symbol] = { shares: 0, price: position.currentPrice };
+      }
+    }
+  } else {
+    const fresh = statement.activity.filter(item => !seenIds.has(item.id));
+    newActivityIds = fresh.map(item => item.id);
+    let cashChange = 0;
+
+    for (const item of fresh) {
+      cashChange += item.amount || 0;
+      const sign = { BUY: 1, SELL: -1, SPLIT: 1 }[item.action];
+      if (!sign || !item.shares) continue;
+      if (!item.symbol) {
+        warnings.push(`${item.date} ${item.action} "${item.description}" has no stock ticker; shares not applied`);
+        continue;
+      }
+      const entry = imported[item.symbol] = imported[item.symbol] || {
+        shares: portfolio.positions[item.symbol] ? portfolio.positions[item.symbol].shares : 0,
+        price: null
+      };
+      entry.shares += sign * item.shares;
+      if (item.price > 0) entry.price = item.price;
+    }
+
+    for (const [symbol, entry] of Object.entries(imported)) {
+      if (entry.shares < -SHARE_TOLERANCE) {
+        warnings.push(`${symbol} would go to ${entry.shares.toFixed(4)} shares; earlier activity is probably missing, so it is set to 0`);
+      }
+      entry.shares = Math.max(entry.shares, 0);
+    }
+
+    importedCash = fresh.length > 0 ? portfolio.cash + cashChange : null;
+    activity = {
+      total: statement.activity.length,
+      new: fresh.length,
+      alreadyImported: statement.activity.length - fresh.length,
+      from: fresh.length > 0 ? fresh[0].date : null,
+      to: fresh.length > 0 ? fresh[fresh.length - 1].date : null
+    };
+  }
+
+  const positions = Object.entries(imported).map(([symbol, entry]) => {
+    const storedShares = portfolio.positions[symbol] ? portfolio.positions[symbol].shares : 0;
+    const change = entry.shares - storedShares;
+    let status = 'unchanged';
+    if (Math.abs(change) > SHARE_TOLERANCE) {
+      status = storedShares <= SHARE_TOLERANCE ? 'added' : entry.shares <= SHARE_TOLERANCE ? 'removed' : 'changed';
+    }
+    return { symbol, storedShares, importedShares: entry.shares, change, price: entry.price, status };
+  }).sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  const cash = importedCash === null || importedCash === undefined
+    ? null
+    : { stored: portfolio.cash, imported: importedCash, change: importedCash - portfolio.cash };
+  if (cash && Math.abs(cash.change) <= CASH_TOLERANCE) cash.change = 0;
+
+  return { kind: statement.kind, asOf: statement.asOf, positions, cash, activity, newActivityIds, warnings };
+}
+
+function hasChanges(diff) {
+  return diff.positions.some(position => position.status !== 'unchanged') ||
+    (diff.cash !== null && diff.cash.change !== 0) ||
+    diff.newActivityIds.length > 0;
+}
+
+// ===== STORAGE =====
+async function seenActivityIds(userId, ids) {
+  if (ids.length === 0) return new Set();
+  const rows = await all(
+    `SELECT id FROM brokerage_activity WHERE user_id = ? AND id IN (${ids.map(() => '?').join(',')})`,
+    [userId, ...ids]
+  );
+  return new Set(rows.map(row => row.id));
+}
+
+async function createImport(userId, { filename, statement }) {
+  const saved = await run(
+    `INSERT INTO brokerage_imports (user_id, format, kind, filename, as_of, statement, status)
+     VALUES (?, ?, ?, ?, ?, ?, 'preview')`,
+    [userId, statement.format, statement.kind, filename || null, statement.asOf, JSON.stringify(statement)]
+  );
+  return saved.lastID;
+}
+
+function parseImport(row) {
+  if (!row) return null;
+  const { statement, diff, ...rest } = row;
+  return { ...rest, statement: JSON.parse(statement), diff: diff ? JSON.parse(diff) : null };
+}
+
+// Imports belong to the user who uploaded them; other users' ids read as not found
+async function getImport(userId, id) {
+  return parseImport(await get('SELECT * FROM brokerage_imports WHERE id = ? AND user_id = ?', [id, userId]));
+}
+
+async function listImports(userId, { status, limit = 50 } = {}) {
+  return all(
+    `SELECT id, format, kind, filename, as_of, status, created_at, applied_at FROM brokerage_imports
+     WHERE user_id = ? ${status ? 'AND status = ?' : ''} ORDER BY id DESC LIMIT ?`,
+    status ? [userId, status, limit] : [userId, limit]
+  );
+}
+
+async function markImport(id, status, diff = null) {
+  await run(
+    `UPDATE brokerage_imports SET status = ?, diff = COALESCE(?, diff),
+       applied_at = CASE WHEN ? = 'applied' THEN CURRENT_TIMESTAMP ELSE applied_at END
+     WHERE id = ?`,
+    [status, diff ? JSON.stringify(diff) : null, status, id]
+  );
+}
+
+// Records applied transactions so overlapping exports don't apply them twice
+async function recordActivity(userId, importId, statement, ids) {
+  const wanted = new Set(ids);
+  for (const item of statement.activity.filter(activityItem => wanted.has(activityItem.id))) {
+    await run(
+      `INSERT OR IGNORE INTO brokerage_activity (user_id, id, import_id, format, activity_date, action, symbol, shares, price, amount, description)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, item.id, importId, statement.format, item.date, item.action, item.symbol, item.shares, item.price, item.amount, item.description]
+    );
+  }
+}
+
+module.exports = {
+  listFormats,
+  parseStatement,
+  reconcile,
+  hasChanges,
+  seenActivityIds,
+  createImport,
+  getImport,
+  listImports,
+  markImport,
+  recordActivity
+};
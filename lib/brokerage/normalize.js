@@ -0,0 +1,95 @@
+// lib/brokerage/normalize.js - Shared helpers for brokerage statement parsers
+const crypto = require('crypto');
+const { parseCsvRows } = require('../csv');
+
+const TICKER_PATTERN = /^[A-Z][A-Z0-9]{0,5}([.\-/][A-Z])?$/;
+
+// "$1,234.50", "-$1,205.00", "($241.00)", "1,000", "--" -> number, or null when blank
+function parseAmount(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || text === '--' || text.toLowerCase() === 'n/a') return null;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[()$,+\-\s%]/g, ''));
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+// "10/15/2026", "10/15/2026 as of 10/14/2026", "2026-10-15" -> "2026-10-15"
+function parseDate(value) {
+  const text = String(value ?? '').trim();
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return iso[0];
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+  return null;
+}
+
+function normalizeSymbol(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+function isTicker(symbol) {
+  return TICKER_PATTERN.test(symbol);
+}
+
+/**
+ * Brokerage exports often put titles above the header and disclaimers below the data.
+ * Returns the rows below the first row containing every `required` column, as objects
+ * keyed by header, stopping at the first row with a single non-empty cell.
+ */
+function csvRecords(text, required) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex(row => {
+    const names = row.map(cell => cell.trim());
+    return required.every(column => names.includes(column));
+  });
+  if (headerIndex === -1) return null;
+
+  const headers = rows[headerIndex].map(cell => cell.trim());
+  const records = [];
+  for (const row of rows.slice(headerIndex + 1)) {
+    if (row.filter(cell => cell.trim() !== '').length <= 1) break;
+    records.push(Object.fromEntries(headers.map((header, i) => [header, (row[i] || '').trim()])));
+  }
+  return records;
+}
+
+// First column present in the record among alternative header spellings
+function pick(record, ...columns) {
+  for (const column of columns) {
+    if (record[column] !== undefined) return record[column];
+  }
+  return undefined;
+}
+
+/**
+ * Stable ids for activity rows so re-importing an overlapping export doesn't apply a
+ * transaction twice. Identical rows in one file get an occurrence suffix.
+ */
+function assignActivityIds(format, activity) {
+  const seen = {};
+  for (const item of activity) {
+    if (item.id) continue;
+    const key = [format, item.date, item.action, item.symbol, item.shares, item.price, item.amount, item.description].join('|');
+    seen[key] = (seen[key] || 0) + 1;
+    item.id = crypto.createHash('sha1').update(`${key}|${seen[key]}`).digest('hex');
+  }
+  return activity;
+}
+
+function emptyStatement(format, kind) {
+  return { format, kind, asOf: null, positions: [], cash: null, activity: [], warnings: [] };
+}
+
+module.exports = {
+  parseAmount,
+  parseDate,
+  normalizeSymbol,
+  isTicker,
+  csvRecords,
+  pick,
+  assignActivityIds,
+  emptyStatement
+};
@@ -0,0 +1,163 @@
+// lib/brokerage/ofx.js - OFX / QFX investment statements (SGML 1.x and XML 2.x)
+//
+// Reads INVPOSLIST (holdings), INVBAL/AVAILCASH (cash) and SECLIST (CUSIP -> ticker).
+// A statement with a position list imports as a holdings snapshot; one without imports
+// its INVTRANLIST transactions as activity, using each transaction's FITID as its id.
+const { parseDate, normalizeSymbol, isTicker, assignActivityIds, emptyStatement } = require('./normalize');
+
+const POSITION_TYPES = ['POSSTOCK', 'POSMF', 'POSOTHER', 'POSDEBT'];
+const TRANSACTIONS = {
+  BUYSTOCK: 'BUY',
+  BUYMF: 'BUY',
+  BUYOTHER: 'BUY',
+  REINVEST: 'BUY',
+  SELLSTOCK: 'SELL',
+  SELLMF: 'SELL',
+  SELLOTHER: 'SELL',
+  INCOME: 'DIVIDEND',
+  INVEXPENSE: 'FEE'
+};
+
+/**
+ * Builds a tree of { name, value, children } from OFX markup. SGML leaf elements have
+ * no closing tag, so only elements without text of their own are treated as aggregates.
+ */
+function parseTree(text) {
+  const root = { name: 'ROOT', children: [] };
+  const stack = [root];
+  const body = text.slice(Math.max(text.search(/<OFX>/i), 0));
+  const tagPattern = /<(\/?)([A-Za-z0-9.]+)>([^<]*)/g;
+  let match;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, rawName, rawValue] = match;
+    const name = rawName.toUpperCase();
+    const value = rawValue.trim();
+
+    if (closing) {
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const node = { name, value, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (value === '') stack.push(node);
+  }
+  return root;
+}
+
+function findAll(node, name) {
+  const found = [];
+  for (const child of node.children) {
+    if (child.name === name) found.push(child);
+    found.push(...findAll(child, name));
+  }
+  return found;
+}
+
+function field(node, name) {
+  const found = findAll(node, name)[0];
+  return found ? found.value : null;
+}
+
+function number(node, name) {
+  const value = parseFloat(field(node, name));
+  return Number.isNaN(value) ? null : value;
+}
+
+function tickerMap(tree) {
+  const tickers = {};
+  for (const info of findAll(tree, 'SECINFO')) {
+    const id = field(info, 'UNIQUEID');
+    const ticker = normalizeSymbol(field(info, 'TICKER'));
+    if (id && ticker) tickers[id] = ticker;
+  }
+  return tickers;
+}
+
+function resolveSymbol(node, tickers) {
+  const id = field(node, 'UNIQUEID');
+  return tickers[id] || normalizeSymbol(field(node, 'TICKER')) || id;
+}
+
+function parsePositions(tree, tickers) {
+  const statement = emptyStatement('ofx', 'positions');
+  statement.asOf = parseDate(field(tree, 'DTASOF'));
+  const cash = number(tree, 'AVAILCASH');
+  statement.cash = cash;
+
+  const bySymbol = {};
+  for (const type of POSITION_TYPES) {
+    for (const position of findAll(tree, type)) {
+      const symbol = resolveSymbol(position, tickers);
+      if (!isTicker(symbol || '')) {
+        statement.warnings.push(`Skipped ${symbol || 'unknown security'}: no ticker in SECLIST`);
+        continue;
+      }
+      const shares = number(position, 'UNITS') || 0;
+      const entry = bySymbol[symbol] = bySymbol[symbol] || { symbol, shares: 0, price: number(position, 'UNITPRICE'), value: 0 };
+      entry.shares += shares;
+      entry.value += number(position, 'MKTVAL') || shares * (entry.price || 0);
+    }
+  }
+  statement.positions = Object.values(bySymbol);
+  return statement;
+}
+
+function parseActivity(tree, tickers) {
+  const statement = emptyStatement('ofx', 'activity');
+  statement.asOf = parseDate(field(tree, 'DTASOF'));
+
+  for (const [type, action] of Object.entries(TRANSACTIONS)) {
+    for (const transaction of findAll(tree, type)) {
+      const symbol = resolveSymbol(transaction, tickers);
+      statement.activity.push({
+        id: field(transaction, 'FITID') ? `ofx:${field(transaction, 'FITID')}` : undefined,
+        date: parseDate(field(transaction, 'DTTRADE')),
+        action,
+        symbol: isTicker(symbol || '') ? symbol : null,
+        shares: Math.abs(number(transaction, 'UNITS') || 0),
+        price: number(transaction, 'UNITPRICE'),
+        amount: number(transaction, 'TOTAL') || 0,
+        description: field(transaction, 'MEMO') || type
+      });
+    }
+  }
+
+  for (const transaction of findAll(tree, 'STMTTRN')) {
+    const amount = number(transaction, 'TRNAMT') || 0;
+    statement.activity.push({
+      id: field(transaction, 'FITID') ? `ofx:${field(transaction, 'FITID')}` : undefined,
+      date: parseDate(field(transaction, 'DTPOSTED')),
+      action: amount < 0 ? 'WITHDRAWAL' : 'DEPOSIT',
+      symbol: null,
+      shares: 0,
+      price: null,
+      amount,
+      description: field(transaction, 'NAME') || field(transaction, 'MEMO') || 'Bank transaction'
+    });
+  }
+
+  statement.activity.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  assignActivityIds('ofx', statement.activity);
+  return statement;
+}
+
+module.exports = {
+  name: 'ofx',
+  label: 'OFX / QFX investment statement',
+
+  detect(text) {
+    return /<OFX>/i.test(text) || /^\s*OFXHEADER/i.test(text);
+  },
+
+  parse(text) {
+    const tree = parseTree(text);
+    if (findAll(tree, 'INVSTMTRS').length === 0) {
+      throw new Error('OFX file has no investment statement (INVSTMTRS)');
+    }
+    const tickers = tickerMap(tree);
+    return findAll(tree, 'INVPOSLIST').length > 0 ? parsePositions(tree, tickers) : parseActivity(tree, tickers);
+  }
+};
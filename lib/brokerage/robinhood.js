@@ -0,0 +1,67 @@
+// lib/brokerage/robinhood.js - Robinhood account activity CSV export
+//
+// Robinhood only exports activity, so its imports adjust stored holdings by the
+// transactions not imported before. Trans Codes: Buy, Sell, CDIV / MDIV (dividends),
+// INT (interest), ACH (bank transfer), GOLD / MINT (fees), SPL / SXCH (stock splits).
+const {
+  parseAmount, parseDate, normalizeSymbol, isTicker, csvRecords, assignActivityIds, emptyStatement
+} = require('./normalize');
+
+const COLUMNS = ['Activity Date', 'Instrument', 'Trans Code', 'Quantity', 'Amount'];
+const ACTIONS = {
+  BUY: 'BUY',
+  SELL: 'SELL',
+  CDIV: 'DIVIDEND',
+  MDIV: 'DIVIDEND',
+  INT: 'DIVIDEND',
+  SLIP: 'DIVIDEND',
+  GOLD: 'FEE',
+  MINT: 'FEE',
+  DFEE: 'FEE',
+  SPL: 'SPLIT',
+  SXCH: 'SPLIT'
+};
+
+function activityAction(code, amount) {
+  const action = ACTIONS[code.toUpperCase()];
+  if (action) return action;
+  if (/^(ACH|XENT|DCF|RTP)/i.test(code)) return amount < 0 ? 'WITHDRAWAL' : 'DEPOSIT';
+  return 'OTHER';
+}
+
+module.exports = {
+  name: 'robinhood',
+  label: 'Robinhood (Account Activity CSV)',
+
+  detect(text) {
+    return csvRecords(text, COLUMNS) !== null;
+  },
+
+  parse(text) {
+    const records = csvRecords(text, COLUMNS);
+    if (!records) throw new Error('Not a Robinhood activity export');
+
+    const statement = emptyStatement('robinhood', 'activity');
+    for (const record of records) {
+      const date = parseDate(record['Activity Date']);
+      if (!date) continue;
+      const amount = parseAmount(record.Amount) || 0;
+      const symbol = normalizeSymbol(record.Instrument);
+      const action = activityAction(record['Trans Code'], amount);
+      // Split rows report the change in shares as e.g. "3S" and keep their sign
+      const quantity = parseAmount(String(record.Quantity).replace(/S$/i, '')) || 0;
+      const shares = action === 'SPLIT' ? quantity : Math.abs(quantity);
+      statement.activity.push({
+        date,
+        action,
+        symbol: isTicker(symbol) ? symbol : null,
+        shares,
+        price: parseAmount(record.Price),
+        amount,
+        description: (record.Description || '').split('\n')[0]
+      });
+    }
+    assignActivityIds('robinhood', statement.activity);
+    return statement;
+  }
+};
@@ -0,0 +1,96 @@
+// lib/brokerage/schwab.js - Charles Schwab positions and transaction history CSV exports
+//
+// Positions exports start with a title line ("Positions for account ... as of ...") and
+// carry "Cash & Cash Investments" and "Account Total" rows. Newer exports name columns
+// "Qty (Quantity)" and "Mkt Val (Market Value)"; both spellings are accepted.
+const {
+  parseAmount, parseDate, normalizeSymbol, isTicker, csvRecords, pick, assignActivityIds, emptyStatement
+} = require('./normalize');
+
+const ACTIVITY_COLUMNS = ['Date', 'Action', 'Symbol', 'Amount'];
+const ACTIONS = [
+  [/^(buy|reinvest shares|buy to open)/i, 'BUY'],
+  [/^(sell|sell to close)/i, 'SELL'],
+  [/dividend|interest|cap gain|reinvest dividend/i, 'DIVIDEND'],
+  [/fee|adr mgmt/i, 'FEE'],
+  [/moneylink|transfer|journal|wire|deposit/i, null]
+];
+
+function positionRecords(text) {
+  for (const [quantity, value] of [['Quantity', 'Market Value'], ['Qty (Quantity)', 'Mkt Val (Market Value)']]) {
+    const records = csvRecords(text, ['Symbol', quantity, value]);
+    if (records) return records.map(record => ({ ...record, Quantity: record[quantity], 'Market Value': record[value] }));
+  }
+  return null;
+}
+
+function activityAction(text, amount) {
+  for (const [pattern, action] of ACTIONS) {
+    if (pattern.test(text)) return action || (amount < 0 ? 'WITHDRAWAL' : 'DEPOSIT');
+  }
+  return 'OTHER';
+}
+
+function parsePositions(records, text) {
+  const statement = emptyStatement('schwab', 'positions');
+  const asOf = text.match(/as of [^"]*?(\d{4}\/\d{2}\/\d{2}|\d{1,2}\/\d{1,2}\/\d{4})/i);
+  if (asOf) statement.asOf = parseDate(asOf[1].replace(/^(\d{4})\/(\d{2})\/(\d{2})$/, '$1-$2-$3'));
+
+  for (const record of records) {
+    const symbol = normalizeSymbol(record.Symbol);
+    if (/^CASH & CASH INVESTMENTS/.test(symbol)) {
+      statement.cash = parseAmount(record['Market Value']) || 0;
+      continue;
+    }
+    if (/^ACCOUNT TOTAL/.test(symbol)) continue;
+    if (!isTicker(symbol)) {
+      if (symbol) statement.warnings.push(`Skipped ${symbol}: not a stock or ETF ticker`);
+      continue;
+    }
+    statement.positions.push({
+      symbol,
+      shares: parseAmount(record.Quantity) || 0,
+      price: parseAmount(pick(record, 'Price')),
+      value: parseAmount(record['Market Value']) || 0
+    });
+  }
+  return statement;
+}
+
+function parseActivity(records) {
+  const statement = emptyStatement('schwab', 'activity');
+  for (const record of records) {
+    const date = parseDate(record.Date);
+    if (!date) continue;
+    const amount = parseAmount(record.Amount) || 0;
+    const symbol = normalizeSymbol(record.Symbol);
+    statement.activity.push({
+      date,
+      action: activityAction(record.Action, amount),
+      symbol: isTicker(symbol) ? symbol : null,
+      shares: Math.abs(parseAmount(record.Quantity) || 0),
+      price: parseAmount(record.Price),
+      amount,
+      description: [record.Action, record.Description].filter(Boolean).join(' - ')
+    });
+  }
+  assignActivityIds('schwab', statement.activity);
+  return statement;
+}
+
+module.exports = {
+  name: 'schwab',
+  label: 'Charles Schwab (Positions / Transactions CSV)',
+
+  detect(text) {
+    return positionRecords(text) !== null || csvRecords(text, ACTIVITY_COLUMNS) !== null;
+  },
+
+  parse(text) {
+    const activity = csvRecords(text, ACTIVITY_COLUMNS);
+    if (activity) return parseActivity(activity);
+    const positions = positionRecords(text);
+    if (positions) return parsePositions(positions, text);
+    throw new Error('Not a Schwab positions or transactions export');
+  }
+};
@@ -0,0 +1,86 @@
+// lib/csv.js - Minimal CSV parsing and writing (quoted fields, CRLF, header row)
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Returns one object per data row, keyed by the trimmed header names
+function parseCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(h => h.trim());
+  return rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (values[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Arrays are joined with "; ", other objects written as JSON. Text that a spreadsheet would
+// read as a formula (names and descriptions come from public feeds) gets a leading quote;
+// numbers are written as they are.
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (Array.isArray(value)) text = value.join('; ');
+  else if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes objects as CSV; columns default to the keys of the first row
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  const lines = [columns.map(formatCsvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCsvField(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, parseCsvRows, toCsv };
@@ -0,0 +1,35 @@
+// lib/dates.js - Date helpers for disclosure data (which mixes MM/DD/YYYY and ISO dates)
+
+// Normalizes "2023-01-15", "01/15/2023" or a Date to "2023-01-15"; returns null if unparseable
+function toIsoDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+}
+
+function daysBetween(fromIsoDate, toIsoDate) {
+  return Math.round((Date.parse(toIsoDate) - Date.parse(fromIsoDate)) / (24 * 60 * 60 * 1000));
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+module.exports = { toIsoDate, daysBetween, addDays, today };
@@ -0,0 +1,55 @@
+// lib/db.js - Shared SQLite connection and promise helpers
+const sqlite3 = require('sqlite3').verbose();
+
+const db = new sqlite3.Database(process.env.DATABASE_PATH || './trades.db');
+
+// SQLite leaves foreign key enforcement off unless each connection asks for it
+db.run('PRAGMA foreign_keys = ON');
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// Runs work as one transaction. The connection is shared, so anything else written while work
+// runs joins it; callers hold a lock that keeps related writers out.
+async function inTransaction(work) {
+  await run('BEGIN');
+  try {
+    const result = await work();
+    await run('COMMIT');
+    return result;
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+}
+
+// Adds a column to an existing table; CREATE TABLE IF NOT EXISTS won't do it for old databases
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = { db, run, get, all, inTransaction, addColumnIfMissing };
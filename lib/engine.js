@@ -0,0 +1,393 @@
+// lib/engine.js - Recommendation engine shared by the live bot and the backtester
+//
+// Each processing run turns new disclosures into signals (one per trade), nets the
+// signals per symbol, and produces a single rebalancing plan for the portfolio.
+const { describeAmount } = require('./amount');
+
+// How buildSignal sizes and scores a trade; strategies override these (lib/strategies)
+const SIGNAL_DEFAULTS = {
+  // A trade's impact on the target is amount / amountDivisor * trader weight, capped at maxImpact
+  amountDivisor: 1000000,
+  maxImpact: 0.15,
+  // Confidence is trader weight times these, so sales count a little less than purchases
+  buyConfidence: 0.9,
+  sellConfidence: 0.8,
+  // Partial sales move the target by this fraction of a full sale's impact
+  partialSaleFactor: 0.5
+};
+
+// How buildRebalancingPlan turns signals into orders
+const PLAN_DEFAULTS = {
+  // Recommendations below this confidence are not sent
+  minConfidence: 0.6,
+  // Orders smaller than this many dollars are dropped
+  minOrderAmount: 10,
+  // Target allocation bounds; full exits below minTarget close the position
+  minTarget: 0.05,
+  maxTarget: 0.35
+};
+
+const MIN_CONFIDENCE = PLAN_DEFAULTS.minConfidence;
+
+// Each extra member agreeing on a symbol raises confidence by this fraction (CONSENSUS_BONUS)
+function consensusBonus() {
+  return parseFloat(process.env.CONSENSUS_BONUS) || 0.1;
+}
+
+// OPEN trades like a BUY and CLOSE like a SELL
+function orderSide(action) {
+  return action === 'BUY' || action === 'OPEN' ? 'BUY' : 'SELL';
+}
+
+function tradeDirection(transactionType) {
+  if (transactionType === 'Purchase' || transactionType === 'Buy') return 1;
+  if (transactionType === 'Sale' || transactionType === 'Sell') return -1;
+  return 0;
+}
+
+// How much a trade's impact counts, by asset type. Options count on their underlying:
+// bought calls are bullish and bought puts bearish; option sales (closing or writing,
+// disclosures don't say which) and exercises of options bought earlier count for less.
+// Override single entries with ASSET_SIGNAL_WEIGHTS, e.g. "call=2,exercise=0,etf=0.5".
+const DEFAULT_ASSET_WEIGHTS = {
+  stock: 1,
+  etf: 1,
+  call: 1.5,
+  put: 1,
+  exercise: 0.5,
+  'option-sale': 0,
+  fund: 0,
+  bond: 0,
+  crypto: 0,
+  other: 0
+};
+
+function assetSignalWeights() {
+  const weights = { ...DEFAULT_ASSET_WEIGHTS };
+  for (const pair of (process.env.ASSET_SIGNAL_WEIGHTS || '').split(',')) {
+    const [key, value] = pair.split('=').map(part => part && part.trim());
+    if (key in weights && !Number.isNaN(parseFloat(value))) weights[key] = parseFloat(value);
+  }
+  return weights;
+}
+
+// Direction and weight of a trade's signal on its ticker
+function assetSignal(trade, weights = assetSignalWeights()) {
+  const direction = tradeDirection(trade.Transaction);
+  const assetType = trade.AssetType || 'stock';
+  if (assetType !== 'option') return { direction, weight: weights[assetType] ?? 0 };
+
+  const option = trade.Option || {};
+  if (!option.type) return { direction: 0, weight: 0 };
+  const bullish = option.type === 'call' ? 1 : -1;
+  if (option.exercise) return { direction: bullish, weight: weights.exercise };
+  if (direction > 0) return { direction: bullish, weight: weights[option.type] };
+  return { direction: direction < 0 ? -bullish : 0, weight: weights['option-sale'] };
+}
+
+function optionText(trade) {
+  const { type, strike, expiration, exercise } = trade.Option || {};
+  const terms = [strike ? `strike $${strike}` : null, expiration ? `exp ${expiration}` : null].filter(Boolean);
+  const verb = exercise ? 'exercised' : tradeDirection(trade.Transaction) > 0 ? 'bought' : 'sold';
+  return `${verb} ${type} options${terms.length > 0 ? ` (${terms.join(', ')})` : ''}`;
+}
+
+/**
+ * Turns one disclosed trade into a signal, or null if it isn't a buy or sale or its
+ * asset type carries no weight (see assetSignal).
+ * `performers` maps trader names to { weight, successRate }, as loaded from the traders table.
+ * `staleness` is an optional assessment from lib/staleness.js that scales confidence.
+ * `params` overrides SIGNAL_DEFAULTS.
+ */
+function buildSignal(trade, performers, staleness = null, params = {}) {
+  const { amountDivisor, maxImpact, buyConfidence, sellConfidence, partialSaleFactor } = { ...SIGNAL_DEFAULTS, ...params };
+  const { direction, weight } = assetSignal(trade);
+  if (!direction || !weight) return null;
+
+  const traderWeight = performers[trade.Representative]?.weight || 0.5;
+  const amount = parseFloat(trade.Amount) || 0;
+  const tradeImpact = Math.min((amount / amountDivisor) * traderWeight * weight, maxImpact);
+  const impact = direction < 0 && trade.PartialSale ? tradeImpact * partialSaleFactor : tradeImpact;
+
+  const disclosed = describeAmount(amount, trade.AmountRange) +
+    (trade.Owner && trade.Owner !== 'self' ? ` (${trade.Owner})` : '');
+  const verb = trade.AssetType === 'option'
+    ? optionText(trade)
+    : direction > 0 ? 'bought' : trade.PartialSale ? 'partially sold' : 'sold';
+
+  return {
+    symbol: trade.Ticker,
+    traderName: trade.Representative,
+    direction,
+    impact,
+    confidence: traderWeight * (direction > 0 ? buyConfidence : sellConfidence) * (staleness ? staleness.factor : 1),
+    description: `${trade.Representative} ${verb} ${disclosed}`,
+    lagDays: staleness ? staleness.lagDays : null,
+    priceMoveSinceTrade: staleness ? staleness.priceMove : null,
+    trade
+  };
+}
+
+// Nets one symbol's signals into a target change and a combined confidence
+function netSignals(signals, bonus) {
+  const netImpact = signals.reduce((sum, s) => sum + s.direction * s.impact, 0);
+  const direction = Math.sign(netImpact);
+  if (!direction) return null;
+
+  const agreeing = signals.filter(s => s.direction === direction);
+  const grossImpact = agreeing.reduce((sum, s) => sum + s.impact, 0);
+  const members = [...new Set(agreeing.map(s => s.traderName))];
+
+  // Impact-weighted confidence of the agreeing side, discounted by any opposing signals
+  const weightedConfidence = agreeing.reduce((sum, s) => sum + s.confidence * s.impact, 0) / grossImpact;
+  const agreement = Math.abs(netImpact) / grossImpact;
+  const consensus = 1 + bonus * (members.length - 1);
+
+  const strongest = agreeing.reduce((best, s) => (s.impact > best.impact ? s : best), agreeing[0]);
+  const targeted = agreeing.find(s => s.target !== undefined);
+
+  return {
+    direction,
+    netImpact,
+    target: targeted ? targeted.target : undefined,
+    members,
+    confidence: Math.min(weightedConfidence * agreement * consensus, 0.99),
+    strongest
+  };
+}
+
+/**
+ * Builds one rebalancing plan from all of a run's signals.
+ *
+ * Targets move by the net impact per symbol (capped at 35%, floored at 5%), then
+ * increases are scaled down so targets never sum past 100%. Full exits that would take
+ * a target under the 5% floor close the position instead (CLOSE).
+ *
+ * Buy signals in tickers the portfolio doesn't hold open a new position (OPEN) when
+ * `prices` has a price for them (callers only price tickers that passed the universe
+ * filters). The new target is the net impact, at least 5%; if the other targets leave no
+ * room for it they are trimmed proportionally. Opens are funded from cash first and only
+ * sell the trimmed positions for the shortfall.
+ *
+ * Signals carrying a `target` set the symbol's allocation to it outright instead of
+ * moving it by their impact (strategies that mirror a model portfolio); a target of 0
+ * closes the position.
+ *
+ * Sells are sized first; buys are scaled to fit the cash on hand plus sell proceeds.
+ * `portfolio` is shaped like server.js's userPortfolio; `options` overrides PLAN_DEFAULTS
+ * and the consensusBonus. Returns { orders, skipped, targets, cashBefore, cashAfter }
+ * where each order is a recommendation ready to store and send.
+ */
+function buildRebalancingPlan(signals, portfolio, options = {}) {
+  const { minConfidence, minOrderAmount, minTarget, maxTarget, prices = {}, consensusBonus: bonus = consensusBonus() } =
+    { ...PLAN_DEFAULTS, ...options };
+  const skipped = [];
+  const bySymbol = {};
+  for (const signal of signals) {
+    if (!portfolio.positions[signal.symbol] && !(prices[signal.symbol] > 0)) continue;
+    (bySymbol[signal.symbol] = bySymbol[signal.symbol] || []).push(signal);
+  }
+
+  const changes = {};
+  for (const [symbol, symbolSignals] of Object.entries(bySymbol)) {
+    const net = netSignals(symbolSignals, bonus);
+    if (!net) {
+      const sized = symbolSignals.some(s => s.impact > 0);
+      skipped.push({ symbol, reason: sized ? 'Buy and sell signals cancel out' : 'Signals have no trade amount' });
+      continue;
+    }
+    if (net.confidence <= minConfidence) {
+      skipped.push({ symbol, reason: `Confidence ${(net.confidence * 100).toFixed(0)}% is below the ${(minConfidence * 100).toFixed(0)}% threshold` });
+      continue;
+    }
+
+    const position = portfolio.positions[symbol];
+    if (!position) {
+      if (net.direction < 0) {
+        skipped.push({ symbol, reason: 'Not held, nothing to sell' });
+        continue;
+      }
+      const openPosition = { shares: 0, targetAllocation: 0, currentValue: 0, currentPrice: prices[symbol] };
+      const newTarget = net.target ?? Math.min(Math.max(net.netImpact, minTarget), maxTarget);
+      changes[symbol] = { ...net, opening: true, position: openPosition, currentTarget: 0, newTarget, signals: symbolSignals };
+      continue;
+    }
+
+    const currentTarget = position.targetAllocation;
+    if (net.target !== undefined) {
+      changes[symbol] = { ...net, closing: net.target === 0, position, currentTarget, newTarget: net.target, signals: symbolSignals };
+      continue;
+    }
+    const unclamped = currentTarget + net.netImpact;
+    // Bearish option trades reduce a position but never close it
+    const fullExit = net.direction < 0 &&
+      symbolSignals.filter(s => s.direction < 0).every(s => !s.trade.PartialSale && s.trade.AssetType !== 'option');
+    const closing = fullExit && unclamped < minTarget;
+    const newTarget = net.direction > 0
+      ? Math.min(unclamped, maxTarget)
+      : closing ? 0 : Math.max(unclamped, minTarget);
+    changes[symbol] = { ...net, closing, position, currentTarget, newTarget, signals: symbolSignals };
+  }
+
+  // Keep the total allocation at or below 100% by scaling back increases
+  const targets = {};
+  for (const [symbol, position] of Object.entries(portfolio.positions)) {
+    targets[symbol] = changes[symbol] ? changes[symbol].newTarget : position.targetAllocation;
+  }
+  const sumTargets = () => Object.values(targets).reduce((sum, t) => sum + t, 0);
+  const total = sumTargets();
+  if (total > 1) {
+    const increases = Object.entries(changes).filter(([, c]) => !c.opening && c.newTarget > c.currentTarget);
+    const increaseTotal = increases.reduce((sum, [, c]) => sum + (c.newTarget - c.currentTarget), 0);
+    const scale = increaseTotal > 0 ? Math.max(increaseTotal - (total - 1), 0) / increaseTotal : 1;
+    for (const [symbol, change] of increases) {
+      change.newTarget = change.currentTarget + (change.newTarget - change.currentTarget) * scale;
+      targets[symbol] = change.newTarget;
+    }
+  }
+
+  // New positions take unallocated room first, then trim every other target proportionally
+  const opens = Object.entries(changes).filter(([, c]) => c.opening);
+  const trimmed = {};
+  if (opens.length > 0) {
+    let openTotal = opens.reduce((sum, [, c]) => sum + c.newTarget, 0);
+    if (openTotal > 1) {
+      opens.forEach(([, c]) => { c.newTarget /= openTotal; });
+      openTotal = 1;
+    }
+    const existingTotal = sumTargets();
+    if (existingTotal + openTotal > 1 && existingTotal > 0) {
+      const trimFactor = Math.max(1 - openTotal, 0) / existingTotal;
+      for (const symbol of Object.keys(targets)) {
+        const trimmedTarget = targets[symbol] * trimFactor;
+        if (changes[symbol]) {
+          changes[symbol].newTarget = trimmedTarget;
+        } else if (trimmedTarget < targets[symbol]) {
+          trimmed[symbol] = { currentTarget: targets[symbol], newTarget: trimmedTarget };
+        }
+        targets[symbol] = trimmedTarget;
+      }
+    }
+    for (const [symbol, change] of opens) {
+      change.funding = Object.keys(trimmed).length > 0 ? 'trim' : 'cash';
+      targets[symbol] = change.newTarget;
+    }
+  }
+
+  const orders = [];
+  let cash = portfolio.cash;
+
+  const sized = Object.entries(changes).map(([symbol, change]) => {
+    const delta = change.newTarget * portfolio.totalValue - change.position.currentValue;
+    return { symbol, change, position: change.position, delta };
+  });
+
+  for (const { symbol, change, position, delta } of sized.filter(o => o.delta < -minOrderAmount && o.change.direction < 0)) {
+    const amount = Math.min(-delta, position.currentValue);
+    cash += amount;
+    orders.push(makeOrder(symbol, change.closing ? 'CLOSE' : 'SELL', amount, change, position, portfolio));
+  }
+
+  const buys = sized.filter(o => o.delta > minOrderAmount && o.change.direction > 0);
+  const buyTotal = buys.reduce((sum, o) => sum + o.delta, 0);
+
+  // Sell trimmed positions only for the part of the buys that cash can't cover
+  const shortfall = buyTotal - cash;
+  const trims = Object.entries(trimmed)
+    .map(([symbol, trim]) => ({ symbol, trim, excess: portfolio.positions[symbol].currentValue - trim.newTarget * portfolio.totalValue }))
+    .filter(t => t.excess > 0);
+  const excessTotal = trims.reduce((sum, t) => sum + t.excess, 0);
+  if (shortfall > 0 && excessTotal > 0) {
+    const trimScale = Math.min(shortfall / excessTotal, 1);
+    const openChanges = opens.map(([, c]) => c);
+    for (const { symbol, trim, excess } of trims) {
+      const amount = excess * trimScale;
+      if (amount <= minOrderAmount) continue;
+      cash += amount;
+      orders.push(makeTrimOrder(symbol, amount, trim, portfolio, opens.map(([s]) => s), openChanges));
+    }
+  }
+
+  const buyScale = buyTotal > cash ? Math.max(cash, 0) / buyTotal : 1;
+  for (const { symbol, change, position, delta } of buys) {
+    const amount = delta * buyScale;
+    if (amount <= minOrderAmount) {
+      skipped.push({ symbol, reason: 'Not enough cash for a meaningful buy' });
+      continue;
+    }
+    cash -= amount;
+    orders.push(makeOrder(symbol, change.opening ? 'OPEN' : 'BUY', amount, change, position, portfolio, buyScale < 1));
+  }
+
+  for (const { symbol, delta, change } of sized) {
+    if (Math.abs(delta) <= minOrderAmount || Math.sign(delta) !== change.direction) {
+      skipped.push({ symbol, reason: 'Position is already at or beyond the new target' });
+    }
+  }
+
+  // Sells (including trims) before buys, so proceeds are available
+  orders.sort((a, b) => (orderSide(a.action) === 'SELL' ? 0 : 1) - (orderSide(b.action) === 'SELL' ? 0 : 1));
+
+  return { orders, skipped, targets, cashBefore: portfolio.cash, cashAfter: cash };
+}
+
+function allocationText(target) {
+  return `${(target * 100).toFixed(1)}%`;
+}
+
+function makeOrder(symbol, action, amount, change, position, portfolio, cashLimited = false) {
+  const currentAllocation = portfolio.totalValue > 0 ? position.currentValue / portfolio.totalValue : 0;
+  const side = orderSide(action);
+  const consensus = change.members.length > 1
+    ? ` Consensus: ${change.members.length} members ${side === 'BUY' ? 'buying' : 'selling'}.`
+    : '';
+  const limited = cashLimited ? ' Scaled down to fit available cash.' : '';
+
+  let plan;
+  if (action === 'OPEN') {
+    plan = `opening a new position at ${allocationText(change.newTarget)} of the portfolio, funded ${change.funding === 'trim' ? 'by trimming other targets proportionally' : 'from cash'}.`;
+  } else if (action === 'CLOSE') {
+    plan = `closing the position (${allocationText(currentAllocation)} of the portfolio).`;
+  } else {
+    plan = `${side === 'BUY' ? 'increasing' : 'reducing'} allocation from ${allocationText(currentAllocation)} to ${allocationText(change.newTarget)}.`;
+  }
+
+  return {
+    symbol,
+    action,
+    currentPrice: position.currentPrice || 0,
+    recommendedAmount: amount,
+    sharesToTrade: action === 'CLOSE' && position.shares > 0 ? position.shares : amount / (position.currentPrice || 100),
+    reason: `${change.signals.map(s => s.description).join('; ')} - ${plan}${consensus}${limited}`,
+    confidence: change.confidence,
+    targetAllocation: change.newTarget,
+    members: change.members,
+    lagDays: change.strongest.lagDays,
+    priceMoveSinceTrade: change.strongest.priceMoveSinceTrade,
+    trade: change.strongest.trade
+  };
+}
+
+// A sell that frees cash for new positions; it carries the opens' confidence and members
+function makeTrimOrder(symbol, amount, trim, portfolio, openSymbols, openChanges) {
+  const position = portfolio.positions[symbol];
+  const currentAllocation = portfolio.totalValue > 0 ? position.currentValue / portfolio.totalValue : 0;
+
+  return {
+    symbol,
+    action: 'SELL',
+    currentPrice: position.currentPrice || 0,
+    recommendedAmount: amount,
+    sharesToTrade: amount / (position.currentPrice || 100),
+    reason: `Trimming allocation from ${allocationText(currentAllocation)} toward ${allocationText(trim.newTarget)} to fund new position${openSymbols.length === 1 ? '' : 's'} in ${openSymbols.join(', ')}.`,
+    confidence: Math.max(...openChanges.map(c => c.confidence)),
+    targetAllocation: trim.newTarget,
+    funds: openSymbols,
+    members: [...new Set(openChanges.flatMap(c => c.members))],
+    lagDays: null,
+    priceMoveSinceTrade: null,
+    trade: null
+  };
+}
+
+module.exports = { SIGNAL_DEFAULTS, PLAN_DEFAULTS, MIN_CONFIDENCE, consensusBonus, orderSide, tradeDirection, assetSignalWeights, assetSignal, buildSignal, buildRebalancingPlan };
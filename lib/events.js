@@ -0,0 +1,57 @@
+// lib/events.js - Server-Sent Events stream for the dashboard
+//
+// Browsers connect to GET /api/events and receive:
+//   job             a job run finished { name, status, trigger, counts, error, durationMs }
+//   trade           a new congressional trade was stored
+//   recommendation  a recommendation was issued, executed, dismissed or expired
+//   portfolio       prices or holdings changed { totalValue, cash, lastUpdated }
+// Job and trade events go to everyone; recommendation and portfolio events only to the
+// user they belong to. A comment line every 25 seconds keeps proxies from closing idle connections.
+const HEARTBEAT_MS = 25000;
+
+// Response -> the connected user's id
+const clients = new Map();
+let nextEventId = 1;
+let heartbeat = null;
+
+function addClient(req, res, userId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  clients.set(res, userId);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const client of clients.keys()) client.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+}
+
+// `userId` limits the event to that user's connections
+function publish(type, data, userId = null) {
+  if (clients.size === 0) return;
+  const payload = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const [client, clientUserId] of clients) {
+    if (userId === null || clientUserId === userId) client.write(payload);
+  }
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = { addClient, publish, clientCount };
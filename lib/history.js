@@ -0,0 +1,247 @@
+// lib/history.js - Filtered, sorted and cursor-paginated reads of trades and recommendations
+//
+// List functions take already-parsed options and return { rows, nextCursor } or { error }.
+// Cursors are opaque strings encoding the last row's sort value and id; pass nextCursor
+// back with the same filters and sort to get the next page. nextCursor is null on the
+// last page.
+const { all } = require('./db');
+
+const TRADE_SORTS = {
+  trade_date: "COALESCE(trade_date, '')",
+  disclosure_date: "COALESCE(disclosure_date, '')",
+  amount: 'COALESCE(amount, 0)',
+  trader: "COALESCE(trader_name, '')",
+  symbol: "COALESCE(symbol, '')",
+  created_at: "COALESCE(created_at, '')"
+};
+
+const RECOMMENDATION_SORTS = {
+  created_at: "COALESCE(created_at, '')",
+  executed_at: "COALESCE(executed_at, '')",
+  confidence: 'COALESCE(confidence, 0)',
+  amount: 'COALESCE(recommended_amount, 0)',
+  symbol: "COALESCE(symbol, '')"
+};
+
+// Transaction types are stored as reported; buy/sell match every spelling of each side
+const TRANSACTION_PATTERNS = {
+  buy: ['purchase%', 'buy%'],
+  sell: ['sale%', 'sell%'],
+  exchange: ['exchange%']
+};
+
+function encodeCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(value) && value.length === 2 && Number.isInteger(value[1]) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Shared sort / order / cursor handling; `where` and `params` hold the filters
+async function pagedQuery({ table, where, params, sorts, sort, order, cursor, limit }) {
+  const sortExpression = sorts[sort];
+  if (!sortExpression) return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  if (order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+
+  const conditions = [...where];
+  const values = [...params];
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) return { error: 'Invalid cursor' };
+    const comparison = order === 'asc' ? '>' : '<';
+    conditions.push(`(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND id ${comparison} ?))`);
+    values.push(decoded[0], decoded[0], decoded[1]);
+  }
+
+  const rows = await all(
+    `SELECT *, ${sortExpression} AS sort_value FROM ${table}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${sortExpression} ${order}, id ${order}
+     LIMIT ?`,
+    [...values, limit + 1]
+  );
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    rows: page.map(({ sort_value: _sortValue, ...row }) => row),
+    nextCursor: rows.length > limit ? encodeCursor(last.sort_value, last.id) : null
+  };
+}
+
+// Filters shared by the trade list and the trade aggregates
+function tradeFilters({ trader, symbol, action, source, assetType, from, to, dateField = 'trade' }) {
+  const where = [];
+  const params = [];
+
+  if (trader) {
+    where.push('trader_name = ? COLLATE NOCASE');
+    params.push(trader);
+  }
+  if (symbol) {
+    where.push('symbol = ?');
+    params.push(symbol.toUpperCase());
+  }
+  if (action) {
+    const patterns = TRANSACTION_PATTERNS[action.toLowerCase()];
+    if (!patterns) return { error: `action must be one of: ${Object.keys(TRANSACTION_PATTERNS).join(', ')}` };
+    where.push(`(${patterns.map(() => 'LOWER(transaction_type) LIKE ?').join(' OR ')})`);
+    params.push(...patterns);
+  }
+  if (source) {
+    where.push('source = ?');
+    params.push(source);
+  }
+  if (assetType) {
+    where.push('asset_type = ?');
+    params.push(assetType.toLowerCase());
+  }
+
+  const dateColumns = { trade: 'trade_date', disclosure: 'disclosure_date' };
+  const dateColumn = dateColumns[dateField];
+  if (!dateColumn) return { error: 'dateField must be trade or disclosure' };
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) return { error: 'from and to must be YYYY-MM-DD dates' };
+  if (from) {
+    where.push(`${dateColumn} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    where.push(`${dateColumn} <= ?`);
+    params.push(to);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Congressional trades. Filters: trader, symbol, action (buy | sell | exchange), source,
+ * assetType (stock, etf, option, ...), from / to (inclusive, on trade date or, with dateField=disclosure, disclosure date).
+ */
+async function listTrades({ sort = 'trade_date', order = 'desc', cursor, limit = 50, ...filters } = {}) {
+  const { where, params, error } = tradeFilters(filters);
+  if (error) return { error };
+  return pagedQuery({ table: 'trades', where, params, sorts: TRADE_SORTS, sort, order, cursor, limit });
+}
+
+/**
+ * One user's recommendations (userId is required). Filters: symbol, action (BUY | SELL | OPEN | CLOSE), status, executed
+ * (true / false), trader (a member behind the order), strategy, from / to (inclusive, on creation date).
+ * Shadow recommendations (status 'shadow') are left out unless status or strategy is given.
+ */
+async function listRecommendations({ userId, symbol, action, status, executed, trader, strategy, from, to, sort = 'created_at', order = 'desc', cursor, limit = 50 } = {}) {
+  const where = ['user_id = ?'];
+  const params = [userId];
+
+  // Shadow-mode rows only show up when asked for by status or strategy
+  if (!status && !strategy) {
+    where.push("status != 'shadow'");
+  }
+  if (strategy) {
+    where.push('strategy = ?');
+    params.push(strategy);
+  }
+  if (symbol) {
+    where.push('symbol = ?');
+    params.push(symbol.toUpperCase());
+  }
+  if (action) {
+    where.push('action = ?');
+    params.push(action.toUpperCase());
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (executed !== undefined) {
+    where.push(executed ? "status = 'executed'" : "status != 'executed'");
+  }
+  if (trader) {
+    where.push("EXISTS (SELECT 1 FROM json_each(COALESCE(members, '[]')) WHERE value = ? COLLATE NOCASE)");
+    params.push(trader);
+  }
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) return { error: 'from and to must be YYYY-MM-DD dates' };
+  if (from) {
+    where.push('date(created_at) >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('date(created_at) <= ?');
+    params.push(to);
+  }
+
+  const result = await pagedQuery({ table: 'recommendations', where, params, sorts: RECOMMENDATION_SORTS, sort, order, cursor, limit });
+  if (result.error) return result;
+  return {
+    ...result,
+    rows: result.rows.map(row => ({
+      ...row,
+      members: row.members ? JSON.parse(row.members) : [],
+      tax_estimate: row.tax_estimate ? JSON.parse(row.tax_estimate) : null
+    }))
+  };
+}
+
+// ===== AGGREGATES =====
+const BUY_CASE = "LOWER(transaction_type) LIKE 'purchase%' OR LOWER(transaction_type) LIKE 'buy%'";
+const SELL_CASE = "LOWER(transaction_type) LIKE 'sale%' OR LOWER(transaction_type) LIKE 'sell%'";
+
+const AGGREGATE_COLUMNS = `
+  COUNT(*) AS trades,
+  SUM(CASE WHEN ${BUY_CASE} THEN 1 ELSE 0 END) AS buys,
+  SUM(CASE WHEN ${SELL_CASE} THEN 1 ELSE 0 END) AS sells,
+  COALESCE(SUM(CASE WHEN ${BUY_CASE} THEN amount ELSE 0 END), 0) AS buy_amount,
+  COALESCE(SUM(CASE WHEN ${SELL_CASE} THEN amount ELSE 0 END), 0) AS sell_amount,
+  MIN(trade_date) AS first_trade_date,
+  MAX(trade_date) AS last_trade_date,
+  MAX(disclosure_date) AS last_disclosure_date`;
+
+const AGGREGATE_SORTS = ['trades', 'buys', 'sells', 'buy_amount', 'sell_amount', 'net_amount', 'last_trade_date'];
+
+async function aggregateTrades(groupColumn, extraColumns, extraParams, { sort = 'trades', order = 'desc', limit = 100, ...filters }) {
+  const { where, params, error } = tradeFilters(filters);
+  if (error) return { error };
+  if (!AGGREGATE_SORTS.includes(sort)) return { error: `sort must be one of: ${AGGREGATE_SORTS.join(', ')}` };
+  if (order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+
+  const rows = await all(
+    `SELECT ${groupColumn} AS ${groupColumn === 'trader_name' ? 'trader' : 'symbol'}, ${AGGREGATE_COLUMNS}, ${extraColumns},
+       COALESCE(SUM(CASE WHEN ${BUY_CASE} THEN amount ELSE 0 END), 0) - COALESCE(SUM(CASE WHEN ${SELL_CASE} THEN amount ELSE 0 END), 0) AS net_amount
+     FROM trades
+     ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+     GROUP BY ${groupColumn}
+     ORDER BY ${sort} ${order}, ${groupColumn}
+     LIMIT ?`,
+    [...extraParams, ...params, limit]
+  );
+  return { rows };
+}
+
+// One row per member: trade counts, estimated dollars bought and sold, symbols traded
+async function traderAggregates(options = {}) {
+  return aggregateTrades('trader_name', 'COUNT(DISTINCT symbol) AS symbols', [], options);
+}
+
+// One row per ticker: member activity plus how many recommendations it produced for `userId`
+async function symbolAggregates({ userId, ...options } = {}) {
+  const columns = `COUNT(DISTINCT trader_name) AS traders,
+       (SELECT COUNT(*) FROM recommendations r WHERE r.user_id = ? AND r.symbol = trades.symbol AND r.status != 'shadow') AS recommendations,
+       (SELECT COUNT(*) FROM recommendations r WHERE r.user_id = ? AND r.symbol = trades.symbol AND r.status = 'executed') AS executed_recommendations`;
+  return aggregateTrades('symbol', columns, [userId, userId], options);
+}
+
+module.exports = {
+  listTrades,
+  listRecommendations,
+  traderAggregates,
+  symbolAggregates
+};
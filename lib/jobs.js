@@ -0,0 +1,180 @@
+// lib/jobs.js - Named background jobs with overlap locking and a run history
+//
+// A job is registered once with defineJob({ name, description, lockGroup, run }), where
+// run(params) resolves to a counts object stored with the run. Jobs sharing a lockGroup
+// (default: the job's own name) never run at the same time; a later one waits its turn.
+// A job that is already running or waiting is not started twice: the extra request is
+// recorded as 'skipped'. Jobs defined with rerunWhenBusy (for work queued by requests, which
+// nothing else would pick up) run once more after a run that was already under way when
+// the request came in.
+//
+// Every run is stored in job_runs with its trigger (schedule | api | startup | ...),
+// status (running | success | failed | skipped | interrupted), timing, error and counts.
+const cron = require('node-cron');
+const { run, get, all } = require('./db');
+const { increment, setGauge } = require('./metrics');
+const { publish } = require('./events');
+
+const JOBS = {};
+const groupTails = {};
+const active = new Set();
+const started = new Set();
+
+function defineJob({ name, description, lockGroup = name, rerunWhenBusy = false, run: handler }) {
+  JOBS[name] = { name, description, lockGroup, rerunWhenBusy, handler, schedules: [], rerun: null };
+  return JOBS[name];
+}
+
+function getJob(name) {
+  return JOBS[name] || null;
+}
+
+// Serializes work per lock group with a promise chain; also used by API routes that
+// change state the group's jobs work on
+function withLock(group, work) {
+  const previous = groupTails[group] || Promise.resolve();
+  const next = previous.catch(() => {}).then(work);
+  groupTails[group] = next.catch(() => {});
+  return next;
+}
+
+function parseRun(row) {
+  return { ...row, params: row.params ? JSON.parse(row.params) : null, counts: row.counts ? JSON.parse(row.counts) : null };
+}
+
+async function recordSkipped(job, trigger, reason = 'Already running') {
+  const saved = await run(
+    `INSERT INTO job_runs (job_name, trigger, status, started_at, finished_at, duration_ms, error)
+     VALUES (?, ?, 'skipped', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0, ?)`,
+    [job.name, trigger, reason]
+  );
+  increment('congress_bot_job_runs_total', { job: job.name, status: 'skipped' });
+  console.log(`⏭️ Job ${job.name} skipped (${trigger}): ${reason}`);
+  return parseRun(await get('SELECT * FROM job_runs WHERE id = ?', [saved.lastID]));
+}
+
+/**
+ * Runs a job now (or once its lock group is free) and resolves to its job_runs row.
+ * Errors are recorded on the run rather than thrown.
+ */
+async function runJob(name, { trigger = 'api', params } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (active.has(name)) {
+    // A run still waiting for the lock will see whatever this request was for; one under way may not
+    if (job.rerunWhenBusy && started.has(name)) {
+      job.rerun = { trigger, params };
+      return recordSkipped(job, trigger, 'Already running; runs again when done');
+    }
+    return recordSkipped(job, trigger);
+  }
+
+  active.add(name);
+  try {
+    return await withLock(job.lockGroup, async () => {
+      started.add(name);
+      const startedAt = Date.now();
+      const saved = await run(
+        "INSERT INTO job_runs (job_name, trigger, status, params, started_at) VALUES (?, ?, 'running', ?, CURRENT_TIMESTAMP)",
+        [name, trigger, params === undefined ? null : JSON.stringify(params)]
+      );
+      setGauge('congress_bot_job_running', { job: name }, 1);
+
+      let status = 'success';
+      let errorMessage = null;
+      let counts = null;
+      try {
+        counts = (await job.handler(params)) || null;
+      } catch (error) {
+        status = 'failed';
+        errorMessage = error.message;
+        console.error(`❌ Job ${name} failed:`, error.message);
+      }
+
+      const durationMs = Date.now() - startedAt;
+      await run(
+        `UPDATE job_runs SET status = ?, error = ?, counts = ?, finished_at = CURRENT_TIMESTAMP, duration_ms = ?
+         WHERE id = ?`,
+        [status, errorMessage, counts ? JSON.stringify(counts) : null, durationMs, saved.lastID]
+      );
+      setGauge('congress_bot_job_running', { job: name }, 0);
+      setGauge('congress_bot_job_duration_seconds', { job: name }, durationMs / 1000);
+      increment('congress_bot_job_runs_total', { job: name, status });
+      publish('job', { name, status, trigger, counts, error: errorMessage, durationMs });
+      return parseRun(await get('SELECT * FROM job_runs WHERE id = ?', [saved.lastID]));
+    });
+  } finally {
+    active.delete(name);
+    started.delete(name);
+    if (job.rerun) {
+      const next = job.rerun;
+      job.rerun = null;
+      runJob(name, next).catch(error => console.error(`❌ Job ${name} could not run again:`, error.message));
+    }
+  }
+}
+
+function scheduleJob(name, expression, { params, timezone } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  job.schedules.push({ expression, params: params ?? null, timezone: timezone || null });
+  cron.schedule(expression, () => {
+    runJob(name, { trigger: 'schedule', params }).catch(error => console.error(`❌ Scheduled job ${name} could not run:`, error.message));
+  }, timezone ? { timezone } : undefined);
+}
+
+// Runs left 'running' by a previous process never finished
+async function markInterruptedRuns() {
+  const result = await run(
+    "UPDATE job_runs SET status = 'interrupted', finished_at = CURRENT_TIMESTAMP WHERE status = 'running'"
+  );
+  return result.changes;
+}
+
+async function listJobs() {
+  const jobs = [];
+  for (const job of Object.values(JOBS)) {
+    const lastRun = await get(
+      "SELECT * FROM job_runs WHERE job_name = ? AND status != 'skipped' ORDER BY id DESC LIMIT 1",
+      [job.name]
+    );
+    jobs.push({
+      name: job.name,
+      description: job.description,
+      lockGroup: job.lockGroup,
+      schedules: job.schedules,
+      running: active.has(job.name),
+      lastRun: lastRun ? parseRun(lastRun) : null
+    });
+  }
+  return jobs;
+}
+
+async function listJobRuns({ job, status, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (job) {
+    conditions.push('job_name = ?');
+    params.push(job);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  const rows = await all(
+    `SELECT * FROM job_runs ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(parseRun);
+}
+
+module.exports = {
+  defineJob,
+  getJob,
+  runJob,
+  withLock,
+  scheduleJob,
+  markInterruptedRuns,
+  listJobs,
+  listJobRuns
+};
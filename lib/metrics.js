@@ -0,0 +1,70 @@
+// lib/metrics.js - In-process counters and gauges rendered in the Prometheus text format
+//
+// Metrics live in memory and reset when the process restarts, which Prometheus handles
+// for counters. Each metric is declared once with its type and help text; label values
+// are free-form but should stay low-cardinality (source names, channels, statuses).
+const METRICS = {};
+
+function defineMetric(name, type, help) {
+  if (!METRICS[name]) {
+    METRICS[name] = { name, type, help, series: new Map() };
+  }
+  return METRICS[name];
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function seriesFor(name, labels) {
+  const metric = METRICS[name];
+  if (!metric) throw new Error(`Unknown metric: ${name}`);
+  const key = seriesKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, value: 0 });
+  return metric.series.get(key);
+}
+
+function increment(name, labels = {}, amount = 1) {
+  seriesFor(name, labels).value += amount;
+}
+
+function setGauge(name, labels = {}, value) {
+  seriesFor(name, labels).value = value;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of Object.values(METRICS)) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const { labels, value } of metric.series.values()) {
+      lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+defineMetric('congress_bot_disclosures_fetched_total', 'counter', 'Disclosure records fetched, by source');
+defineMetric('congress_bot_disclosures_unmapped_total', 'counter', 'Disclosure records dropped for having no usable ticker, by source');
+defineMetric('congress_bot_source_errors_total', 'counter', 'Failed disclosure source fetches, by source');
+defineMetric('congress_bot_trades_new_total', 'counter', 'New (not previously seen) trades stored');
+defineMetric('congress_bot_price_requests_total', 'counter', 'Quote and daily bar requests sent to price providers, by provider');
+defineMetric('congress_bot_price_errors_total', 'counter', 'Failed price provider requests, by provider');
+defineMetric('congress_bot_recommendations_total', 'counter', 'Recommendations issued, by action');
+defineMetric('congress_bot_alerts_total', 'counter', 'Notification delivery attempts, by channel and status');
+defineMetric('congress_bot_http_errors_total', 'counter', 'API responses with a 5xx status, by method');
+defineMetric('congress_bot_job_runs_total', 'counter', 'Job runs, by job and status');
+defineMetric('congress_bot_job_duration_seconds', 'gauge', 'Duration of the latest run of each job');
+defineMetric('congress_bot_job_running', 'gauge', '1 while a job is running');
+
+module.exports = { defineMetric, increment, setGauge, renderMetrics };
@@ -0,0 +1,113 @@
+// lib/migrations.js - Versioned schema migrations for trades.db
+//
+// Migrations live in migrations/ as NNN_description.js and run in filename order.
+// Each exports:
+//   description    one line shown by `npm run migrate -- status`
+//   up()           applies the change (async, using lib/db helpers)
+//   down()         optional; migrations without one can't be rolled back
+// Applied versions are recorded in schema_migrations. Each migration runs in a transaction.
+const fs = require('fs');
+const path = require('path');
+const { run, all, inTransaction } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{3})_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      return { version, name, ...require(path.join(dir, file)) };
+    });
+}
+
+async function appliedMigrations() {
+  await run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  return all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Returns { current, migrations: [{ version, name, description, applied, appliedAt, reversible }], pending, unknown }
+ * where `unknown` lists applied versions with no file here (a database from a newer build).
+ */
+async function migrationStatus() {
+  const migrations = loadMigrations();
+  const applied = await appliedMigrations();
+  const appliedAt = Object.fromEntries(applied.map(row => [row.version, row.applied_at]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : null,
+    migrations: migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description || '',
+      applied: Boolean(appliedAt[migration.version]),
+      appliedAt: appliedAt[migration.version] || null,
+      reversible: typeof migration.down === 'function'
+    })),
+    pending: migrations.filter(migration => !appliedAt[migration.version]).map(migration => migration.version),
+    unknown: applied.filter(row => !known.has(row.version)).map(row => row.version)
+  };
+}
+
+// Applies pending migrations up to and including `to` (default: all). Returns the versions applied.
+async function migrateUp({ to } = {}) {
+  const { pending } = await migrationStatus();
+  const migrations = loadMigrations().filter(migration =>
+    pending.includes(migration.version) && (!to || migration.version <= to));
+
+  for (const migration of migrations) {
+    await inTransaction(async () => {
+      await migration.up();
+      await run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`🗄️ Applied migration ${migration.version}_${migration.name}`);
+  }
+  return migrations.map(migration => migration.version);
+}
+
+// Rolls back the last `steps` applied migrations, or every one after version `to`
+async function migrateDown({ steps = 1, to } = {}) {
+  const byVersion = Object.fromEntries(loadMigrations().map(migration => [migration.version, migration]));
+  const applied = (await appliedMigrations()).reverse();
+  const targets = to !== undefined ? applied.filter(row => row.version > to) : applied.slice(0, steps);
+
+  const missing = targets.filter(row => !byVersion[row.version] || typeof byVersion[row.version].down !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Migration ${missing[0].version}_${missing[0].name} can't be rolled back`);
+  }
+
+  for (const row of targets) {
+    await inTransaction(async () => {
+      await byVersion[row.version].down();
+      await run('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+    });
+    console.log(`↩️ Rolled back migration ${row.version}_${row.name}`);
+  }
+  return targets.map(row => row.version);
+}
+
+/**
+ * Startup check: refuses a database migrated by a newer build, then applies pending
+ * migrations, or with AUTO_MIGRATE=false refuses to start until `npm run migrate` is run.
+ */
+async function ensureSchema() {
+  const status = await migrationStatus();
+  if (status.unknown.length > 0) {
+    throw new Error(`Database has migrations this build doesn't know (${status.unknown.join(', ')}); upgrade the bot or roll them back`);
+  }
+  if (status.pending.length === 0) return [];
+  if (process.env.AUTO_MIGRATE === 'false') {
+    throw new Error(`${status.pending.length} pending migrations (${status.pending.join(', ')}); run npm run migrate`);
+  }
+  return migrateUp();
+}
+
+module.exports = { loadMigrations, migrationStatus, migrateUp, migrateDown, ensureSchema };
@@ -0,0 +1,33 @@
+// lib/notifications/channels/discord.js - Discord incoming webhook with one embed per message
+//
+// Options: url, username (defaults to the bot name)
+const axios = require('axios');
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = {
+  type: 'discord',
+
+  validate(options) {
+    return options.url ? null : 'needs a "url"';
+  },
+
+  async send(message, options) {
+    await axios.post(options.url, {
+      username: options.username || 'Congressional Trading Bot',
+      embeds: [{
+        title: truncate(message.title, 256),
+        description: truncate(message.text, 4096),
+        color: message.color,
+        fields: message.fields.slice(0, 25).map(field => ({
+          name: truncate(field.name, 256),
+          value: truncate(String(field.value), 1024),
+          inline: true
+        })),
+        timestamp: new Date().toISOString()
+      }]
+    }, { timeout: 10000, maxRedirects: 0 });
+  }
+};
@@ -0,0 +1,30 @@
+// lib/notifications/channels/ntfy.js - Push notifications through ntfy.sh or a self-hosted ntfy server
+//
+// Options: topic, server (default https://ntfy.sh), token (for protected topics)
+const axios = require('axios');
+
+const PRIORITIES = { high: 5, default: 3, low: 2 };
+
+module.exports = {
+  type: 'ntfy',
+
+  validate(options) {
+    return options.topic ? null : 'needs a "topic"';
+  },
+
+  // JSON publishing keeps emoji in the title, which ntfy's header API can't carry
+  async send(message, options) {
+    const server = (options.server || 'https://ntfy.sh').replace(/\/$/, '');
+    await axios.post(server, {
+      topic: options.topic,
+      title: message.title,
+      message: message.text,
+      priority: PRIORITIES[message.priority] || PRIORITIES.default,
+      tags: message.actions.map(action => action.toLowerCase())
+    }, {
+      headers: options.token ? { Authorization: `Bearer ${options.token}` } : {},
+      timeout: 10000,
+      maxRedirects: 0
+    });
+  }
+};
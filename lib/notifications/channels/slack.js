@@ -0,0 +1,32 @@
+// lib/notifications/channels/slack.js - Slack incoming webhook using Block Kit
+//
+// Options: url
+const axios = require('axios');
+
+// Slack's mrkdwn uses single asterisks for bold and caps section text at 3000 characters
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = {
+  type: 'slack',
+
+  validate(options) {
+    return options.url ? null : 'needs a "url"';
+  },
+
+  async send(message, options) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: truncate(message.title, 150), emoji: true } },
+      { type: 'section', text: { type: 'mrkdwn', text: truncate(message.text, 3000) } }
+    ];
+    if (message.fields.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: message.fields.slice(0, 10).map(field => ({ type: 'mrkdwn', text: truncate(`*${field.name}*\n${field.value}`, 2000) }))
+      });
+    }
+
+    await axios.post(options.url, { text: message.title, blocks }, { timeout: 10000, maxRedirects: 0 });
+  }
+};
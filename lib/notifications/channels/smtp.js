@@ -0,0 +1,44 @@
+// lib/notifications/channels/smtp.js - Email through any SMTP server (or a nodemailer service like gmail)
+//
+// Options: host, port, secure, service, user, pass, from, to (address or list)
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const transporters = {};
+
+// Keyed by every connection and credential option (hashed, so passwords aren't kept as keys):
+// a channel naming someone else's server and user with another password gets its own login
+function transporterFor(options) {
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify([options.service, options.host, options.port, !!options.secure, options.user, options.pass]))
+    .digest('hex');
+  if (!transporters[key]) {
+    const auth = options.user ? { user: options.user, pass: options.pass } : undefined;
+    transporters[key] = options.host
+      ? nodemailer.createTransport({ host: options.host, port: options.port || 587, secure: !!options.secure, auth })
+      : nodemailer.createTransport({ service: options.service || 'gmail', auth });
+  }
+  return transporters[key];
+}
+
+module.exports = {
+  type: 'smtp',
+  transporterFor,
+
+  validate(options) {
+    if (!options.to && !options.user) return 'needs "to" recipients';
+    if (!options.host && !options.service && !options.user) return 'needs a "host" or "service"';
+    return null;
+  },
+
+  async send(message, options) {
+    const to = options.to || options.user;
+    await transporterFor(options).sendMail({
+      from: options.from || options.user,
+      to: Array.isArray(to) ? to.join(', ') : to,
+      subject: message.title,
+      text: message.text,
+      html: message.html || undefined
+    });
+  }
+};
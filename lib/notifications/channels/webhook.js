@@ -0,0 +1,25 @@
+// lib/notifications/channels/webhook.js - Generic JSON POST for custom integrations
+//
+// Options: url, headers (extra request headers, e.g. an auth token)
+const axios = require('axios');
+
+module.exports = {
+  type: 'webhook',
+
+  validate(options) {
+    return options.url ? null : 'needs a "url"';
+  },
+
+  async send(message, options) {
+    await axios.post(options.url, {
+      kind: message.kind,
+      title: message.title,
+      text: message.text,
+      priority: message.priority,
+      actions: message.actions,
+      confidence: message.confidence,
+      data: message.data,
+      sentAt: new Date().toISOString()
+    }, { headers: options.headers || {}, timeout: 10000, maxRedirects: 0 });
+  }
+};
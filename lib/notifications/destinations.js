@@ -0,0 +1,96 @@
+// lib/notifications/destinations.js - Where non-admin users' notification channels may send
+//
+// Channels a viewer stores are requests this server makes on their behalf, so their webhook,
+// Slack, Discord and ntfy URLs and SMTP hosts must not reach the server's own network: only
+// http(s) URLs, and no localhost, loopback, private, link-local or other internal addresses
+// (hostnames are resolved and every address checked). NOTIFY_ALLOWED_HOSTS (comma-separated,
+// e.g. "hooks.slack.com,discord.com") limits them to those hosts and their subdomains instead.
+// Channels don't follow redirects, which would get around the check.
+const dns = require('dns').promises;
+const net = require('net');
+
+function allowedHosts() {
+  return (process.env.NOTIFY_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// The SMTP host or URL a channel connects to; none for named mail services like gmail
+function destinationsOf(options) {
+  if (options.type === 'smtp') return options.host ? [{ host: options.host }] : [];
+  const url = options.type === 'ntfy' ? options.server || 'https://ntfy.sh' : options.url;
+  return url ? [{ url }] : [];
+}
+
+function ipv4Internal(address) {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127);
+}
+
+function internalAddress(address) {
+  if (net.isIPv4(address)) return ipv4Internal(address);
+  const lower = address.toLowerCase();
+  // IPv4-mapped addresses; URL parsing writes them in hex (::ffff:c0a8:101)
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return ipv4Internal(mapped[1]);
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return ipv4Internal(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+async function checkHost(host) {
+  const name = host.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const allowed = allowedHosts();
+  if (allowed.length > 0) {
+    return allowed.some(entry => name === entry || name.endsWith(`.${entry}`)) ? null : `host ${name} is not allowed`;
+  }
+
+  if (name === 'localhost' || name.endsWith('.localhost')) return `host ${name} is internal`;
+  let addresses;
+  try {
+    addresses = net.isIP(name) ? [{ address: name }] : await dns.lookup(name, { all: true });
+  } catch (error) {
+    return `host ${name} does not resolve`;
+  }
+  return addresses.some(({ address }) => internalAddress(address)) ? `host ${name} is internal` : null;
+}
+
+// First problem with a channel's destination, or null
+async function destinationProblem(options) {
+  for (const destination of destinationsOf(options)) {
+    if (destination.host) {
+      const problem = await checkHost(destination.host);
+      if (problem) return problem;
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(destination.url);
+    } catch (error) {
+      return 'has an invalid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'URL must use http or https';
+    const problem = await checkHost(url.hostname);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Throws for the first channel whose destination a non-admin may not use
+async function checkDestinations(channels) {
+  for (const [name, options] of Object.entries(channels)) {
+    const problem = await destinationProblem(options);
+    if (problem) throw new Error(`Notification channel "${name}": ${problem}`);
+  }
+}
+
+module.exports = { checkDestinations, destinationProblem };
@@ -0,0 +1,321 @@
+// lib/notifications/index.js - Routes messages to notification channels and records every delivery
+//
+// Channels and routing rules come from the JSON file at NOTIFICATIONS_CONFIG:
+//   {
+//     "channels": {
+//       "email":  { "type": "smtp", "host": "smtp.example.com", "user": "...", "pass": "...", "to": ["me@example.com"] },
+//       "alerts": { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//       "phone":  { "type": "ntfy", "topic": "my-trading-bot" }
+//     },
+//     "routes": [
+//       { "channels": ["email"] },
+//       { "channels": ["phone"], "kinds": ["recommendation"], "minConfidence": 0.85 },
+//       { "channels": ["alerts"], "actions": ["SELL"] }
+//     ]
+//   }
+// A route matches when every filter it sets matches: kinds (recommendation | digest | test),
+// actions (BUY / SELL, any order in the message) and minConfidence. Without a config file,
+// channels come from EMAIL_USER / EMAIL_PASS (plus SMTP_HOST, SMTP_PORT, SMTP_SECURE, EMAIL_TO),
+// SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL, NTFY_TOPIC (NTFY_SERVER, NTFY_TOKEN) and
+// NOTIFY_WEBHOOK_URL, and every message goes to all of them.
+//
+// That file / environment configuration is the system one. Each user can store their own
+// channels and routes in the same shape (user_notifications, through PUT /api/notifications);
+// admins without settings of their own use the system configuration, viewers get nothing.
+// An admin's smtp channel with only "to" sends through the system's SMTP server; other users
+// give their own server, and their destinations are checked when saved and again before each
+// send (see destinations.js). Stored settings that no longer validate are logged and ignored.
+//
+// Failed deliveries are retried with exponential backoff starting at NOTIFICATION_RETRY_SECONDS
+// (default 60) until NOTIFICATION_MAX_ATTEMPTS (default 5) is reached.
+const fs = require('fs');
+const { run, get, all } = require('../db');
+const { increment } = require('../metrics');
+const { checkDestinations, destinationProblem } = require('./destinations');
+
+const CHANNEL_TYPES = {
+  smtp: require('./channels/smtp'),
+  webhook: require('./channels/webhook'),
+  slack: require('./channels/slack'),
+  discord: require('./channels/discord'),
+  ntfy: require('./channels/ntfy')
+};
+
+// Longest wait between retries
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+let config = null;
+
+const NO_CHANNELS = { channels: {}, routes: [] };
+
+function retryOptions() {
+  return {
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+    baseSeconds: parseFloat(process.env.NOTIFICATION_RETRY_SECONDS) || 60
+  };
+}
+
+// ===== CONFIGURATION =====
+function configFromEnv() {
+  const channels = {};
+
+  if (process.env.EMAIL_USER) {
+    channels.email = {
+      type: 'smtp',
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+      to: process.env.EMAIL_TO ? process.env.EMAIL_TO.split(',').map(address => address.trim()) : process.env.EMAIL_USER
+    };
+  }
+  if (process.env.SLACK_WEBHOOK_URL) {
+    channels.slack = { type: 'slack', url: process.env.SLACK_WEBHOOK_URL };
+  }
+  if (process.env.DISCORD_WEBHOOK_URL) {
+    channels.discord = { type: 'discord', url: process.env.DISCORD_WEBHOOK_URL };
+  }
+  if (process.env.NTFY_TOPIC) {
+    channels.ntfy = { type: 'ntfy', topic: process.env.NTFY_TOPIC, server: process.env.NTFY_SERVER, token: process.env.NTFY_TOKEN };
+  }
+  if (process.env.NOTIFY_WEBHOOK_URL) {
+    channels.webhook = { type: 'webhook', url: process.env.NOTIFY_WEBHOOK_URL };
+  }
+
+  return { channels };
+}
+
+// Throws on unknown channel types, missing options or routes naming unknown channels
+function validateConfig(candidate) {
+  const channels = candidate.channels || {};
+  const names = Object.keys(channels);
+  const routes = candidate.routes || (names.length > 0 ? [{ channels: names }] : []);
+
+  for (const [name, options] of Object.entries(channels)) {
+    const channelType = CHANNEL_TYPES[options.type];
+    if (!channelType) {
+      throw new Error(`Notification channel "${name}" has unknown type "${options.type}"`);
+    }
+    const problem = channelType.validate(options);
+    if (problem) {
+      throw new Error(`Notification channel "${name}" ${problem}`);
+    }
+  }
+
+  routes.forEach((route, index) => {
+    if (!Array.isArray(route.channels) || route.channels.length === 0) {
+      throw new Error(`Notification route ${index + 1} needs a "channels" list`);
+    }
+    const unknown = route.channels.filter(name => !channels[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Notification route ${index + 1} names unknown channels: ${unknown.join(', ')}`);
+    }
+  });
+
+  return { channels, routes };
+}
+
+// The system configuration, from NOTIFICATIONS_CONFIG or the environment
+function notificationConfig() {
+  if (!config) {
+    const file = process.env.NOTIFICATIONS_CONFIG;
+    config = validateConfig(file ? JSON.parse(fs.readFileSync(file, 'utf8')) : configFromEnv());
+  }
+  return config;
+}
+
+const SMTP_SERVER_OPTIONS = ['host', 'port', 'secure', 'service', 'user', 'pass', 'from'];
+
+// Fills in the system SMTP server for smtp channels that only give recipients
+function withSystemSmtp(candidate) {
+  const server = Object.values(notificationConfig().channels).find(options => options.type === 'smtp');
+  const channels = {};
+  for (const [name, options] of Object.entries(candidate.channels || {})) {
+    const recipientsOnly = options && options.type === 'smtp' && !options.host && !options.service && !options.user;
+    channels[name] = recipientsOnly && server
+      ? { ...Object.fromEntries(SMTP_SERVER_OPTIONS.map(option => [option, server[option]])), ...options }
+      : options;
+  }
+  return { ...candidate, channels };
+}
+
+// Admins' channels may use the system SMTP server and any destination
+function userChannels(candidate, role) {
+  return role === 'admin' ? withSystemSmtp(candidate) : candidate;
+}
+
+// A user's own settings, else the system configuration for admins. `restricted` marks
+// configurations whose destinations are checked before sending.
+async function loadUserConfig(userId) {
+  const row = await get(
+    `SELECT users.role, user_notifications.config FROM users
+     LEFT JOIN user_notifications ON user_notifications.user_id = users.id WHERE users.id = ?`,
+    [userId]
+  );
+  if (row && row.config) {
+    try {
+      return { ...validateConfig(userChannels(JSON.parse(row.config), row.role)), source: 'user', restricted: row.role !== 'admin' };
+    } catch (error) {
+      console.log(`⚠️ Ignoring notification settings of user ${userId}: ${error.message}`);
+    }
+  }
+  if (row && row.role === 'admin') return { ...notificationConfig(), source: 'system' };
+  return { ...NO_CHANNELS, source: 'none' };
+}
+
+// Replaces a user's settings ({ channels, routes }), or clears them with null. Returns { settings } or { error }.
+async function updateUserConfig(userId, candidate) {
+  if (candidate === null) {
+    await run('DELETE FROM user_notifications WHERE user_id = ?', [userId]);
+    return { settings: await describeChannels(userId) };
+  }
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { error: 'Notification settings must be an object with channels and routes' };
+  }
+  if (candidate.channels !== undefined && (typeof candidate.channels !== 'object' || Array.isArray(candidate.channels))) {
+    return { error: 'channels must be an object keyed by channel name' };
+  }
+
+  const user = await get('SELECT role FROM users WHERE id = ?', [userId]);
+  try {
+    const { channels } = validateConfig(userChannels(candidate, user && user.role));
+    if (!user || user.role !== 'admin') await checkDestinations(channels);
+  } catch (error) {
+    return { error: error.message };
+  }
+  await run(
+    `INSERT INTO user_notifications (user_id, config, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id) DO UPDATE SET config = excluded.config, updated_at = CURRENT_TIMESTAMP`,
+    [userId, JSON.stringify({ channels: candidate.channels || {}, routes: candidate.routes })]
+  );
+  return { settings: await describeChannels(userId) };
+}
+
+// Channel names and types only; options hold credentials and webhook secrets
+async function describeChannels(userId) {
+  const { channels, routes, source } = userId === undefined ? { ...notificationConfig(), source: 'system' } : await loadUserConfig(userId);
+  return {
+    source,
+    channels: Object.entries(channels).map(([name, options]) => ({ name, type: options.type })),
+    routes
+  };
+}
+
+// ===== ROUTING =====
+function routeMatches(route, message) {
+  if (route.kinds && !route.kinds.includes(message.kind)) return false;
+  if (route.actions && !message.actions.some(action => route.actions.includes(action))) return false;
+  if (route.minConfidence !== undefined && !(message.confidence >= route.minConfidence)) return false;
+  return true;
+}
+
+function channelsFor(message, { routes }) {
+  return [...new Set(routes.filter(route => routeMatches(route, message)).flatMap(route => route.channels))];
+}
+
+// ===== DELIVERY =====
+async function attemptDelivery(delivery, message, userConfig) {
+  const options = userConfig.channels[delivery.channel];
+  const attempts = delivery.attempts + 1;
+  const { maxAttempts, baseSeconds } = retryOptions();
+
+  try {
+    if (!options) {
+      throw new Error(`Channel "${delivery.channel}" is no longer configured`);
+    }
+    const problem = userConfig.restricted ? await destinationProblem(options) : null;
+    if (problem) throw new Error(`Channel "${delivery.channel}": ${problem}`);
+    await CHANNEL_TYPES[options.type].send(message, options);
+    await run(
+      "UPDATE notification_deliveries SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [attempts, delivery.id]
+    );
+    console.log(`🔔 ${delivery.channel}: ${message.title}`);
+    increment('congress_bot_alerts_total', { channel: delivery.channel, status: 'sent' });
+    return 'sent';
+  } catch (error) {
+    const detail = error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+    const giveUp = !options || attempts >= maxAttempts;
+    const backoff = Math.min(baseSeconds * Math.pow(2, attempts - 1), MAX_BACKOFF_SECONDS);
+
+    await run(
+      `UPDATE notification_deliveries SET status = ?, attempts = ?, last_error = ?,
+         next_attempt_at = ${giveUp ? 'NULL' : "datetime('now', ?)"} WHERE id = ?`,
+      giveUp
+        ? ['failed', attempts, detail, delivery.id]
+        : ['retrying', attempts, detail, `+${Math.round(backoff)} seconds`, delivery.id]
+    );
+    console.error(`❌ ${delivery.channel} delivery failed (attempt ${attempts}/${maxAttempts}):`, detail);
+    increment('congress_bot_alerts_total', { channel: delivery.channel, status: giveUp ? 'failed' : 'retrying' });
+    return giveUp ? 'failed' : 'retrying';
+  }
+}
+
+/**
+ * Sends a message (see templates.js) to every one of `options.userId`'s channels whose
+ * routes match it, or to `options.channels` when given. Each delivery is stored in
+ * notification_deliveries before sending. Returns [{ channel, status }].
+ */
+async function notify(message, options = {}) {
+  const userConfig = await loadUserConfig(options.userId);
+  const channels = options.channels || channelsFor(message, userConfig);
+  if (channels.length === 0) {
+    console.log(`🔕 No notification channel for: ${message.title}`);
+    return [];
+  }
+
+  const results = [];
+  for (const channel of channels) {
+    const type = userConfig.channels[channel]?.type || null;
+    const saved = await run(
+      `INSERT INTO notification_deliveries (user_id, kind, channel, channel_type, title, message, status, attempts, recommendation_id)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?)`,
+      [options.userId, message.kind, channel, type, message.title, JSON.stringify(message), options.recommendationId ?? null]
+    );
+    const status = await attemptDelivery({ id: saved.lastID, channel, attempts: 0 }, message, userConfig);
+    results.push({ channel, status });
+  }
+  return results;
+}
+
+// Resends deliveries whose backoff has elapsed; called from a cron job
+async function retryPendingDeliveries() {
+  const due = await all(
+    "SELECT * FROM notification_deliveries WHERE status = 'retrying' AND next_attempt_at <= datetime('now') ORDER BY id"
+  );
+  for (const delivery of due) {
+    await attemptDelivery(delivery, JSON.parse(delivery.message), await loadUserConfig(delivery.user_id));
+  }
+  return due.length;
+}
+
+// Puts a failed delivery back in the retry queue with a fresh set of attempts
+async function requeueDelivery(userId, id) {
+  const delivery = await get('SELECT id, status FROM notification_deliveries WHERE id = ? AND user_id = ?', [id, userId]);
+  if (!delivery) return null;
+  await run(
+    "UPDATE notification_deliveries SET status = 'retrying', attempts = 0, next_attempt_at = datetime('now') WHERE id = ?",
+    [id]
+  );
+  return delivery;
+}
+
+async function listDeliveries(userId, { status, limit = 50 } = {}) {
+  return all(
+    `SELECT id, kind, channel, channel_type, title, status, attempts, last_error, next_attempt_at, recommendation_id, created_at, sent_at
+     FROM notification_deliveries WHERE user_id = ? ${status ? 'AND status = ?' : ''} ORDER BY id DESC LIMIT ?`,
+    status ? [userId, status, limit] : [userId, limit]
+  );
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  notificationConfig,
+  updateUserConfig,
+  describeChannels,
+  notify,
+  retryPendingDeliveries,
+  requeueDelivery,
+  listDeliveries
+};
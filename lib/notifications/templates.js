@@ -0,0 +1,313 @@
+// lib/notifications/templates.js - Channel-neutral messages for recommendations and digests
+//
+// A message is rendered once and each channel picks the parts it can show:
+//   kind        recommendation | digest | test
+//   title       subject line / heading
+//   text        plain-text body (ntfy, webhooks, fallbacks)
+//   html        full email body
+//   fields      [{ name, value }] for Slack and Discord
+//   color       accent colour as a hex number
+//   priority    high | default | low
+//   actions     order actions in the message, used by routing rules
+//   confidence  highest order confidence in the message, used by routing rules
+//   data        raw payload for JSON webhooks
+
+const { orderSide } = require('../engine');
+
+// Confidence above which an order is high urgency
+const HIGH_URGENCY_CONFIDENCE = 0.85;
+
+const COLORS = { BUY: 0x2e7d32, OPEN: 0x1b5e20, SELL: 0xd32f2f, CLOSE: 0xb71c1c, digest: 0x1976d2, test: 0x757575 };
+const HEADINGS = { BUY: 'BUY', SELL: 'SELL', OPEN: 'OPEN NEW POSITION', CLOSE: 'CLOSE POSITION' };
+
+function urgencyLabel(confidence) {
+  if (confidence > HIGH_URGENCY_CONFIDENCE) return 'HIGH - Act within 1 hour';
+  if (confidence > 0.7) return 'MEDIUM - Act within 4 hours';
+  return 'LOW - Act within 24 hours';
+}
+
+function formatMove(move) {
+  return `${move >= 0 ? '+' : ''}${(move * 100).toFixed(1)}%`;
+}
+
+function formatMoney(amount) {
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(0)}`;
+}
+
+// Notes from an order's tax estimate (lib/tax-lots.js): gains for sells, wash-sale and deferral warnings
+function taxNotes(tax) {
+  if (!tax) return [];
+  const notes = [];
+  if (tax.lots) {
+    notes.push(`Est. gains: ${formatMoney(tax.shortTermGain)} short-term, ${formatMoney(tax.longTermGain)} long-term (${tax.method.toUpperCase()} lots)`);
+    if (tax.unmatchedShares > 0) notes.push(`${tax.unmatchedShares.toFixed(3)} shares have no recorded cost basis`);
+  }
+  if (tax.washSale) {
+    notes.push(tax.washSale.boughtAt
+      ? `⚠️ Possible wash sale: ${formatMoney(tax.washSale.loss)} loss within 30 days of buying on ${tax.washSale.boughtAt}`
+      : `⚠️ Possible wash sale: sold at a ${formatMoney(tax.washSale.loss)} loss on ${tax.washSale.soldAt}, within 30 days`);
+  }
+  if (tax.deferral) {
+    notes.push(`⏳ Waiting ${tax.deferral.days} days (until ${tax.deferral.until}) would make ${formatMoney(tax.deferral.gain)} of gains long-term`);
+  }
+  return notes;
+}
+
+const PAPER_NOTE = 'Paper trading: already filled automatically at the latest quote; no action needed.';
+
+function paperBannerHtml(paper) {
+  return paper
+    ? `<div style="background: #fffde7; padding: 12px 20px; border-radius: 10px; margin: 20px 0;">📝 ${PAPER_NOTE}</div>`
+    : '';
+}
+
+function footerHtml() {
+  return `
+      <div style="text-align: center; padding: 20px; color: #666; font-size: 12px;">
+        <p>Generated at ${new Date().toLocaleString()}</p>
+        <p>Congressional Trading Bot - Following the most successful traders in Congress</p>
+      </div>`;
+}
+
+/**
+ * A single saved recommendation. `portfolio` is server.js's userPortfolio, used for
+ * the portfolio impact section; `expiryHours` is how long the recommendation stays pending.
+ * `paper` marks recommendations the paper-trading simulator has already filled.
+ */
+function recommendationMessage(recommendation, { portfolio, expiryHours, paper = false }) {
+  const { id, symbol, action, currentPrice, recommendedAmount, sharesToTrade, reason, confidence, lagDays, priceMoveSinceTrade, tax } = recommendation;
+  const notes = taxNotes(tax);
+  const hasLag = lagDays !== null && lagDays !== undefined;
+  const hasMove = priceMoveSinceTrade !== null && priceMoveSinceTrade !== undefined;
+
+  // Paper fills have already been applied to the portfolio
+  const isBuy = orderSide(action) === 'BUY';
+  const position = portfolio.positions[symbol] || { currentValue: 0 };
+  const change = isBuy ? recommendedAmount : -recommendedAmount;
+  const valueBefore = paper ? position.currentValue - change : position.currentValue;
+  const valueAfter = valueBefore + change;
+  const allocationAfter = portfolio.totalValue > 0 ? valueAfter / portfolio.totalValue : 0;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: ${isBuy ? '#e8f5e8' : '#ffe8e8'}; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h2 style="margin: 0; color: ${isBuy ? '#2e7d32' : '#d32f2f'};">
+          🚨 ${HEADINGS[action] || action} RECOMMENDATION
+        </h2>
+        <h3 style="margin: 10px 0;">${symbol} - ${action} $${recommendedAmount.toFixed(0)}</h3>
+      </div>
+      ${paperBannerHtml(paper)}
+
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>📊 Trade Details</h3>
+        <p><strong>Current Price:</strong> $${currentPrice.toFixed(2)}</p>
+        <p><strong>Shares to ${isBuy ? 'buy' : 'sell'}:</strong> ${sharesToTrade.toFixed(3)}</p>
+        <p><strong>Confidence Level:</strong> ${(confidence * 100).toFixed(0)}%</p>
+        ${hasLag ? `<p><strong>Disclosure Lag:</strong> ${lagDays} days after the member's trade</p>` : ''}
+        ${hasMove ? `<p><strong>Price Move Since Member's Trade:</strong> ${formatMove(priceMoveSinceTrade)}</p>` : ''}
+        <p><strong>Urgency:</strong> ${urgencyLabel(confidence)}</p>
+      </div>
+
+      <div style="background: #e3f2fd; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>🧠 Analysis</h3>
+        <p>${reason}</p>
+      </div>
+      ${notes.length > 0 ? `
+      <div style="background: #fffde7; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>🧾 Tax</h3>
+        ${notes.map(note => `<p>${note}</p>`).join('')}
+      </div>` : ''}
+
+      <div style="background: #fff3e0; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>💼 Portfolio Impact</h3>
+        <p><strong>${paper ? 'Previous' : 'Current'} ${symbol} value:</strong> $${valueBefore.toFixed(2)}</p>
+        <p><strong>After ${action}:</strong> $${valueAfter.toFixed(2)}</p>
+        <p><strong>New allocation:</strong> ${(allocationAfter * 100).toFixed(1)}%</p>
+      </div>
+
+      <div style="background: #f3e5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>📱 Step-by-Step Instructions</h3>
+        <ol style="line-height: 1.8;">
+          <li><strong>Open your brokerage app</strong> (Robinhood, Fidelity, Schwab, etc.)</li>
+          <li><strong>Search for "${symbol}"</strong></li>
+          <li><strong>Choose order type:</strong> Market ${isBuy ? 'Buy' : 'Sell'} Order</li>
+          <li><strong>Enter amount:</strong>
+            <ul>
+              <li>Dollar amount: $${recommendedAmount.toFixed(0)}</li>
+              <li>OR Share amount: ${sharesToTrade.toFixed(3)} shares</li>
+            </ul>
+          </li>
+          <li><strong>Review and submit</strong> the order</li>
+          <li><strong>Confirm execution</strong> with your fill price, shares and fees via <code>POST /api/recommendations/${id}/execute</code> (or dismiss it via <code>/dismiss</code>)</li>
+        </ol>
+        <p style="color: #666;">Recommendation #${id} expires in ${expiryHours} hours if not confirmed.</p>
+      </div>
+      ${footerHtml()}
+    </div>
+  `;
+
+  const text = [
+    `${action} ${symbol} $${recommendedAmount.toFixed(0)} (${sharesToTrade.toFixed(3)} shares @ $${currentPrice.toFixed(2)})`,
+    `Confidence ${(confidence * 100).toFixed(0)}% - ${urgencyLabel(confidence)}`,
+    reason,
+    ...notes,
+    hasLag ? `Disclosed ${lagDays} days after the member's trade${hasMove ? `, price ${formatMove(priceMoveSinceTrade)} since` : ''}` : null,
+    paper ? PAPER_NOTE : `Confirm: POST /api/recommendations/${id}/execute (or /dismiss). Expires in ${expiryHours} hours.`
+  ].filter(Boolean).join('\n');
+
+  const fields = [
+    { name: 'Amount', value: `$${recommendedAmount.toFixed(0)}` },
+    { name: 'Shares', value: `${sharesToTrade.toFixed(3)} @ $${currentPrice.toFixed(2)}` },
+    { name: 'Confidence', value: `${(confidence * 100).toFixed(0)}%` },
+    { name: 'Urgency', value: urgencyLabel(confidence) },
+    { name: 'New allocation', value: `${(allocationAfter * 100).toFixed(1)}%` }
+  ];
+  if (hasLag) fields.push({ name: 'Disclosure lag', value: `${lagDays} days` });
+  if (hasMove) fields.push({ name: 'Price move since trade', value: formatMove(priceMoveSinceTrade) });
+  if (notes.length > 0) fields.push({ name: 'Tax', value: notes.join('\n') });
+
+  return {
+    kind: 'recommendation',
+    title: `${paper ? '📝 [PAPER] ' : ''}🚨 ${action} ALERT: ${symbol} - $${recommendedAmount.toFixed(0)}`,
+    text,
+    html,
+    fields,
+    color: COLORS[action],
+    priority: confidence > HIGH_URGENCY_CONFIDENCE ? 'high' : 'default',
+    actions: [action],
+    confidence,
+    data: {
+      id,
+      symbol,
+      action,
+      currentPrice,
+      recommendedAmount,
+      sharesToTrade,
+      confidence,
+      reason,
+      members: recommendation.members || [],
+      paper,
+      lagDays: hasLag ? lagDays : null,
+      priceMoveSinceTrade: hasMove ? priceMoveSinceTrade : null,
+      tax: tax || null
+    }
+  };
+}
+
+// All orders from one processing run's rebalancing plan (see lib/engine.js)
+function digestMessage(plan, { expiryHours, paper = false }) {
+  const { orders, skipped, cashBefore, cashAfter } = plan;
+  const buys = orders.filter(order => orderSide(order.action) === 'BUY').reduce((sum, order) => sum + order.recommendedAmount, 0);
+  const sells = orders.filter(order => orderSide(order.action) === 'SELL').reduce((sum, order) => sum + order.recommendedAmount, 0);
+  const confidence = Math.max(...orders.map(order => order.confidence));
+
+  const rows = orders.map(order => `
+        <tr style="border-top: 1px solid #ddd;">
+          <td style="padding: 8px;"><strong>#${order.id}</strong></td>
+          <td style="padding: 8px; color: ${orderSide(order.action) === 'BUY' ? '#2e7d32' : '#d32f2f'};"><strong>${order.action} ${order.symbol}</strong></td>
+          <td style="padding: 8px;">$${order.recommendedAmount.toFixed(0)}<br><span style="color: #666;">${order.sharesToTrade.toFixed(3)} sh @ $${order.currentPrice.toFixed(2)}</span></td>
+          <td style="padding: 8px;">${(order.confidence * 100).toFixed(0)}%<br><span style="color: #666;">${urgencyLabel(order.confidence)}</span></td>
+        </tr>
+        <tr>
+          <td></td>
+          <td colspan="3" style="padding: 0 8px 8px; color: #444; font-size: 13px;">${[order.reason, ...taxNotes(order.tax)].join('<br>')}</td>
+        </tr>`).join('');
+
+  const skippedList = skipped.length > 0
+    ? `<div style="background: #f5f5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>⏭️ Not Acted On</h3>
+        <ul>${skipped.map(item => `<li><strong>${item.symbol}:</strong> ${item.reason}</li>`).join('')}</ul>
+      </div>`
+    : '';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+      <div style="background: #e3f2fd; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h2 style="margin: 0;">📋 Rebalancing Plan</h2>
+        <p><strong>Buys:</strong> $${buys.toFixed(0)} &nbsp; <strong>Sells:</strong> $${sells.toFixed(0)}</p>
+        <p><strong>Cash:</strong> $${cashBefore.toFixed(2)} → $${cashAfter.toFixed(2)}</p>
+      </div>
+      ${paperBannerHtml(paper)}
+
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr style="text-align: left;"><th style="padding: 8px;">ID</th><th style="padding: 8px;">Order</th><th style="padding: 8px;">Amount</th><th style="padding: 8px;">Confidence</th></tr>
+        ${rows}
+      </table>
+
+      ${skippedList}
+
+      <div style="background: #f3e5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <h3>📱 Next Steps</h3>
+        <p>Place sells before buys so their proceeds fund the purchases. Confirm each fill via <code>POST /api/recommendations/:id/execute</code> with your price, shares and fees, or dismiss it via <code>/dismiss</code>.</p>
+        <p style="color: #666;">Recommendations expire in ${expiryHours} hours if not confirmed.</p>
+      </div>
+      ${footerHtml()}
+    </div>
+  `;
+
+  const orderLine = order =>
+    `#${order.id} ${order.action} ${order.symbol} $${order.recommendedAmount.toFixed(0)} (${order.sharesToTrade.toFixed(3)} sh @ $${order.currentPrice.toFixed(2)}), confidence ${(order.confidence * 100).toFixed(0)}%`;
+
+  const text = [
+    `Buys $${buys.toFixed(0)}, sells $${sells.toFixed(0)}, cash $${cashBefore.toFixed(2)} -> $${cashAfter.toFixed(2)}`,
+    ...orders.flatMap(order => [orderLine(order), ...taxNotes(order.tax).map(note => `  ${note}`)]),
+    ...skipped.map(item => `Skipped ${item.symbol}: ${item.reason}`),
+    paper ? PAPER_NOTE : 'Confirm each fill via POST /api/recommendations/:id/execute (or /dismiss).'
+  ].join('\n');
+
+  return {
+    kind: 'digest',
+    title: `${paper ? '📝 [PAPER] ' : ''}📋 Rebalancing plan: ${orders.length} order${orders.length === 1 ? '' : 's'} (${orders.map(order => `${order.action} ${order.symbol}`).join(', ')})`,
+    text,
+    html,
+    fields: orders.map(order => ({
+      name: `#${order.id} ${order.action} ${order.symbol}`,
+      value: `$${order.recommendedAmount.toFixed(0)} · ${(order.confidence * 100).toFixed(0)}%`
+    })),
+    color: COLORS.digest,
+    priority: confidence > HIGH_URGENCY_CONFIDENCE ? 'high' : 'default',
+    actions: [...new Set(orders.map(order => order.action))],
+    confidence,
+    data: {
+      paper,
+      cashBefore,
+      cashAfter,
+      orders: orders.map(order => ({
+        id: order.id,
+        symbol: order.symbol,
+        action: order.action,
+        currentPrice: order.currentPrice,
+        recommendedAmount: order.recommendedAmount,
+        sharesToTrade: order.sharesToTrade,
+        confidence: order.confidence,
+        members: order.members || [],
+        reason: order.reason,
+        tax: order.tax || null
+      })),
+      skipped
+    }
+  };
+}
+
+function testMessage() {
+  return {
+    kind: 'test',
+    title: '🤖 Bot Test',
+    text: 'Congressional Trading Bot is working! Notifications are configured correctly.',
+    html: '<h2>Congressional Trading Bot is working!</h2><p>Notifications are configured correctly.</p>',
+    fields: [],
+    color: COLORS.test,
+    priority: 'low',
+    actions: [],
+    confidence: null,
+    data: {}
+  };
+}
+
+module.exports = {
+  HIGH_URGENCY_CONFIDENCE,
+  urgencyLabel,
+  recommendationMessage,
+  digestMessage,
+  testMessage
+};
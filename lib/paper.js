@@ -0,0 +1,208 @@
+// lib/paper.js - Paper trading: simulated fills, a transaction ledger and per-position P&L
+//
+// With PAPER_TRADING=true every approved recommendation is filled automatically at the
+// latest quote, moved against us by PAPER_SLIPPAGE_BPS (default 10 = 0.10%), and charged
+// PAPER_COMMISSION dollars per order plus PAPER_COMMISSION_BPS of the traded value
+// (both default 0).
+//
+// Fills go to each user's paper account, never to the live portfolio, positions or tax lots.
+// The account (paper_accounts for cash, paper_positions for holdings, targets, average-cost
+// basis and realized P&L, paper_snapshots for value history) opens as a copy of the live
+// portfolio the first time it is used, with holdings booked at their current price.
+const { run, get, all } = require('./db');
+const { orderSide } = require('./engine');
+
+function paperTradingEnabled() {
+  return process.env.PAPER_TRADING === 'true';
+}
+
+// Unset or non-numeric values fall back to the default; 0 is a valid setting
+function numberOption(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function paperOptions() {
+  return {
+    slippageBps: numberOption(process.env.PAPER_SLIPPAGE_BPS, 10),
+    commission: numberOption(process.env.PAPER_COMMISSION, 0),
+    commissionBps: numberOption(process.env.PAPER_COMMISSION_BPS, 0)
+  };
+}
+
+// Buys (BUY / OPEN) fill above the quote and sells (SELL / CLOSE) below it
+function paperFillPrice(quotePrice, action, options = paperOptions()) {
+  const slippage = quotePrice * options.slippageBps / 10000;
+  return orderSide(action) === 'BUY' ? quotePrice + slippage : quotePrice - slippage;
+}
+
+function paperCommission(amount, options = paperOptions()) {
+  return options.commission + amount * options.commissionBps / 10000;
+}
+
+// ===== ACCOUNT =====
+/**
+ * The user's paper account in the portfolio shape server.js uses, flagged `paper: true`.
+ * Without an account yet, one is opened from `live` (the live portfolio) when given;
+ * otherwise resolves to null.
+ */
+async function loadPaperAccount(userId, live = null) {
+  let account = await get('SELECT cash FROM paper_accounts WHERE user_id = ?', [userId]);
+  if (!account) {
+    if (!live) return null;
+    await openPaperAccount(userId, live);
+    account = { cash: live.cash };
+  }
+
+  const positions = {};
+  const rows = await all('SELECT * FROM paper_positions WHERE user_id = ? AND (shares > 0 OR target_allocation > 0)', [userId]);
+  for (const row of rows) {
+    const currentPrice = row.current_price || 0;
+    positions[row.symbol] = { shares: row.shares, targetAllocation: row.target_allocation || 0, currentPrice, currentValue: row.shares * currentPrice };
+  }
+  const totalValue = account.cash + Object.values(positions).reduce((sum, position) => sum + position.currentValue, 0);
+  return { userId, paper: true, totalValue, cash: account.cash, positions, lastUpdated: new Date() };
+}
+
+// Copies the live holdings, cash and targets; earlier books keep their realized P&L
+async function openPaperAccount(userId, live) {
+  await run('INSERT INTO paper_accounts (user_id, cash) VALUES (?, ?)', [userId, live.cash]);
+  await run('UPDATE paper_positions SET shares = 0, cost_basis = 0, target_allocation = 0 WHERE user_id = ?', [userId]);
+  for (const [symbol, position] of Object.entries(live.positions)) {
+    await run(
+      `INSERT INTO paper_positions (user_id, symbol, shares, cost_basis, current_price, target_allocation, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(user_id, symbol) DO UPDATE SET
+         shares = excluded.shares,
+         cost_basis = excluded.cost_basis,
+         current_price = excluded.current_price,
+         target_allocation = excluded.target_allocation,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, symbol, position.shares, position.shares * position.currentPrice, position.currentPrice, position.targetAllocation || 0]
+    );
+  }
+  console.log(`📝 Opened paper account for user ${userId} with $${live.cash.toFixed(2)} cash and ${Object.keys(live.positions).length} positions`);
+}
+
+async function savePaperPosition(userId, symbol, position) {
+  await run(
+    `INSERT INTO paper_positions (user_id, symbol, shares, current_price, target_allocation, updated_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id, symbol) DO UPDATE SET
+       shares = excluded.shares,
+       current_price = excluded.current_price,
+       target_allocation = excluded.target_allocation,
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId, symbol, position.shares, position.currentPrice, position.targetAllocation || 0]
+  );
+}
+
+async function savePaperCash(userId, cash) {
+  await run('UPDATE paper_accounts SET cash = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?', [cash, userId]);
+}
+
+// ===== FILLS =====
+/**
+ * Books a simulated fill in the ledger and updates the symbol's average-cost basis.
+ * The account's shares and cash are saved by the caller. Returns the ledger row.
+ */
+async function recordPaperFill(userId, { recommendationId, symbol, action, shares, price, quotePrice, commission, cashAfter }) {
+  let book = await get('SELECT * FROM paper_positions WHERE user_id = ? AND symbol = ?', [userId, symbol]);
+  if (!book) {
+    book = { symbol, shares: 0, cost_basis: 0, realized_pnl: 0 };
+  }
+
+  const amount = shares * price;
+  let realizedPnl = 0;
+  if (orderSide(action) === 'BUY') {
+    book.shares += shares;
+    book.cost_basis += amount + commission;
+  } else {
+    const averageCost = book.shares > 0 ? book.cost_basis / book.shares : price;
+    const sold = Math.min(shares, book.shares);
+    realizedPnl = amount - commission - averageCost * sold;
+    book.cost_basis = Math.max(book.cost_basis - averageCost * sold, 0);
+    book.shares = Math.max(book.shares - sold, 0);
+    book.realized_pnl += realizedPnl;
+  }
+
+  await run(
+    `INSERT INTO paper_positions (user_id, symbol, shares, cost_basis, realized_pnl, updated_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id, symbol) DO UPDATE SET
+       shares = excluded.shares,
+       cost_basis = excluded.cost_basis,
+       realized_pnl = excluded.realized_pnl,
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId, symbol, book.shares, book.cost_basis, book.realized_pnl]
+  );
+
+  const saved = await run(
+    `INSERT INTO paper_ledger (user_id, recommendation_id, symbol, action, shares, price, quote_price, slippage, commission, amount, realized_pnl, cash_after)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, recommendationId ?? null, symbol, action, shares, price, quotePrice, Math.abs(price - quotePrice) * shares, commission, amount, realizedPnl, cashAfter]
+  );
+  return get('SELECT * FROM paper_ledger WHERE id = ?', [saved.lastID]);
+}
+
+async function listPaperLedger(userId, { symbol, limit = 100 } = {}) {
+  return all(
+    `SELECT * FROM paper_ledger WHERE user_id = ? ${symbol ? 'AND symbol = ?' : ''} ORDER BY id DESC LIMIT ?`,
+    symbol ? [userId, symbol.toUpperCase(), limit] : [userId, limit]
+  );
+}
+
+/**
+ * Cash, value and realized and unrealized P&L per symbol of the paper account from
+ * loadPaperAccount (null when none was opened yet).
+ */
+async function paperPnl(userId, account) {
+  const books = await all('SELECT * FROM paper_positions WHERE user_id = ?', [userId]);
+  const bySymbol = Object.fromEntries(books.map(book => [book.symbol, book]));
+  const held = account ? account.positions : {};
+  const symbols = [...new Set([...Object.keys(held), ...Object.keys(bySymbol)])].sort();
+
+  const positions = symbols.map(symbol => {
+    const position = held[symbol] || { shares: 0, currentPrice: 0, currentValue: 0 };
+    const book = bySymbol[symbol];
+    const averageCost = book && book.shares > 0 ? book.cost_basis / book.shares : position.currentPrice;
+    const costBasis = averageCost * position.shares;
+    return {
+      symbol,
+      shares: position.shares,
+      averageCost,
+      costBasis,
+      marketValue: position.currentValue,
+      unrealizedPnl: position.currentValue - costBasis,
+      realizedPnl: book ? book.realized_pnl : 0
+    };
+  });
+
+  const totals = await get(
+    'SELECT COUNT(*) AS fills, COALESCE(SUM(commission), 0) AS commissions, COALESCE(SUM(slippage), 0) AS slippage FROM paper_ledger WHERE user_id = ?',
+    [userId]
+  );
+  return {
+    cash: account ? account.cash : null,
+    totalValue: account ? account.totalValue : null,
+    positions,
+    realizedPnl: positions.reduce((sum, p) => sum + p.realizedPnl, 0),
+    unrealizedPnl: positions.reduce((sum, p) => sum + p.unrealizedPnl, 0),
+    fills: totals.fills,
+    commissions: totals.commissions,
+    slippage: totals.slippage
+  };
+}
+
+module.exports = {
+  paperTradingEnabled,
+  paperOptions,
+  paperFillPrice,
+  paperCommission,
+  loadPaperAccount,
+  savePaperPosition,
+  savePaperCash,
+  recordPaperFill,
+  listPaperLedger,
+  paperPnl
+};
@@ -0,0 +1,105 @@
+// lib/performance.js - Time-weighted return, drawdown and benchmark comparison from daily snapshots
+//
+// Works on points shaped { date, equity, netFlow } where netFlow is cash added (positive)
+// or withdrawn (negative) that day outside of trading, e.g. editing cash or positions by hand.
+// Flows are treated as arriving before the day's close, so they don't count as returns.
+const { daysBetween } = require('./dates');
+
+// Daily returns chained into a time-weighted return
+function timeWeightedReturn(points) {
+  let growth = 1;
+  const series = points.length > 0 ? [{ date: points[0].date, cumulativeReturn: 0 }] : [];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1].equity;
+    if (previous > 0) {
+      growth *= (points[i].equity - (points[i].netFlow || 0)) / previous;
+    }
+    series.push({ date: points[i].date, cumulativeReturn: growth - 1 });
+  }
+
+  const days = points.length > 1 ? Math.max(daysBetween(points[0].date, points[points.length - 1].date), 1) : 0;
+  return {
+    totalReturn: growth - 1,
+    annualizedReturn: days >= 30 && growth > 0 ? Math.pow(growth, 365.25 / days) - 1 : null,
+    days,
+    series
+  };
+}
+
+// Drawdowns measured on the time-weighted growth curve, so deposits don't hide losses
+function drawdowns(points) {
+  const { series } = timeWeightedReturn(points);
+  let peak = 1;
+  let peakDate = series.length > 0 ? series[0].date : null;
+  let maxDrawdown = 0;
+  let maxDrawdownPeak = null;
+  let maxDrawdownTrough = null;
+
+  const curve = series.map(point => {
+    const value = 1 + point.cumulativeReturn;
+    if (value > peak) {
+      peak = value;
+      peakDate = point.date;
+    }
+    const drawdown = peak > 0 ? (peak - value) / peak : 0;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPeak = peakDate;
+      maxDrawdownTrough = point.date;
+    }
+    return { date: point.date, drawdown };
+  });
+
+  return {
+    maxDrawdown,
+    maxDrawdownPeak,
+    maxDrawdownTrough,
+    currentDrawdown: curve.length > 0 ? curve[curve.length - 1].drawdown : 0,
+    curve
+  };
+}
+
+/**
+ * Compares the strategy with buying `bars` (daily closes, ascending) on the first
+ * snapshot date. Missing benchmark days carry the previous close forward.
+ */
+function compareToBenchmark(points, bars, symbol) {
+  const strategy = timeWeightedReturn(points);
+  const closes = [];
+  let barIndex = 0;
+  let lastClose = null;
+
+  for (const point of points) {
+    while (barIndex < bars.length && bars[barIndex].date <= point.date) {
+      lastClose = bars[barIndex++].close;
+    }
+    closes.push(lastClose);
+  }
+
+  const startIndex = closes.findIndex(close => close > 0);
+  if (startIndex === -1) {
+    return { symbol, available: false, strategyReturn: strategy.totalReturn };
+  }
+
+  const start = closes[startIndex];
+  const benchmarkPoints = points.map((point, i) => ({ date: point.date, equity: closes[i] || start, netFlow: 0 }));
+  const benchmarkReturn = closes[closes.length - 1] / start - 1;
+
+  return {
+    symbol,
+    available: true,
+    strategyReturn: strategy.totalReturn,
+    benchmarkReturn,
+    excessReturn: strategy.totalReturn - benchmarkReturn,
+    strategyMaxDrawdown: drawdowns(points).maxDrawdown,
+    benchmarkMaxDrawdown: drawdowns(benchmarkPoints).maxDrawdown,
+    series: points.map((point, i) => ({
+      date: point.date,
+      strategy: strategy.series[i].cumulativeReturn,
+      benchmark: i >= startIndex ? (closes[i] || start) / start - 1 : 0
+    }))
+  };
+}
+
+module.exports = { timeWeightedReturn, drawdowns, compareToBenchmark };
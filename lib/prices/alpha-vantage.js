@@ -0,0 +1,61 @@
+// lib/prices/alpha-vantage.js - Alpha Vantage quotes and daily bars (free tier: 5 calls/minute)
+const axios = require('axios');
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+module.exports = {
+  name: 'alpha-vantage',
+  supportsBatch: false,
+  rateLimit: { capacity: 5, perMinute: parseFloat(process.env.ALPHA_VANTAGE_CALLS_PER_MINUTE) || 5 },
+
+  isConfigured() {
+    return !!process.env.ALPHA_VANTAGE_API_KEY;
+  },
+
+  async getQuote(symbol) {
+    const response = await axios.get(BASE_URL, {
+      params: { function: 'GLOBAL_QUOTE', symbol, apikey: process.env.ALPHA_VANTAGE_API_KEY }
+    });
+
+    const quote = response.data['Global Quote'];
+    if (!quote || !quote['05. price']) {
+      throw new Error('Invalid response from Alpha Vantage');
+    }
+
+    return {
+      symbol,
+      price: parseFloat(quote['05. price']),
+      change: parseFloat(quote['09. change']),
+      changePercent: quote['10. change percent'].replace('%', '')
+    };
+  },
+
+  async getDailyBars(symbol) {
+    const response = await axios.get(BASE_URL, {
+      params: { function: 'TIME_SERIES_DAILY', symbol, outputsize: 'full', apikey: process.env.ALPHA_VANTAGE_API_KEY }
+    });
+
+    const series = response.data['Time Series (Daily)'];
+    if (!series) {
+      throw new Error('Invalid response from Alpha Vantage');
+    }
+
+    return Object.entries(series).map(([date, bar]) => ({
+      date,
+      open: parseFloat(bar['1. open']),
+      high: parseFloat(bar['2. high']),
+      low: parseFloat(bar['3. low']),
+      close: parseFloat(bar['4. close']),
+      volume: parseFloat(bar['5. volume'])
+    }));
+  },
+
+  async getMarketCap(symbol) {
+    const response = await axios.get(BASE_URL, {
+      params: { function: 'OVERVIEW', symbol, apikey: process.env.ALPHA_VANTAGE_API_KEY }
+    });
+
+    const marketCap = parseFloat(response.data.MarketCapitalization);
+    return marketCap > 0 ? marketCap : null;
+  }
+};
@@ -0,0 +1,81 @@
+// lib/prices/file.js - Offline prices from local fixtures
+//
+// PRICE_FIXTURE_DIR holds quotes.json ({ "NVDA": 450.1 } or { "NVDA": { "price": 450.1, "marketCap": 1.1e12 } })
+// and/or <SYMBOL>.csv daily bars. Without a quotes.json entry, a symbol's quote
+// is the last close in its CSV file.
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../csv');
+const { toIsoDate } = require('../dates');
+
+function fixtureDir() {
+  return process.env.PRICE_FIXTURE_DIR || './data/prices';
+}
+
+function readBars(symbol) {
+  const file = path.join(fixtureDir(), `${symbol}.csv`);
+  if (!fs.existsSync(file)) return [];
+
+  return parseCsv(fs.readFileSync(file, 'utf8'))
+    .map(row => ({
+      date: toIsoDate(row.Date || row.date || row.timestamp),
+      open: parseFloat(row.Open || row.open),
+      high: parseFloat(row.High || row.high),
+      low: parseFloat(row.Low || row.low),
+      close: parseFloat(row['Adj Close'] || row.Close || row.close),
+      volume: parseFloat(row.Volume || row.volume)
+    }))
+    .filter(bar => bar.date && bar.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function readQuoteFixtures() {
+  const file = path.join(fixtureDir(), 'quotes.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+module.exports = {
+  name: 'file',
+  supportsBatch: true,
+  rateLimit: null,
+
+  isConfigured() {
+    return fs.existsSync(fixtureDir());
+  },
+
+  async getQuotes(symbols) {
+    const fixtures = readQuoteFixtures();
+    const quotes = {};
+
+    for (const symbol of symbols) {
+      const fixture = fixtures[symbol];
+      if (fixture !== undefined) {
+        const price = typeof fixture === 'number' ? fixture : parseFloat(fixture.price);
+        quotes[symbol] = { symbol, price, change: fixture.change || 0, changePercent: String(fixture.changePercent || 0) };
+        continue;
+      }
+
+      const bars = readBars(symbol);
+      if (bars.length === 0) continue;
+      const last = bars[bars.length - 1];
+      const previous = bars[bars.length - 2] || last;
+      quotes[symbol] = {
+        symbol,
+        price: last.close,
+        change: last.close - previous.close,
+        changePercent: (((last.close - previous.close) / previous.close) * 100).toFixed(4)
+      };
+    }
+    return quotes;
+  },
+
+  async getDailyBars(symbol) {
+    return readBars(symbol);
+  },
+
+  async getMarketCap(symbol) {
+    const fixture = readQuoteFixtures()[symbol];
+    const marketCap = fixture && typeof fixture === 'object' ? parseFloat(fixture.marketCap) : NaN;
+    return marketCap > 0 ? marketCap : null;
+  }
+};
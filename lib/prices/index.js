@@ -0,0 +1,243 @@
+// lib/prices/index.js - Price service: pluggable providers behind a SQLite cache
+//
+// A provider is a module exporting:
+//   name                     stored with cached rows
+//   supportsBatch            true if getQuotes() accepts many symbols per call
+//   rateLimit                { capacity, perMinute } token bucket, or null for unlimited
+//   isConfigured()           false skips the provider (e.g. missing API key)
+//   getQuote(symbol) or getQuotes(symbols)  -> { symbol, price, change, changePercent }
+//   getDailyBars(symbol)     -> [{ date, open, high, low, close, volume }]
+//   getMarketCap(symbol)     optional -> market capitalization in dollars, or null
+//
+// PRICE_PROVIDERS sets the fallback order (default: alpha-vantage when a key is
+// configured, then stooq). Cache lifetimes: PRICE_QUOTE_TTL_SECONDS (default 900)
+// and PRICE_BAR_TTL_HOURS (default 12).
+const { run, get, all } = require('../db');
+const { createTokenBucket } = require('../rate-limiter');
+const { today } = require('../dates');
+const { increment } = require('../metrics');
+
+const PROVIDERS = {
+  'alpha-vantage': require('./alpha-vantage'),
+  stooq: require('./stooq'),
+  file: require('./file')
+};
+
+const buckets = {};
+
+function activeProviders() {
+  const configured = (process.env.PRICE_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => PROVIDERS[name]);
+  const names = configured.length > 0 ? configured : ['alpha-vantage', 'stooq'];
+  return names.map(name => PROVIDERS[name]).filter(provider => provider.isConfigured());
+}
+
+async function throttle(provider) {
+  if (!provider.rateLimit) return;
+  buckets[provider.name] = buckets[provider.name] || createTokenBucket(provider.rateLimit);
+  await buckets[provider.name].take();
+}
+
+function quoteTtlSeconds() {
+  return parseFloat(process.env.PRICE_QUOTE_TTL_SECONDS) || 900;
+}
+
+function barTtlHours() {
+  return parseFloat(process.env.PRICE_BAR_TTL_HOURS) || 12;
+}
+
+// ===== CACHE =====
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+function rowToQuote(row, stale = false) {
+  return {
+    symbol: row.symbol,
+    price: row.price,
+    change: row.change,
+    changePercent: row.change_percent,
+    provider: row.provider,
+    lastUpdated: new Date(`${row.fetched_at}Z`),
+    cached: true,
+    stale
+  };
+}
+
+async function cachedQuotes(symbols, maxAgeSeconds) {
+  if (symbols.length === 0) return [];
+  const freshness = maxAgeSeconds === null ? '' : `AND fetched_at >= datetime('now', '-${Math.floor(maxAgeSeconds)} seconds')`;
+  return all(
+    `SELECT * FROM price_quotes WHERE symbol IN (${placeholders(symbols)}) ${freshness}`,
+    symbols
+  );
+}
+
+async function storeQuote(quote, provider) {
+  await run(
+    `INSERT INTO price_quotes (symbol, price, change, change_percent, provider, fetched_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(symbol) DO UPDATE SET
+       price = excluded.price,
+       change = excluded.change,
+       change_percent = excluded.change_percent,
+       provider = excluded.provider,
+       fetched_at = CURRENT_TIMESTAMP`,
+    [quote.symbol, quote.price, quote.change, quote.changePercent, provider]
+  );
+  await storeDailyBars(quote.symbol, [{ date: today(), close: quote.price }], provider);
+}
+
+async function storeDailyBars(symbol, bars, provider = null) {
+  for (const bar of bars) {
+    await run(
+      `INSERT INTO daily_prices (symbol, price_date, open, high, low, close, volume, provider, fetched_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(symbol, price_date) DO UPDATE SET
+         open = COALESCE(excluded.open, open),
+         high = COALESCE(excluded.high, high),
+         low = COALESCE(excluded.low, low),
+         close = excluded.close,
+         volume = COALESCE(excluded.volume, volume),
+         provider = excluded.provider,
+         fetched_at = CURRENT_TIMESTAMP`,
+      [symbol, bar.date, bar.open ?? null, bar.high ?? null, bar.low ?? null, bar.close, bar.volume ?? null, provider]
+    );
+  }
+}
+
+// ===== QUOTES =====
+async function fetchQuotes(provider, symbols) {
+  const quotes = {};
+
+  if (provider.supportsBatch) {
+    await throttle(provider);
+    increment('congress_bot_price_requests_total', { provider: provider.name });
+    Object.assign(quotes, await provider.getQuotes(symbols));
+    return quotes;
+  }
+
+  for (const symbol of symbols) {
+    try {
+      await throttle(provider);
+      increment('congress_bot_price_requests_total', { provider: provider.name });
+      quotes[symbol] = await provider.getQuote(symbol);
+    } catch (error) {
+      console.error(`Error fetching price for ${symbol} from ${provider.name}:`, error.message);
+      increment('congress_bot_price_errors_total', { provider: provider.name });
+    }
+  }
+  return quotes;
+}
+
+/**
+ * Returns { SYMBOL: quote } for every symbol a provider (or the cache) could price.
+ * Fresh cached quotes are used as-is; the rest go to providers in fallback order,
+ * and if every provider fails the last cached quote is returned marked stale.
+ */
+async function getPrices(symbols) {
+  const unique = [...new Set(symbols)];
+  const result = {};
+
+  for (const row of await cachedQuotes(unique, quoteTtlSeconds())) {
+    result[row.symbol] = rowToQuote(row);
+  }
+
+  let missing = unique.filter(symbol => !result[symbol]);
+  for (const provider of activeProviders()) {
+    if (missing.length === 0) break;
+
+    try {
+      const quotes = await fetchQuotes(provider, missing);
+      for (const [symbol, quote] of Object.entries(quotes)) {
+        if (!(quote.price > 0)) continue;
+        await storeQuote(quote, provider.name);
+        result[symbol] = { ...quote, provider: provider.name, lastUpdated: new Date(), cached: false, stale: false };
+      }
+    } catch (error) {
+      console.error(`Price provider ${provider.name} failed:`, error.message);
+      increment('congress_bot_price_errors_total', { provider: provider.name });
+    }
+    missing = missing.filter(symbol => !result[symbol]);
+  }
+
+  for (const row of await cachedQuotes(missing, null)) {
+    result[row.symbol] = rowToQuote(row, true);
+  }
+
+  return result;
+}
+
+async function getPrice(symbol) {
+  const quotes = await getPrices([symbol]);
+  return quotes[symbol] || null;
+}
+
+// ===== DAILY BARS =====
+async function barsAreFresh(symbol, from) {
+  const row = await get(
+    'SELECT MIN(price_date) AS first_date, MAX(fetched_at) AS fetched_at FROM daily_prices WHERE symbol = ? AND provider IS NOT NULL AND open IS NOT NULL',
+    [symbol]
+  );
+  if (!row || !row.fetched_at) return false;
+  if (from && row.first_date > from) return false;
+  return Date.now() - new Date(`${row.fetched_at}Z`).getTime() < barTtlHours() * 60 * 60 * 1000;
+}
+
+/**
+ * Daily bars for a symbol between `from` and `to` (inclusive ISO dates), served
+ * from daily_prices and refreshed from providers once the cache is older than the TTL.
+ */
+async function getDailyBars(symbol, { from, to } = {}) {
+  if (!(await barsAreFresh(symbol, from))) {
+    for (const provider of activeProviders()) {
+      try {
+        await throttle(provider);
+        increment('congress_bot_price_requests_total', { provider: provider.name });
+        const bars = await provider.getDailyBars(symbol);
+        if (bars.length === 0) continue;
+        await storeDailyBars(symbol, bars, provider.name);
+        break;
+      } catch (error) {
+        console.error(`Error fetching daily bars for ${symbol} from ${provider.name}:`, error.message);
+        increment('congress_bot_price_errors_total', { provider: provider.name });
+      }
+    }
+  }
+
+  return all(
+    `SELECT price_date AS date, open, high, low, close, volume FROM daily_prices
+     WHERE symbol = ? AND price_date >= ? AND price_date <= ?
+     ORDER BY price_date ASC`,
+    [symbol, from || '0000-00-00', to || '9999-99-99']
+  );
+}
+
+// ===== MARKET CAP =====
+// First market cap any provider reports; not cached here (see lib/universe.js)
+async function getMarketCap(symbol) {
+  for (const provider of activeProviders().filter(p => typeof p.getMarketCap === 'function')) {
+    try {
+      await throttle(provider);
+      increment('congress_bot_price_requests_total', { provider: provider.name });
+      const marketCap = await provider.getMarketCap(symbol);
+      if (marketCap) return marketCap;
+    } catch (error) {
+      console.error(`Error fetching market cap for ${symbol} from ${provider.name}:`, error.message);
+      increment('congress_bot_price_errors_total', { provider: provider.name });
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PROVIDERS,
+  activeProviders,
+  getPrice,
+  getPrices,
+  getDailyBars,
+  getMarketCap,
+  storeDailyBars
+};
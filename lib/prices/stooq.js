@@ -0,0 +1,60 @@
+// lib/prices/stooq.js - Free, keyless CSV quotes and daily bars from Stooq
+const axios = require('axios');
+const { parseCsv } = require('../csv');
+const { toIsoDate } = require('../dates');
+
+// BRK.B -> brk-b.us
+function stooqSymbol(symbol) {
+  return `${symbol.toLowerCase().replace(/[./]/g, '-')}.us`;
+}
+
+module.exports = {
+  name: 'stooq',
+  supportsBatch: true,
+  rateLimit: { capacity: 10, perMinute: parseFloat(process.env.STOOQ_CALLS_PER_MINUTE) || 30 },
+
+  isConfigured() {
+    return true;
+  },
+
+  async getQuotes(symbols) {
+    const response = await axios.get('https://stooq.com/q/l/', {
+      params: { s: symbols.map(stooqSymbol).join('+'), f: 'sd2t2ohlcv', h: '', e: 'csv' },
+      responseType: 'text'
+    });
+
+    const quotes = {};
+    for (const row of parseCsv(response.data)) {
+      const symbol = symbols.find(s => stooqSymbol(s) === String(row.Symbol).toLowerCase());
+      const price = parseFloat(row.Close);
+      if (!symbol || !(price > 0)) continue;
+
+      const open = parseFloat(row.Open);
+      quotes[symbol] = {
+        symbol,
+        price,
+        change: open > 0 ? price - open : 0,
+        changePercent: open > 0 ? (((price - open) / open) * 100).toFixed(4) : '0'
+      };
+    }
+    return quotes;
+  },
+
+  async getDailyBars(symbol) {
+    const response = await axios.get('https://stooq.com/q/d/l/', {
+      params: { s: stooqSymbol(symbol), i: 'd' },
+      responseType: 'text'
+    });
+
+    return parseCsv(response.data)
+      .map(row => ({
+        date: toIsoDate(row.Date),
+        open: parseFloat(row.Open),
+        high: parseFloat(row.High),
+        low: parseFloat(row.Low),
+        close: parseFloat(row.Close),
+        volume: parseFloat(row.Volume)
+      }))
+      .filter(bar => bar.date && bar.close > 0);
+  }
+};
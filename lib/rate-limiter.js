@@ -0,0 +1,41 @@
+// lib/rate-limiter.js - Token bucket shared by every caller of a rate-limited API
+
+/**
+ * Creates a bucket holding up to `capacity` tokens, refilled continuously at
+ * `perMinute` tokens per minute. `take()` resolves once a token is available,
+ * so concurrent callers queue up instead of tripping the API's limit.
+ */
+function createTokenBucket({ capacity, perMinute }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 60000) * perMinute);
+    lastRefill = now;
+  }
+
+  async function waitForToken() {
+    refill();
+    while (tokens < 1) {
+      const waitMs = Math.ceil(((1 - tokens) / perMinute) * 60000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  return {
+    take() {
+      queue = queue.then(waitForToken);
+      return queue;
+    },
+    available() {
+      refill();
+      return Math.floor(tokens);
+    }
+  };
+}
+
+module.exports = { createTokenBucket };
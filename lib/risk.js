@@ -0,0 +1,303 @@
+// lib/risk.js - Risk policy that gates every order before it is saved or alerted
+//
+// The policy is stored in the risk_policy table and edited (by admins) through /api/risk/policy.
+// It applies to every user's portfolio, with turnover and cooldowns counted per user. Each order from the rebalancing plan is checked in turn; a rule either blocks it or
+// resizes it down, and every block or resize is recorded in risk_decisions:
+//   kill_switch        block everything
+//   cooldown           block a symbol traded (executed) within cooldownDays
+//   max_position       buys (BUY / OPEN) capped so the position stays at or under maxPositionWeight
+//   max_sector         buys capped so the sector stays at or under maxSectorWeight (symbols mapped in `sectors`)
+//   cash_floor         buys capped so cash stays at or above cashFloor of portfolio value
+//   daily_turnover     orders capped so today's traded value stays under maxDailyTurnover
+//   weekly_turnover    orders capped so the last 7 days stay under maxWeeklyTurnover
+//   min_order          orders (after resizing) below minOrderAmount dollars are blocked
+//   unfunded_open      trims planned to fund new positions are blocked when all of those opens are blocked;
+//                      the other orders are then checked again without the trims' cash and turnover
+// A resized order's target allocation becomes the weight the position has once it is filled,
+// so the next run starts from what was actually traded.
+// Weights, the cash floor and turnover limits are fractions of total portfolio value.
+const { run, get, all } = require('./db');
+const { orderSide } = require('./engine');
+
+const DEFAULT_POLICY = {
+  killSwitch: false,
+  maxPositionWeight: 0.35,
+  maxSectorWeight: 0.5,
+  cashFloor: 0.02,
+  maxDailyTurnover: 0.25,
+  maxWeeklyTurnover: 0.5,
+  minOrderAmount: 25,
+  cooldownDays: 3,
+  sectors: {}
+};
+
+const FRACTION_FIELDS = ['maxPositionWeight', 'maxSectorWeight', 'cashFloor', 'maxDailyTurnover', 'maxWeeklyTurnover'];
+const AMOUNT_FIELDS = ['minOrderAmount', 'cooldownDays'];
+
+// ===== POLICY STORAGE =====
+function validatePolicy(policy) {
+  for (const field of FRACTION_FIELDS) {
+    const value = policy[field];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      return `Invalid ${field}: must be a number between 0 and 1`;
+    }
+  }
+  for (const field of AMOUNT_FIELDS) {
+    const value = policy[field];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      return `Invalid ${field}: must be a non-negative number`;
+    }
+  }
+  if (typeof policy.killSwitch !== 'boolean') {
+    return 'Invalid killSwitch: must be true or false';
+  }
+  if (!policy.sectors || typeof policy.sectors !== 'object' || Array.isArray(policy.sectors) ||
+      Object.values(policy.sectors).some(sector => typeof sector !== 'string' || !sector)) {
+    return 'Invalid sectors: must map symbols to sector names';
+  }
+  return null;
+}
+
+// Stored overrides on top of the defaults; RISK_KILL_SWITCH=true forces the kill switch on
+async function loadRiskPolicy() {
+  const row = await get('SELECT policy FROM risk_policy WHERE id = 1');
+  const policy = { ...DEFAULT_POLICY, ...(row ? JSON.parse(row.policy) : {}) };
+  if (process.env.RISK_KILL_SWITCH === 'true') policy.killSwitch = true;
+  return policy;
+}
+
+// Merges `changes` into the stored policy. Returns { policy } or { error }.
+async function updateRiskPolicy(changes) {
+  const unknown = Object.keys(changes).filter(field => !(field in DEFAULT_POLICY));
+  if (unknown.length > 0) {
+    return { error: `Unknown policy fields: ${unknown.join(', ')}` };
+  }
+
+  const row = await get('SELECT policy FROM risk_policy WHERE id = 1');
+  const stored = row ? JSON.parse(row.policy) : {};
+  const merged = { ...stored, ...changes };
+  if (changes.sectors && typeof changes.sectors === 'object') {
+    merged.sectors = Object.fromEntries(
+      Object.entries(changes.sectors).map(([symbol, sector]) => [symbol.toUpperCase(), sector])
+    );
+  }
+
+  const error = validatePolicy({ ...DEFAULT_POLICY, ...merged });
+  if (error) return { error };
+
+  await run(
+    `INSERT INTO risk_policy (id, policy, updated_at) VALUES (1, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(id) DO UPDATE SET policy = excluded.policy, updated_at = CURRENT_TIMESTAMP`,
+    [JSON.stringify(merged)]
+  );
+  return { policy: await loadRiskPolicy() };
+}
+
+// ===== HISTORY =====
+// Traded value over the last day and week (executed fills plus still-pending orders)
+// and the last execution time per symbol for cooldowns
+async function loadRiskHistory(userId, cooldownDays) {
+  const tradedSince = async modifier => {
+    const row = await get(
+      `SELECT COALESCE(SUM(CASE WHEN status = 'executed' AND fill_price IS NOT NULL THEN fill_price * fill_shares ELSE recommended_amount END), 0) AS total
+       FROM recommendations
+       WHERE user_id = ? AND status IN ('pending', 'executed') AND COALESCE(executed_at, created_at) >= datetime('now', ?)`,
+      [userId, modifier]
+    );
+    return row.total;
+  };
+
+  const recent = await all(
+    `SELECT symbol, MAX(executed_at) AS last_executed FROM recommendations
+     WHERE user_id = ? AND status = 'executed' AND executed_at >= datetime('now', ?)
+     GROUP BY symbol`,
+    [userId, `-${cooldownDays * 24 * 60} minutes`]
+  );
+
+  return {
+    dailyTurnover: await tradedSince('-1 day'),
+    weeklyTurnover: await tradedSince('-7 days'),
+    lastExecuted: Object.fromEntries(recent.map(row => [row.symbol, row.last_executed]))
+  };
+}
+
+// ===== EVALUATION =====
+function sectorValue(portfolio, sectors, sector) {
+  return Object.entries(portfolio.positions)
+    .filter(([symbol]) => sectors[symbol] === sector)
+    .reduce((sum, [, position]) => sum + position.currentValue, 0);
+}
+
+// Order fields a resize changes, restored before orders are evaluated again
+const RESIZED_FIELDS = ['recommendedAmount', 'sharesToTrade', 'targetAllocation', 'reason'];
+
+function evaluateOrders(orders, portfolio, policy, history) {
+  const total = portfolio.totalValue;
+  const approved = [];
+  const blocked = [];
+  const decisions = [];
+
+  let cash = portfolio.cash;
+  let dailyRoom = policy.maxDailyTurnover * total - history.dailyTurnover;
+  let weeklyRoom = policy.maxWeeklyTurnover * total - history.weeklyTurnover;
+  const addedBySector = {};
+
+  for (const order of orders) {
+    const originalAmount = order.recommendedAmount;
+    const position = portfolio.positions[order.symbol] || { currentValue: 0 };
+    const side = orderSide(order.action);
+    let amount = originalAmount;
+    let lastRule = null;
+
+    const decide = (rule, outcome, detail) => {
+      decisions.push({ order, symbol: order.symbol, action: order.action, rule, outcome, originalAmount, finalAmount: outcome === 'blocked' ? 0 : amount, detail });
+    };
+    const cap = (rule, limit, detail) => {
+      const capped = Math.max(Math.min(amount, limit), 0);
+      if (capped < amount) {
+        amount = capped;
+        lastRule = { rule, detail };
+      }
+    };
+
+    if (policy.killSwitch) {
+      decide('kill_switch', 'blocked', 'Kill switch is on; no orders are issued');
+      blocked.push(order);
+      continue;
+    }
+
+    const lastExecuted = history.lastExecuted[order.symbol];
+    if (policy.cooldownDays > 0 && lastExecuted) {
+      decide('cooldown', 'blocked', `${order.symbol} was traded at ${lastExecuted} UTC, within the ${policy.cooldownDays}-day cooldown`);
+      blocked.push(order);
+      continue;
+    }
+
+    if (side === 'BUY') {
+      cap('max_position', policy.maxPositionWeight * total - position.currentValue,
+        `Position capped at ${(policy.maxPositionWeight * 100).toFixed(0)}% of the portfolio`);
+
+      const sector = policy.sectors[order.symbol];
+      if (sector) {
+        const current = sectorValue(portfolio, policy.sectors, sector) + (addedBySector[sector] || 0);
+        cap('max_sector', policy.maxSectorWeight * total - current,
+          `${sector} capped at ${(policy.maxSectorWeight * 100).toFixed(0)}% of the portfolio`);
+      }
+
+      cap('cash_floor', cash - policy.cashFloor * total,
+        `Cash kept at or above ${(policy.cashFloor * 100).toFixed(0)}% of the portfolio ($${(policy.cashFloor * total).toFixed(2)})`);
+    }
+
+    cap('daily_turnover', dailyRoom, `Daily turnover limited to ${(policy.maxDailyTurnover * 100).toFixed(0)}% of the portfolio`);
+    cap('weekly_turnover', weeklyRoom, `Weekly turnover limited to ${(policy.maxWeeklyTurnover * 100).toFixed(0)}% of the portfolio`);
+
+    if (amount < policy.minOrderAmount) {
+      const detail = lastRule
+        ? `${lastRule.detail}; the remaining $${amount.toFixed(2)} is below the $${policy.minOrderAmount} minimum`
+        : `$${amount.toFixed(2)} is below the $${policy.minOrderAmount} minimum order`;
+      decide(lastRule ? lastRule.rule : 'min_order', 'blocked', detail);
+      blocked.push(order);
+      continue;
+    }
+
+    if (lastRule) {
+      decide(lastRule.rule, 'resized', `${lastRule.detail}; resized from $${originalAmount.toFixed(2)} to $${amount.toFixed(2)}`);
+      order.recommendedAmount = amount;
+      order.sharesToTrade = amount / (order.currentPrice || 100);
+      if (total > 0) {
+        order.targetAllocation = Math.max(position.currentValue + (side === 'BUY' ? amount : -amount), 0) / total;
+      }
+      order.reason += ` Resized by risk policy: ${lastRule.detail}.`;
+    }
+
+    cash += side === 'BUY' ? -amount : amount;
+    dailyRoom -= amount;
+    weeklyRoom -= amount;
+    const sector = policy.sectors[order.symbol];
+    if (sector) {
+      addedBySector[sector] = (addedBySector[sector] || 0) + (side === 'BUY' ? amount : -amount);
+    }
+    approved.push(order);
+  }
+
+  return { approved, blocked, decisions };
+}
+
+/**
+ * Runs orders (sells first, as buildRebalancingPlan returns them) through the policy.
+ * `portfolio` is one user's portfolio from server.js; `history` comes from loadRiskHistory.
+ * Returns { approved, blocked, decisions }. Approved orders may be resized in place; each
+ * decision is { order, symbol, action, rule, outcome: 'blocked' | 'resized', originalAmount, finalAmount, detail }.
+ */
+function applyRiskPolicy(orders, portfolio, policy, history) {
+  const originals = orders.map(order => Object.fromEntries(RESIZED_FIELDS.map(field => [field, order[field]])));
+  const unfunded = [];
+
+  // Trims only exist to pay for opens; without any of them left they'd just sell for nothing.
+  // Dropping one takes away cash and turnover later orders were checked against, so the
+  // remaining orders are evaluated again from their original sizes.
+  for (;;) {
+    const result = evaluateOrders(orders.filter(order => !unfunded.includes(order)), portfolio, policy, history);
+    const approvedSymbols = new Set(result.approved.map(order => order.symbol));
+    const dropped = result.approved.filter(order => order.funds && !order.funds.some(symbol => approvedSymbols.has(symbol)));
+
+    if (dropped.length === 0) {
+      for (const order of unfunded) {
+        result.blocked.push(order);
+        result.decisions.push({
+          order, symbol: order.symbol, action: order.action, rule: 'unfunded_open', outcome: 'blocked',
+          originalAmount: order.recommendedAmount, finalAmount: 0,
+          detail: `Trim funded ${order.funds.join(', ')}, which ${order.funds.length === 1 ? 'was' : 'were'} blocked`
+        });
+      }
+      return result;
+    }
+
+    unfunded.push(...dropped);
+    orders.forEach((order, index) => Object.assign(order, originals[index]));
+  }
+}
+
+// Stores decisions once approved orders have recommendation ids
+async function recordRiskDecisions(userId, decisions) {
+  for (const decision of decisions) {
+    await run(
+      `INSERT INTO risk_decisions (user_id, recommendation_id, symbol, action, rule, outcome, original_amount, final_amount, confidence, detail)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, decision.outcome === 'resized' ? decision.order.id ?? null : null, decision.symbol, decision.action, decision.rule,
+        decision.outcome, decision.originalAmount, decision.finalAmount, decision.order.confidence, decision.detail]
+    );
+    console.log(`🛡️ Risk ${decision.outcome} ${decision.action} ${decision.symbol} (${decision.rule}): ${decision.detail}`);
+  }
+}
+
+async function listRiskDecisions(userId, { symbol, outcome, rule, limit = 50 } = {}) {
+  const filters = ['user_id = ?'];
+  const params = [userId];
+  if (symbol) {
+    filters.push('symbol = ?');
+    params.push(symbol.toUpperCase());
+  }
+  if (outcome) {
+    filters.push('outcome = ?');
+    params.push(outcome);
+  }
+  if (rule) {
+    filters.push('rule = ?');
+    params.push(rule);
+  }
+  return all(
+    `SELECT * FROM risk_decisions WHERE ${filters.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadRiskPolicy,
+  updateRiskPolicy,
+  loadRiskHistory,
+  applyRiskPolicy,
+  recordRiskDecisions,
+  listRiskDecisions
+};
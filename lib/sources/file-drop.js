@@ -0,0 +1,68 @@
+// lib/sources/file-drop.js - Picks up JSON/CSV disclosure files dropped into a local folder
+//
+// Each record needs a trader (trader/representative/senator), ticker (ticker/symbol),
+// type and transaction date; amount and disclosure_date are optional. Files are moved
+// to a processed/ subfolder once read.
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../csv');
+const { toIsoDate, today } = require('../dates');
+const { cleanTraderName, assetFields, normalizeTransactionType, amountFields } = require('./normalize');
+
+function dropDirectory() {
+  return process.env.DISCLOSURE_DROP_DIR || './data/disclosures';
+}
+
+function readRecords(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.csv')) return parseCsv(content);
+
+  const parsed = JSON.parse(content);
+  return Array.isArray(parsed) ? parsed : parsed.transactions || [];
+}
+
+module.exports = {
+  name: 'file-drop',
+  label: 'Local file drop',
+  schedule: '*/15 * * * *',
+
+  async fetch() {
+    const dir = dropDirectory();
+    if (!fs.existsSync(dir)) return [];
+
+    const files = fs.readdirSync(dir).filter(name => /\.(json|csv)$/i.test(name));
+    const processedDir = path.join(dir, 'processed');
+    const records = [];
+
+    for (const name of files) {
+      const file = path.join(dir, name);
+      try {
+        readRecords(file).forEach((record, index) => {
+          records.push({ ...record, _file: name, _index: index });
+        });
+        fs.mkdirSync(processedDir, { recursive: true });
+        fs.renameSync(file, path.join(processedDir, `${Date.now()}-${name}`));
+      } catch (error) {
+        console.error(`File drop: could not read ${name}:`, error.message);
+      }
+    }
+
+    if (files.length > 0) {
+      console.log(`📂 Read ${records.length} records from ${files.length} dropped files`);
+    }
+    return records;
+  },
+
+  normalize(record) {
+    return {
+      Representative: cleanTraderName(record.trader || record.representative || record.senator || record.name),
+      ...assetFields(record.ticker || record.symbol, record.asset_description || record.description, record.asset_type),
+      Transaction: normalizeTransactionType(record.type || record.transaction || record.transaction_type),
+      ...amountFields(record.amount, record.type || record.transaction || record.transaction_type, record.owner),
+      TransactionDate: toIsoDate(record.transaction_date || record.trade_date || record.date),
+      DisclosureDate: toIsoDate(record.disclosure_date) || today(),
+      Source: 'file-drop',
+      SourceId: `${record._file}#${record._index}`
+    };
+  }
+};
@@ -0,0 +1,32 @@
+// lib/sources/house-stock-watcher.js - House Periodic Transaction Reports via House Stock Watcher
+const axios = require('axios');
+const { toIsoDate } = require('../dates');
+const { cleanTraderName, assetFields, normalizeTransactionType, isRecent, lookbackDays, hashRecord, amountFields } = require('./normalize');
+
+const URL = 'https://house-stock-watcher-data.s3-us-west-2.amazonaws.com/data/all_transactions.json';
+
+module.exports = {
+  name: 'house-stock-watcher',
+  label: 'House Stock Watcher',
+  schedule: '0 9,11,13,15 * * 1-5',
+  url: URL,
+
+  async fetch() {
+    console.log('🔍 Fetching from House Stock Watcher...');
+    const response = await axios.get(URL);
+    return response.data.filter(record => isRecent(toIsoDate(record.disclosure_date), lookbackDays()));
+  },
+
+  normalize(record) {
+    return {
+      Representative: cleanTraderName(record.representative),
+      ...assetFields(record.ticker, record.asset_description, record.asset_type),
+      Transaction: normalizeTransactionType(record.type),
+      ...amountFields(record.amount, record.type, record.owner),
+      TransactionDate: toIsoDate(record.transaction_date),
+      DisclosureDate: toIsoDate(record.disclosure_date),
+      Source: 'house-stock-watcher',
+      SourceId: hashRecord(record.ptr_link, record.representative, record.ticker, record.transaction_date, record.type, record.amount, record.owner)
+    };
+  }
+};
@@ -0,0 +1,81 @@
+// lib/sources/index.js - Disclosure source adapter registry
+//
+// An adapter is a module exporting:
+//   name       unique id, stored in trades.source
+//   label      display name for logs
+//   schedule   cron expression for automatic fetches, or null for on-demand only
+//   fetch()    async, resolves to raw records from the source
+//   normalize(record)  maps one raw record to a trade:
+//     { Representative, Ticker, Transaction, Amount, TransactionDate, DisclosureDate, Source, SourceId,
+//       RawTicker, AssetType, Option }  (the last three from assetFields in ./normalize)
+const { dedupKey } = require('./normalize');
+const { increment } = require('../metrics');
+const { applyAliases } = require('../tickers');
+
+const ADAPTERS = [
+  require('./house-stock-watcher'),
+  require('./senate-stock-watcher'),
+  require('./file-drop'),
+  require('./manual')
+];
+
+// DISCLOSURE_SOURCES=house-stock-watcher,manual limits which adapters run
+function enabledSources() {
+  const configured = (process.env.DISCLOSURE_SOURCES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return configured.length > 0
+    ? ADAPTERS.filter(adapter => configured.includes(adapter.name))
+    : ADAPTERS;
+}
+
+async function fetchFromSource(adapter) {
+  try {
+    const records = await adapter.fetch();
+    const normalized = records
+      .map(record => adapter.normalize(record))
+      .filter(trade => trade && trade.Representative && trade.TransactionDate);
+    // Bonds, private holdings and the like are filed without a ticker we could trade
+    const trades = normalized.filter(trade => trade.Ticker);
+
+    console.log(`📊 Found ${trades.length} trades from ${adapter.label}`);
+    increment('congress_bot_disclosures_fetched_total', { source: adapter.name }, trades.length);
+    increment('congress_bot_disclosures_unmapped_total', { source: adapter.name }, normalized.length - trades.length);
+    return trades;
+  } catch (error) {
+    console.error(`${adapter.label} failed:`, error.message);
+    increment('congress_bot_source_errors_total', { source: adapter.name });
+    return [];
+  }
+}
+
+// Fetches from the named sources (default: all enabled) one after another
+async function fetchFromSources(names) {
+  const adapters = names
+    ? enabledSources().filter(adapter => names.includes(adapter.name))
+    : enabledSources();
+
+  let allTrades = [];
+  for (const adapter of adapters) {
+    allTrades = allTrades.concat(await fetchFromSource(adapter));
+  }
+  return applyAliases(allTrades);
+}
+
+// Groups scheduled sources by cron expression so sources sharing a slot run together
+function sourceSchedules() {
+  const schedules = {};
+  for (const adapter of enabledSources()) {
+    if (!adapter.schedule) continue;
+    (schedules[adapter.schedule] = schedules[adapter.schedule] || []).push(adapter.name);
+  }
+  return schedules;
+}
+
+module.exports = {
+  enabledSources,
+  fetchFromSources,
+  sourceSchedules,
+  dedupKey
+};
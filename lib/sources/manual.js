@@ -0,0 +1,31 @@
+// lib/sources/manual.js - Trades entered through /api/manual-trade
+const { all, run } = require('../db');
+const { today } = require('../dates');
+const { cleanTraderName, assetFields, normalizeTransactionType, amountFields } = require('./normalize');
+
+module.exports = {
+  name: 'manual',
+  label: 'Manual Entry',
+  schedule: null,
+
+  async fetch() {
+    const rows = await all('SELECT * FROM manual_trades WHERE processed = 0 ORDER BY created_at DESC');
+    if (rows.length > 0) {
+      await run(`UPDATE manual_trades SET processed = 1 WHERE id IN (${rows.map(() => '?').join(',')})`, rows.map(row => row.id));
+    }
+    return rows;
+  },
+
+  normalize(row) {
+    return {
+      Representative: cleanTraderName(row.trader_name),
+      ...assetFields(row.symbol),
+      Transaction: normalizeTransactionType(row.transaction_type),
+      ...amountFields(row.amount_range || row.amount, row.transaction_type, 'self'),
+      TransactionDate: row.trade_date,
+      DisclosureDate: today(),
+      Source: 'manual',
+      SourceId: String(row.id)
+    };
+  }
+};
@@ -0,0 +1,164 @@
+// lib/sources/normalize.js - Helpers shared by disclosure source adapters
+const crypto = require('crypto');
+const { toIsoDate } = require('../dates');
+const { parseAmountRange, normalizeOwner, isPartialSale } = require('../amount');
+
+// "Hon. Nancy Pelosi" -> "Nancy Pelosi", "Ron L Wyden" -> "Ron Wyden"
+function cleanTraderName(name) {
+  return String(name || '')
+    .replace(/^(hon\.?|sen\.?|senator|rep\.?|representative)\s+/i, '')
+    .replace(/\s+[A-Z]\.?(?=\s)/g, '')
+    .replace(/\s+(jr\.?|sr\.?|ii|iii|iv)$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Disclosures use these when no ticker applies (bonds, private holdings) or it was left out
+const PLACEHOLDER_TICKERS = ['--', '-', 'N/A', 'NA', 'NONE', 'UNKNOWN'];
+
+/**
+ * Canonical symbol for a reported ticker, or '' for placeholders and things that aren't
+ * tickers. Exchange prefixes and "$" are dropped and class shares use a dot:
+ * "BRK-B", "BRK/B", "BRK B" and "brk.b" all become "BRK.B".
+ */
+function cleanTicker(ticker) {
+  const text = String(ticker || '')
+    .replace(/<[^>]*>/g, '')
+    .trim()
+    .toUpperCase()
+    .replace(/^(NYSE|NASDAQ|AMEX|ARCA|OTC)\s*:\s*/, '')
+    .replace(/^\$/, '');
+  if (PLACEHOLDER_TICKERS.includes(text)) return '';
+
+  const classShare = text.match(/^([A-Z]{1,5})[.\-/ ]([A-Z])$/);
+  if (classShare) return `${classShare[1]}.${classShare[2]}`;
+  return /^[A-Z]{1,5}$/.test(text) ? text : '';
+}
+
+// "NVIDIA Corporation (NVDA) - Common Stock" -> "NVDA"
+function tickerFromDescription(description) {
+  const match = String(description || '').replace(/<[^>]*>/g, ' ').match(/\(([A-Z]{1,5}(?:[.\-/][A-Z])?)\)/);
+  return match ? cleanTicker(match[1]) : '';
+}
+
+const ASSET_TYPE_PATTERNS = [
+  ['option', /option/i],
+  ['bond', /\b(bond|note|treasury|municipal|government|debenture|t-bill)s?\b/i],
+  ['crypto', /crypto|bitcoin|ethereum/i],
+  ['etf', /\bETF\b|exchange[- ]traded/i],
+  ['fund', /mutual fund|money market|\bfund\b/i],
+  ['stock', /stock|equity|shares|\bADR\b/i],
+  ['other', /other|private|non-public|real estate|partnership/i]
+];
+
+function matchAssetType(text) {
+  if (!text) return null;
+  const match = ASSET_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function optionDetails(description) {
+  const text = String(description || '').replace(/<[^>]*>/g, ' ');
+  const type = text.match(/\b(call|put)s?\b/i);
+  const strike = text.match(/strike(?:\s+price)?(?:\s+of)?\s*:?\s*\$?\s*([\d,]+(?:\.\d+)?)/i);
+  const expiration = text.match(/(?:expir\w*|expires|exp\.?)(?:\s+date)?(?:\s+of|\s+on)?\s*:?\s*(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})/i);
+  const expirationDate = expiration ? expiration[1].replace(/^(\d{1,2}\/\d{1,2}\/)(\d{2})$/, '$120$2') : null;
+
+  return {
+    type: type ? type[1].toLowerCase() : null,
+    strike: strike ? parseFloat(strike[1].replace(/,/g, '')) : null,
+    expiration: expirationDate ? toIsoDate(expirationDate) : null,
+    exercise: /exercis/i.test(text)
+  };
+}
+
+/**
+ * Asset type (stock, etf, option, fund, bond, crypto or other) and option details for a
+ * disclosure, from the reported asset type when the source has one and the free-text
+ * description otherwise. A description naming calls or puts with a strike is an option
+ * even when filed as stock, which is how exercises usually show up.
+ */
+function classifyAsset(assetType, description) {
+  const text = String(description || '').replace(/<[^>]*>/g, ' ');
+  const looksLikeOption = /\boptions?\b/i.test(text) || (/\b(call|put)s?\b/i.test(text) && /strike/i.test(text));
+
+  const reported = matchAssetType(assetType);
+  const described = matchAssetType(text);
+  let type = reported || described || 'stock';
+  if (looksLikeOption) type = 'option';
+  else if (reported === 'stock' && described === 'etf') type = 'etf';
+
+  return { AssetType: type, Option: type === 'option' ? optionDetails(text) : null };
+}
+
+// Canonical ticker (falling back to one named in the description) plus asset classification
+function assetFields(ticker, description, assetType) {
+  const rawTicker = String(ticker || '').replace(/<[^>]*>/g, '').trim();
+  return {
+    Ticker: cleanTicker(ticker) || tickerFromDescription(description),
+    RawTicker: rawTicker || null,
+    ...classifyAsset(assetType, description)
+  };
+}
+
+// Maps "purchase", "sale_partial", "Sale (Full)", "Sell" etc. to Purchase / Sale / Exchange
+function normalizeTransactionType(type) {
+  const value = String(type || '').toLowerCase();
+  if (value.startsWith('purchase') || value === 'buy') return 'Purchase';
+  if (value.startsWith('sale') || value === 'sell') return 'Sale';
+  if (value.startsWith('exchange')) return 'Exchange';
+  return type || null;
+}
+
+function isRecent(isoDate, days) {
+  if (!isoDate) return false;
+  return new Date(isoDate) > new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// Feeds are filtered on disclosure date, so late filings aren't dropped
+function lookbackDays() {
+  return parseFloat(process.env.DISCLOSURE_LOOKBACK_DAYS) || 7;
+}
+
+// Stable ID for sources whose records carry no identifier of their own
+function hashRecord(...fields) {
+  return crypto.createHash('sha1').update(fields.map(f => String(f ?? '')).join('|')).digest('hex').slice(0, 16);
+}
+
+// Amount bounds, point estimate, owner and partial-sale flag for a trade
+function amountFields(amount, type, owner) {
+  const parsed = parseAmountRange(amount);
+  return {
+    Amount: parsed.estimate,
+    AmountLow: parsed.low,
+    AmountHigh: parsed.high,
+    AmountRange: parsed.range,
+    Owner: normalizeOwner(owner),
+    PartialSale: isPartialSale(type)
+  };
+}
+
+// Cross-source duplicate key: the same disclosure from two feeds maps to the same key
+function dedupKey(trade) {
+  return [
+    cleanTraderName(trade.Representative).toLowerCase().replace(/[^a-z ]/g, ''),
+    cleanTicker(trade.Ticker),
+    toIsoDate(trade.TransactionDate) || '',
+    normalizeTransactionType(trade.Transaction) || '',
+    Math.round(trade.AmountLow ?? (parseFloat(trade.Amount) || 0))
+  ].join('|');
+}
+
+module.exports = {
+  cleanTraderName,
+  cleanTicker,
+  tickerFromDescription,
+  classifyAsset,
+  assetFields,
+  normalizeTransactionType,
+  isRecent,
+  lookbackDays,
+  hashRecord,
+  amountFields,
+  dedupKey
+};
@@ -0,0 +1,31 @@
+// lib/sources/senate-stock-watcher.js - Senate Periodic Transaction Reports via Senate Stock Watcher
+const axios = require('axios');
+const { toIsoDate } = require('../dates');
+const { cleanTraderName, assetFields, normalizeTransactionType, isRecent, lookbackDays, hashRecord, amountFields } = require('./normalize');
+
+const URL = 'https://senate-stock-watcher-data.s3-us-west-2.amazonaws.com/aggregate/all_transactions.json';
+
+module.exports = {
+  name: 'senate-stock-watcher',
+  label: 'Senate Stock Watcher',
+  schedule: '0 9,11,13,15 * * 1-5',
+
+  async fetch() {
+    console.log('🔍 Fetching from Senate Stock Watcher...');
+    const response = await axios.get(URL);
+    return response.data.filter(record => isRecent(toIsoDate(record.disclosure_date), lookbackDays()));
+  },
+
+  normalize(record) {
+    return {
+      Representative: cleanTraderName(record.senator),
+      ...assetFields(record.ticker, record.asset_description, record.asset_type),
+      Transaction: normalizeTransactionType(record.type),
+      ...amountFields(record.amount, record.type, record.owner),
+      TransactionDate: toIsoDate(record.transaction_date),
+      DisclosureDate: toIsoDate(record.disclosure_date),
+      Source: 'senate-stock-watcher',
+      SourceId: hashRecord(record.ptr_link, record.senator, record.ticker, record.transaction_date, record.type, record.amount, record.owner)
+    };
+  }
+};
@@ -0,0 +1,53 @@
+// lib/staleness.js - Confidence decay for late disclosures and already-moved prices
+//
+// Members can file up to 45 days after trading. The longer the lag, and the further
+// the price has already moved in the member's favour, the less of the move is left
+// for us, so confidence is scaled by:
+//   lagFactor  = 0.5 ^ (lagDays / SIGNAL_LAG_HALF_LIFE_DAYS)           (default half-life 60)
+//   moveFactor = 1 - favourableMove / SIGNAL_MAX_PRICE_MOVE            (default 0.15)
+// Signals lagging more than SIGNAL_MAX_LAG_DAYS (default 45) or that have already
+// moved SIGNAL_MAX_PRICE_MOVE or more are skipped.
+const { daysBetween } = require('./dates');
+const { tradeDirection } = require('./engine');
+
+function stalenessOptions() {
+  return {
+    halfLifeDays: parseFloat(process.env.SIGNAL_LAG_HALF_LIFE_DAYS) || 60,
+    maxLagDays: parseFloat(process.env.SIGNAL_MAX_LAG_DAYS) || 45,
+    maxPriceMove: parseFloat(process.env.SIGNAL_MAX_PRICE_MOVE) || 0.15
+  };
+}
+
+/**
+ * Returns { lagDays, priceMove, lagFactor, moveFactor, factor, skip, skipReason }.
+ * priceMove is the raw change since the member's trade date (null when the trade-date
+ * price is unknown, in which case only the lag counts). `direction` (1 bullish, -1 bearish)
+ * overrides the one implied by transactionType, e.g. for bought puts.
+ */
+function assessStaleness({ tradeDate, disclosureDate, transactionType, direction, tradePrice, currentPrice }, options = stalenessOptions()) {
+  const lagDays = tradeDate && disclosureDate ? Math.max(daysBetween(tradeDate, disclosureDate), 0) : 0;
+  const lagFactor = Math.pow(0.5, lagDays / options.halfLifeDays);
+
+  const priceMove = tradePrice > 0 && currentPrice > 0 ? currentPrice / tradePrice - 1 : null;
+  const favourableMove = priceMove === null ? 0 : priceMove * (direction ?? tradeDirection(transactionType));
+  const moveFactor = favourableMove > 0 ? Math.max(1 - favourableMove / options.maxPriceMove, 0) : 1;
+
+  let skipReason = null;
+  if (lagDays > options.maxLagDays) {
+    skipReason = `disclosed ${lagDays} days after the trade (limit ${options.maxLagDays})`;
+  } else if (favourableMove >= options.maxPriceMove) {
+    skipReason = `price already moved ${(priceMove * 100).toFixed(1)}% since the member's trade`;
+  }
+
+  return {
+    lagDays,
+    priceMove,
+    lagFactor,
+    moveFactor,
+    factor: lagFactor * moveFactor,
+    skip: skipReason !== null,
+    skipReason
+  };
+}
+
+module.exports = { stalenessOptions, assessStaleness };
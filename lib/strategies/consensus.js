@@ -0,0 +1,38 @@
+// lib/strategies/consensus.js - Only acts once several followed members agree on a symbol
+//
+// Signals are sized like the proportional strategy's, but a trade only counts when at
+// least minMembers distinct followed members traded the symbol in the same direction
+// within windowDays (the trade itself included).
+const { SIGNAL_DEFAULTS, PLAN_DEFAULTS, assetSignal, buildSignal, buildRebalancingPlan } = require('../engine');
+
+module.exports = {
+  name: 'consensus',
+  description: 'Follows a trade only when enough members traded the symbol the same way recently',
+  defaults: { minMembers: 2, windowDays: 30, ...SIGNAL_DEFAULTS, ...PLAN_DEFAULTS },
+
+  async buildPlan(inputs, context, params) {
+    const recent = await context.recentTrades(params.windowDays);
+    const signals = [];
+    const skipped = [];
+
+    for (const { trade, staleness } of inputs) {
+      const signal = buildSignal(trade, context.performers, staleness, params);
+      if (!signal) continue;
+
+      const agreeing = new Set(recent
+        .filter(other => other.Ticker === trade.Ticker && assetSignal(other).direction === signal.direction)
+        .map(other => other.Representative));
+      agreeing.add(trade.Representative);
+      if (agreeing.size < params.minMembers) {
+        skipped.push({ symbol: trade.Ticker, reason: `${agreeing.size} of ${params.minMembers} members agree within ${params.windowDays} days` });
+        continue;
+      }
+      signal.description += ` (${agreeing.size} members in ${params.windowDays} days)`;
+      signals.push(signal);
+    }
+
+    const plan = buildRebalancingPlan(signals, context.portfolio, { ...params, prices: context.prices });
+    plan.skipped.unshift(...skipped);
+    return plan;
+  }
+};
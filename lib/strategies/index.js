@@ -0,0 +1,240 @@
+// lib/strategies/index.js - Strategy registry, configuration and shadow evaluation
+//
+// A strategy is a module exporting:
+//   name         stored in recommendations.strategy
+//   description  one line for the API
+//   defaults     tunable numeric parameters
+//   buildPlan(inputs, context, params)  async -> a plan from buildRebalancingPlan
+//     inputs   this run's new, followed, non-stale trades: [{ trade, staleness }]
+//     context  { portfolio, performers, prices, recentTrades(days), openablePrices(symbols) }
+//
+// The configuration (strategy_config table, edited by admins through /api/strategies) picks
+// the primary strategy and which others run in shadow mode. Every enabled strategy is
+// evaluated against each user's portfolio on each run; only the primary's orders are alerted and paper filled, the
+// others are stored with status 'shadow' so they can be compared later.
+const { run, get, all } = require('../db');
+const { orderSide } = require('../engine');
+
+const STRATEGIES = [
+  require('./proportional'),
+  require('./consensus'),
+  require('./mirror')
+];
+
+// Counts and windows; every other parameter is any non-negative number
+const INTEGER_PARAMS = ['minMembers', 'windowDays', 'lookbackDays', 'maxPositions'];
+
+const DEFAULT_CONFIG = {
+  primary: 'proportional',
+  strategies: {}
+};
+
+function getStrategy(name) {
+  return STRATEGIES.find(strategy => strategy.name === name) || null;
+}
+
+// ===== CONFIG STORAGE =====
+function validateStrategyParams(strategy, params) {
+  for (const [key, value] of Object.entries(params)) {
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') return `Invalid ${strategy.name}.enabled: must be true or false`;
+      continue;
+    }
+    if (!(key in strategy.defaults)) {
+      return `Unknown ${strategy.name} parameter: ${key}`;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      return `Invalid ${strategy.name}.${key}: must be a non-negative number`;
+    }
+    if (INTEGER_PARAMS.includes(key) && (!Number.isInteger(value) || value < 1)) {
+      return `Invalid ${strategy.name}.${key}: must be a positive integer`;
+    }
+  }
+  return null;
+}
+
+function resolveConfig(stored) {
+  const primary = stored.primary || DEFAULT_CONFIG.primary;
+  return {
+    primary,
+    strategies: Object.fromEntries(STRATEGIES.map(strategy => {
+      const { enabled, ...params } = (stored.strategies || {})[strategy.name] || {};
+      return [strategy.name, {
+        description: strategy.description,
+        enabled: strategy.name === primary || enabled === true,
+        params: { ...strategy.defaults, ...params }
+      }];
+    }))
+  };
+}
+
+async function storedConfig() {
+  const row = await get('SELECT config FROM strategy_config WHERE id = 1');
+  return row ? JSON.parse(row.config) : DEFAULT_CONFIG;
+}
+
+// Stored overrides on top of each strategy's defaults; the primary is always enabled
+async function loadStrategyConfig() {
+  return resolveConfig(await storedConfig());
+}
+
+// Merges { primary, strategies: { name: { enabled, ...params } } }. Returns { config } or { error }.
+async function updateStrategyConfig(changes) {
+  const unknownFields = Object.keys(changes).filter(field => !(field in DEFAULT_CONFIG));
+  if (unknownFields.length > 0) {
+    return { error: `Unknown config fields: ${unknownFields.join(', ')}` };
+  }
+  if (changes.primary !== undefined && !getStrategy(changes.primary)) {
+    return { error: `primary must be one of: ${STRATEGIES.map(strategy => strategy.name).join(', ')}` };
+  }
+  if (changes.strategies !== undefined && (!changes.strategies || typeof changes.strategies !== 'object' || Array.isArray(changes.strategies))) {
+    return { error: 'strategies must map strategy names to settings' };
+  }
+
+  const stored = await storedConfig();
+  const merged = { primary: changes.primary || stored.primary || DEFAULT_CONFIG.primary, strategies: { ...stored.strategies } };
+  for (const [name, settings] of Object.entries(changes.strategies || {})) {
+    const strategy = getStrategy(name);
+    if (!strategy) return { error: `Unknown strategy: ${name}` };
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { error: `strategies.${name} must be an object` };
+    }
+    const error = validateStrategyParams(strategy, settings);
+    if (error) return { error };
+    merged.strategies[name] = { ...merged.strategies[name], ...settings };
+  }
+  if (merged.strategies[merged.primary] && merged.strategies[merged.primary].enabled === false) {
+    return { error: `The primary strategy (${merged.primary}) can't be disabled` };
+  }
+
+  await run(
+    `INSERT INTO strategy_config (id, config, updated_at) VALUES (1, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(id) DO UPDATE SET config = excluded.config, updated_at = CURRENT_TIMESTAMP`,
+    [JSON.stringify(merged)]
+  );
+  return { config: resolveConfig(merged) };
+}
+
+// ===== EVALUATION =====
+function tradeFromRow(row) {
+  return {
+    Id: row.id,
+    Representative: row.trader_name,
+    Ticker: row.symbol,
+    Transaction: row.transaction_type,
+    Amount: row.amount,
+    PartialSale: Boolean(row.partial_sale),
+    TransactionDate: row.trade_date,
+    DisclosureDate: row.disclosure_date,
+    AssetType: row.asset_type || 'stock',
+    Option: row.option_type
+      ? { type: row.option_type, strike: row.option_strike, expiration: row.option_expiration, exercise: Boolean(row.option_exercise) }
+      : null
+  };
+}
+
+// Stored trades by the given members made within the last `days`, oldest first
+async function loadRecentTrades(days, traders) {
+  if (traders.length === 0) return [];
+  const rows = await all(
+    `SELECT * FROM trades WHERE trade_date >= date('now', ?) AND trader_name IN (${traders.map(() => '?').join(',')})
+     ORDER BY trade_date, id`,
+    [`-${days} days`, ...traders]
+  );
+  return rows.map(tradeFromRow);
+}
+
+/**
+ * Runs every enabled strategy over a run's inputs, primary first. `context` is as
+ * described above minus recentTrades, which is added here and shared between strategies.
+ * Returns [{ name, primary, plan }]; a failing shadow strategy is logged and left out.
+ */
+async function evaluateStrategies(inputs, context, config) {
+  const cache = {};
+  const shared = {
+    ...context,
+    recentTrades: days => (cache[days] = cache[days] || loadRecentTrades(days, Object.keys(context.performers)))
+  };
+
+  const names = [config.primary, ...Object.keys(config.strategies).filter(name => name !== config.primary && config.strategies[name].enabled)];
+  const results = [];
+  for (const name of names) {
+    const primary = name === config.primary;
+    try {
+      const plan = await getStrategy(name).buildPlan(inputs, shared, config.strategies[name].params);
+      results.push({ name, primary, plan });
+    } catch (error) {
+      if (primary) throw error;
+      console.error(`Shadow strategy ${name} failed:`, error.message);
+    }
+  }
+  return results;
+}
+
+// ===== COMPARISON =====
+/**
+ * Per-strategy totals for `userId`'s recommendations created in the last `days` (primary and shadow),
+ * with the hypothetical return had every order been filled at its recommended price and
+ * marked at today's quotes. `getPrices` is lib/prices' batch quote lookup.
+ */
+async function compareStrategies({ userId, days = 30, getPrices }) {
+  const config = await loadStrategyConfig();
+  const rows = await all(
+    `SELECT strategy, symbol, action, status, current_price, recommended_amount FROM recommendations
+     WHERE user_id = ? AND created_at >= datetime('now', ?) AND strategy IS NOT NULL`,
+    [userId, `-${days} days`]
+  );
+  const quotes = rows.length > 0 ? await getPrices([...new Set(rows.map(row => row.symbol))]) : {};
+
+  const totals = {};
+  for (const name of new Set([...Object.keys(config.strategies), ...rows.map(row => row.strategy)])) {
+    totals[name] = {
+      strategy: name,
+      primary: name === config.primary,
+      enabled: config.strategies[name] ? config.strategies[name].enabled : false,
+      recommendations: 0,
+      buys: 0,
+      sells: 0,
+      executed: 0,
+      buyAmount: 0,
+      sellAmount: 0,
+      pricedAmount: 0,
+      hypotheticalPnl: 0,
+      hypotheticalReturn: null
+    };
+  }
+
+  for (const row of rows) {
+    const total = totals[row.strategy];
+    const side = orderSide(row.action);
+    total.recommendations++;
+    if (side === 'BUY') {
+      total.buys++;
+      total.buyAmount += row.recommended_amount;
+    } else {
+      total.sells++;
+      total.sellAmount += row.recommended_amount;
+    }
+    if (row.status === 'executed') total.executed++;
+
+    // Sells gain when the price falls afterwards
+    const quote = quotes[row.symbol];
+    if (quote && quote.price > 0 && row.current_price > 0) {
+      const move = quote.price / row.current_price - 1;
+      total.pricedAmount += row.recommended_amount;
+      total.hypotheticalPnl += row.recommended_amount * move * (side === 'BUY' ? 1 : -1);
+    }
+  }
+
+  for (const total of Object.values(totals)) {
+    if (total.pricedAmount > 0) total.hypotheticalReturn = total.hypotheticalPnl / total.pricedAmount;
+  }
+  return { days, primary: config.primary, strategies: Object.values(totals) };
+}
+
+module.exports = {
+  loadStrategyConfig,
+  updateStrategyConfig,
+  evaluateStrategies,
+  compareStrategies
+};
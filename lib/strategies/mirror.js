@@ -0,0 +1,70 @@
+// lib/strategies/mirror.js - Equal-weights whatever followed members have been buying
+//
+// The model portfolio is the maxPositions symbols with the most net buying (amount times
+// trader weight) by followed members over lookbackDays, each at an equal share of
+// 1 - cashReserve. Held symbols the members net sold are closed; holdings they haven't
+// traded are left alone apart from trims to fund new positions.
+const { PLAN_DEFAULTS, assetSignal, buildRebalancingPlan } = require('../engine');
+
+module.exports = {
+  name: 'mirror',
+  description: 'Equal-weights the symbols followed members net bought recently',
+  defaults: { lookbackDays: 90, maxPositions: 10, cashReserve: 0.05, buyConfidence: 0.9, sellConfidence: 0.8, ...PLAN_DEFAULTS },
+
+  async buildPlan(inputs, context, params) {
+    const { portfolio, performers } = context;
+    const net = {};
+    for (const trade of await context.recentTrades(params.lookbackDays)) {
+      const { direction, weight } = assetSignal(trade);
+      if (!direction || !weight) continue;
+      const entry = net[trade.Ticker] = net[trade.Ticker] || { score: 0, buyers: new Map(), sellers: new Map() };
+      const traderWeight = performers[trade.Representative]?.weight || 0.5;
+      entry.score += direction * (parseFloat(trade.Amount) || 0) * traderWeight * weight;
+      // Latest trade per member, so orders link to a disclosure
+      (direction > 0 ? entry.buyers : entry.sellers).set(trade.Representative, trade);
+    }
+
+    const ranked = Object.entries(net)
+      .filter(([, entry]) => entry.score > 0)
+      .sort(([, a], [, b]) => b.score - a.score);
+    // Price a few spares in case the universe filters rule some out
+    const wanted = ranked.slice(0, params.maxPositions * 2).map(([symbol]) => symbol);
+    const prices = await context.openablePrices(wanted.filter(symbol => !portfolio.positions[symbol]));
+    const model = ranked
+      .filter(([symbol]) => portfolio.positions[symbol] || prices[symbol] > 0)
+      .slice(0, params.maxPositions);
+    const target = model.length > 0 ? (1 - params.cashReserve) / model.length : 0;
+
+    const signals = [];
+    const memberSignals = (symbol, members, newTarget, direction, confidence, verb) => {
+      for (const [traderName, trade] of members) {
+        const traderWeight = performers[traderName]?.weight || 0.5;
+        signals.push({
+          symbol,
+          traderName,
+          direction,
+          impact: traderWeight,
+          target: newTarget,
+          confidence: traderWeight * confidence,
+          description: `${traderName} ${verb} ${symbol} within ${params.lookbackDays} days`,
+          lagDays: null,
+          priceMoveSinceTrade: null,
+          trade
+        });
+      }
+    };
+
+    for (const [symbol, entry] of model) {
+      const current = portfolio.positions[symbol] ? portfolio.positions[symbol].targetAllocation : 0;
+      if (Math.abs(target - current) < 1e-9) continue;
+      memberSignals(symbol, entry.buyers, target, Math.sign(target - current), target > current ? params.buyConfidence : params.sellConfidence, 'bought');
+    }
+    for (const [symbol, entry] of Object.entries(net)) {
+      const position = portfolio.positions[symbol];
+      if (entry.score >= 0 || !position || !(position.targetAllocation > 0)) continue;
+      memberSignals(symbol, entry.sellers, 0, -1, params.sellConfidence, 'sold');
+    }
+
+    return buildRebalancingPlan(signals, portfolio, { ...params, prices });
+  }
+};
@@ -0,0 +1,18 @@
+// lib/strategies/proportional.js - Moves each symbol's target in proportion to the disclosed amounts
+//
+// The original engine behaviour: every trade is a signal sized by amount and trader
+// weight (buildSignal), and a run's signals are netted into one plan.
+const { SIGNAL_DEFAULTS, PLAN_DEFAULTS, buildSignal, buildRebalancingPlan } = require('../engine');
+
+module.exports = {
+  name: 'proportional',
+  description: 'Moves targets by each trade\'s amount times the member\'s weight',
+  defaults: { ...SIGNAL_DEFAULTS, ...PLAN_DEFAULTS },
+
+  async buildPlan(inputs, context, params) {
+    const signals = inputs
+      .map(({ trade, staleness }) => buildSignal(trade, context.performers, staleness, params))
+      .filter(Boolean);
+    return buildRebalancingPlan(signals, context.portfolio, { ...params, prices: context.prices });
+  }
+};
@@ -0,0 +1,317 @@
+// lib/tax-lots.js - Tax lots: cost basis, holding periods, realized gains and wash sales
+//
+// Every buy fill opens a lot (acquisition date, shares, cost per share including fees);
+// sells close lots picked by TAX_LOT_METHOD (fifo, default, or hifo) or by an explicit
+// list of { id, shares } (specific identification). Each lot closed by a sale is booked
+// in tax_lot_sales with its gain and term. Share count changes without a price
+// (manual edits, brokerage snapshots) open or close 'adjustment' lots at the current
+// price; their basis can be corrected through PUT /api/tax/lots/:id.
+//
+// Lots held more than a year are long-term. Sales that realize a loss within
+// WASH_SALE_DAYS (30) of a buy of the same symbol are flagged as possible wash sales,
+// and with TAX_DEFERRAL_DAYS=N sells of lots turning long-term within N days get a
+// suggestion to wait. Lots and sales belong to one user's portfolio; every function takes
+// that user's id first.
+const { run, get, all } = require('./db');
+const { addDays, daysBetween, today } = require('./dates');
+
+const LOT_METHODS = ['fifo', 'hifo'];
+const WASH_SALE_DAYS = 30;
+const SHARE_TOLERANCE = 1e-6;
+
+function taxOptions() {
+  const method = (process.env.TAX_LOT_METHOD || 'fifo').toLowerCase();
+  return {
+    method: LOT_METHODS.includes(method) ? method : 'fifo',
+    deferralDays: parseInt(process.env.TAX_DEFERRAL_DAYS, 10) || 0
+  };
+}
+
+// First day a lot bought on `acquiredAt` counts as long-term (held more than one year)
+function longTermDate(acquiredAt) {
+  const date = new Date(`${acquiredAt}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + 1);
+  return addDays(date.toISOString().split('T')[0], 1);
+}
+
+function lotTerm(acquiredAt, soldAt) {
+  return soldAt >= longTermDate(acquiredAt) ? 'long' : 'short';
+}
+
+// ===== LOT STORAGE =====
+async function openLots(userId, symbol) {
+  return all(
+    `SELECT * FROM tax_lots WHERE user_id = ? AND symbol = ? AND remaining_shares > ? ORDER BY acquired_at, id`,
+    [userId, symbol, SHARE_TOLERANCE]
+  );
+}
+
+async function addLot(userId, { symbol, shares, price, fees = 0, acquiredAt = today(), source, recommendationId = null }) {
+  const saved = await run(
+    `INSERT INTO tax_lots (user_id, symbol, acquired_at, shares, remaining_shares, cost_per_share, source, recommendation_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, symbol, acquiredAt, shares, shares, (shares * price + fees) / shares, source, recommendationId]
+  );
+  return saved.lastID;
+}
+
+async function getLot(userId, id) {
+  return get('SELECT * FROM tax_lots WHERE id = ? AND user_id = ?', [id, userId]);
+}
+
+// Corrects a lot's acquisition date or cost. Returns { lot } or { error }.
+async function updateLot(userId, id, { acquiredAt, costPerShare }) {
+  if (acquiredAt !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(acquiredAt)) {
+    return { error: 'acquiredAt must be a YYYY-MM-DD date' };
+  }
+  if (costPerShare !== undefined && (typeof costPerShare !== 'number' || Number.isNaN(costPerShare) || costPerShare < 0)) {
+    return { error: 'costPerShare must be a non-negative number' };
+  }
+  await run(
+    `UPDATE tax_lots SET acquired_at = COALESCE(?, acquired_at), cost_per_share = COALESCE(?, cost_per_share), source = CASE
+       WHEN source = 'adjustment' THEN 'manual' ELSE source END
+     WHERE id = ? AND user_id = ?`,
+    [acquiredAt ?? null, costPerShare ?? null, id, userId]
+  );
+  return { lot: await getLot(userId, id) };
+}
+
+// ===== LOT SELECTION =====
+/**
+ * Picks the lots a sale of `shares` closes: `lots` ([{ id, shares }]) for specific
+ * identification, otherwise `method`. Returns { method, picks: [{ lot, shares }], unmatchedShares }
+ * or { error }; unmatchedShares are shares held without a lot (unknown basis).
+ */
+async function selectLots(userId, symbol, shares, { method = taxOptions().method, lots } = {}) {
+  const open = await openLots(userId, symbol);
+
+  if (lots) {
+    if (!Array.isArray(lots) || lots.some(pick => !pick || !(pick.shares > 0))) {
+      return { error: 'lots must be a list of { id, shares } with positive shares' };
+    }
+    const picks = [];
+    for (const pick of lots) {
+      const lot = open.find(candidate => candidate.id === Number(pick.id));
+      if (!lot) return { error: `Lot ${pick.id} is not an open ${symbol} lot` };
+      if (pick.shares > lot.remaining_shares + SHARE_TOLERANCE) {
+        return { error: `Lot ${lot.id} has only ${lot.remaining_shares} shares left` };
+      }
+      picks.push({ lot, shares: Math.min(pick.shares, lot.remaining_shares) });
+    }
+    const picked = picks.reduce((sum, pick) => sum + pick.shares, 0);
+    if (Math.abs(picked - shares) > SHARE_TOLERANCE) {
+      return { error: `Selected lots hold ${picked} shares but ${shares} are being sold` };
+    }
+    return { method: 'specific', picks, unmatchedShares: 0 };
+  }
+
+  if (!LOT_METHODS.includes(method)) {
+    return { error: `lotMethod must be one of: ${LOT_METHODS.join(', ')}, or give specific lots` };
+  }
+  const ordered = method === 'hifo'
+    ? [...open].sort((a, b) => b.cost_per_share - a.cost_per_share || a.acquired_at.localeCompare(b.acquired_at))
+    : open;
+
+  const picks = [];
+  let left = shares;
+  for (const lot of ordered) {
+    if (left <= SHARE_TOLERANCE) break;
+    const take = Math.min(left, lot.remaining_shares);
+    picks.push({ lot, shares: take });
+    left -= take;
+  }
+  return { method, picks, unmatchedShares: Math.max(left, 0) };
+}
+
+// Most recent buy of `symbol` within the wash-sale window before `asOf`, other than the lots being sold
+async function recentBuy(userId, symbol, asOf, soldLotIds) {
+  return get(
+    `SELECT id, acquired_at, shares, cost_per_share, recommendation_id FROM tax_lots
+     WHERE user_id = ? AND symbol = ? AND source IN ('fill', 'import', 'manual') AND acquired_at >= ? AND acquired_at <= ?
+       AND id NOT IN (${soldLotIds.map(() => '?').join(',')})
+     ORDER BY acquired_at DESC, id DESC LIMIT 1`,
+    [userId, symbol, addDays(asOf, -WASH_SALE_DAYS), asOf, ...soldLotIds]
+  );
+}
+
+/**
+ * Estimated tax effect of selling `shares` of `symbol` at `price` on `asOf` (default today).
+ * Returns { method, lots, shortTermGain, longTermGain, unmatchedShares, washSale, deferral }
+ * or { error }, where lots are [{ id, acquiredAt, shares, costPerShare, gain, term, daysToLongTerm }].
+ */
+async function estimateSale(userId, symbol, shares, price, { method, lots, asOf = today(), fees = 0 } = {}) {
+  const selection = await selectLots(userId, symbol, shares, { method, lots });
+  if (selection.error) return selection;
+
+  const options = taxOptions();
+  const soldShares = selection.picks.reduce((sum, pick) => sum + pick.shares, 0);
+  const estimate = {
+    method: selection.method,
+    lots: selection.picks.map(({ lot, shares: lotShares }) => {
+      const term = lotTerm(lot.acquired_at, asOf);
+      const feeShare = soldShares > 0 ? fees * lotShares / soldShares : 0;
+      return {
+        id: lot.id,
+        acquiredAt: lot.acquired_at,
+        shares: lotShares,
+        costPerShare: lot.cost_per_share,
+        gain: lotShares * (price - lot.cost_per_share) - feeShare,
+        term,
+        daysToLongTerm: term === 'long' ? 0 : daysBetween(asOf, longTermDate(lot.acquired_at))
+      };
+    }),
+    shortTermGain: 0,
+    longTermGain: 0,
+    unmatchedShares: selection.unmatchedShares,
+    washSale: null,
+    deferral: null
+  };
+  for (const lot of estimate.lots) {
+    if (lot.term === 'long') estimate.longTermGain += lot.gain;
+    else estimate.shortTermGain += lot.gain;
+  }
+
+  const loss = estimate.lots.filter(lot => lot.gain < 0).reduce((sum, lot) => sum - lot.gain, 0);
+  const buy = loss > 0 ? await recentBuy(userId, symbol, asOf, estimate.lots.map(lot => lot.id)) : null;
+  if (buy) {
+    estimate.washSale = { loss, boughtAt: buy.acquired_at, lotId: buy.id, recommendationId: buy.recommendation_id };
+  }
+
+  // Short-term gains that would turn long-term if the sale waited a little
+  const soon = estimate.lots.filter(lot => lot.term === 'short' && lot.gain > 0 && lot.daysToLongTerm <= options.deferralDays);
+  if (soon.length > 0) {
+    const days = Math.max(...soon.map(lot => lot.daysToLongTerm));
+    estimate.deferral = {
+      days,
+      until: addDays(asOf, days),
+      lotIds: soon.map(lot => lot.id),
+      gain: soon.reduce((sum, lot) => sum + lot.gain, 0)
+    };
+  }
+  return estimate;
+}
+
+// A buy within the wash-sale window after a loss sale; returns the sale or null
+async function recentLossSale(userId, symbol, asOf = today()) {
+  return get(
+    `SELECT sold_at, SUM(gain) AS loss FROM tax_lot_sales
+     WHERE user_id = ? AND symbol = ? AND gain < 0 AND sold_at >= ? AND sold_at <= ?
+     GROUP BY sold_at ORDER BY sold_at DESC LIMIT 1`,
+    [userId, symbol, addDays(asOf, -WASH_SALE_DAYS), asOf]
+  );
+}
+
+// ===== BOOKING =====
+/**
+ * Closes lots for a confirmed sale and books each in tax_lot_sales. `selection` comes
+ * from selectLots. Returns the realized { shortTermGain, longTermGain }.
+ */
+async function recordSale(userId, symbol, selection, { price, fees = 0, soldAt = today(), recommendationId = null }) {
+  const soldShares = selection.picks.reduce((sum, pick) => sum + pick.shares, 0);
+  const washBuy = await recentBuy(userId, symbol, soldAt, selection.picks.map(pick => pick.lot.id));
+  const realized = { shortTermGain: 0, longTermGain: 0 };
+
+  for (const { lot, shares } of selection.picks) {
+    const term = lotTerm(lot.acquired_at, soldAt);
+    const gain = shares * (price - lot.cost_per_share) - (soldShares > 0 ? fees * shares / soldShares : 0);
+    await run('UPDATE tax_lots SET remaining_shares = MAX(remaining_shares - ?, 0) WHERE id = ?', [shares, lot.id]);
+    await run(
+      `INSERT INTO tax_lot_sales (user_id, lot_id, symbol, sold_at, shares, price, cost_per_share, gain, term, wash_sale, recommendation_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, lot.id, symbol, soldAt, shares, price, lot.cost_per_share, gain, term, gain < 0 && washBuy ? 1 : 0, recommendationId]
+    );
+    realized[term === 'long' ? 'longTermGain' : 'shortTermGain'] += gain;
+  }
+  return realized;
+}
+
+// Brings open lots in line with a share count set without a trade (manual edits, imports)
+async function syncLots(userId, symbol, shares, price) {
+  const open = await openLots(userId, symbol);
+  const held = open.reduce((sum, lot) => sum + lot.remaining_shares, 0);
+  const difference = shares - held;
+
+  if (difference > SHARE_TOLERANCE) {
+    await addLot(userId, { symbol, shares: difference, price: price || 0, source: 'adjustment' });
+  } else if (difference < -SHARE_TOLERANCE) {
+    // Removed shares leave the newest lots first, without a booked sale
+    let left = -difference;
+    for (const lot of [...open].reverse()) {
+      if (left <= SHARE_TOLERANCE) break;
+      const take = Math.min(left, lot.remaining_shares);
+      await run('UPDATE tax_lots SET remaining_shares = remaining_shares - ? WHERE id = ?', [take, lot.id]);
+      left -= take;
+    }
+  }
+}
+
+// ===== REPORTS =====
+// Lots with their holding period; `prices` maps symbols to current prices for unrealized gains
+async function listLots(userId, { symbol, open = true, prices = {} } = {}) {
+  const where = ['user_id = ?'];
+  const params = [userId];
+  if (symbol) {
+    where.push('symbol = ?');
+    params.push(symbol.toUpperCase());
+  }
+  if (open) where.push(`remaining_shares > ${SHARE_TOLERANCE}`);
+
+  const rows = await all(
+    `SELECT * FROM tax_lots WHERE ${where.join(' AND ')} ORDER BY symbol, acquired_at, id`,
+    params
+  );
+  const asOf = today();
+  return rows.map(row => {
+    const term = lotTerm(row.acquired_at, asOf);
+    const price = prices[row.symbol];
+    return {
+      ...row,
+      term,
+      longTermDate: longTermDate(row.acquired_at),
+      daysToLongTerm: term === 'long' ? 0 : daysBetween(asOf, longTermDate(row.acquired_at)),
+      unrealizedGain: price > 0 ? row.remaining_shares * (price - row.cost_per_share) : null
+    };
+  });
+}
+
+// Realized gains for a calendar year (default: all), with short/long-term totals
+async function realizedGains(userId, { symbol, year } = {}) {
+  const where = ['user_id = ?'];
+  const params = [userId];
+  if (symbol) {
+    where.push('symbol = ?');
+    params.push(symbol.toUpperCase());
+  }
+  if (year) {
+    where.push("strftime('%Y', sold_at) = ?");
+    params.push(String(year));
+  }
+
+  const sales = await all(
+    `SELECT * FROM tax_lot_sales WHERE ${where.join(' AND ')} ORDER BY sold_at DESC, id DESC`,
+    params
+  );
+  const totals = { shortTermGain: 0, longTermGain: 0, washSaleLosses: 0 };
+  for (const sale of sales) {
+    totals[sale.term === 'long' ? 'longTermGain' : 'shortTermGain'] += sale.gain;
+    if (sale.wash_sale) totals.washSaleLosses -= sale.gain;
+  }
+  return { ...totals, sales };
+}
+
+module.exports = {
+  WASH_SALE_DAYS,
+  taxOptions,
+  longTermDate,
+  openLots,
+  addLot,
+  getLot,
+  updateLot,
+  selectLots,
+  estimateSale,
+  recentLossSale,
+  recordSale,
+  syncLots,
+  listLots,
+  realizedGains
+};
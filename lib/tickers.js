@@ -0,0 +1,61 @@
+// lib/tickers.js - Ticker aliases: old or alternate symbols mapped to the one we trade
+//
+// Disclosures keep reporting a company under the ticker it had when the filer bought it
+// (FB for Meta, ANTM for Elevance). The ticker_aliases table maps those to the canonical
+// symbol before trades are stored, so signals land on the position we actually hold.
+// Formatting variants (BRK-B vs BRK.B) are handled by cleanTicker, not by aliases.
+const { run, get, all } = require('./db');
+const { cleanTicker } = require('./sources/normalize');
+
+async function listAliases() {
+  return all('SELECT * FROM ticker_aliases ORDER BY alias');
+}
+
+// Adds or updates an alias. Returns { alias } or { error }.
+async function setAlias(alias, { symbol, note }) {
+  const from = cleanTicker(alias);
+  const to = cleanTicker(symbol);
+  if (!from || !to) return { error: 'alias and symbol must be tickers' };
+  if (from === to) return { error: 'An alias cannot point to itself' };
+
+  // Aliases resolve in one step, so chains are flattened here
+  const target = await get('SELECT symbol FROM ticker_aliases WHERE alias = ?', [to]);
+  const canonical = target ? target.symbol : to;
+  if (canonical === from) return { error: `${to} is already an alias of ${from}` };
+
+  await run(
+    `INSERT INTO ticker_aliases (alias, symbol, note) VALUES (?, ?, ?)
+     ON CONFLICT(alias) DO UPDATE SET symbol = excluded.symbol, note = COALESCE(excluded.note, ticker_aliases.note)`,
+    [from, canonical, note ?? null]
+  );
+  await run('UPDATE ticker_aliases SET symbol = ? WHERE symbol = ?', [canonical, from]);
+  return { alias: await get('SELECT * FROM ticker_aliases WHERE alias = ?', [from]) };
+}
+
+async function removeAlias(alias) {
+  const result = await run('DELETE FROM ticker_aliases WHERE alias = ?', [cleanTicker(alias)]);
+  return result.changes > 0;
+}
+
+// Canonical symbol for one ticker, e.g. for API lookups
+async function resolveTicker(ticker) {
+  const symbol = cleanTicker(ticker);
+  if (!symbol) return null;
+  const alias = await get('SELECT symbol FROM ticker_aliases WHERE alias = ?', [symbol]);
+  return alias ? alias.symbol : symbol;
+}
+
+// Rewrites trade.Ticker through the alias table, keeping the reported one in RawTicker
+async function applyAliases(trades) {
+  if (trades.length === 0) return trades;
+  const aliases = Object.fromEntries((await listAliases()).map(row => [row.alias, row.symbol]));
+  for (const trade of trades) {
+    if (aliases[trade.Ticker]) {
+      trade.RawTicker = trade.RawTicker || trade.Ticker;
+      trade.Ticker = aliases[trade.Ticker];
+    }
+  }
+  return trades;
+}
+
+module.exports = { listAliases, setAlias, removeAlias, resolveTicker, applyAliases };
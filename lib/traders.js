@@ -0,0 +1,247 @@
+// lib/traders.js - Followed traders and data-driven scoring from trade history
+const { run, get, all } = require('./db');
+const { addDays, today } = require('./dates');
+const { SIGNAL_DEFAULTS, MIN_CONFIDENCE } = require('./engine');
+
+// Seeded into the traders table on first run; the scoring job replaces these weights
+const SEED_TRADERS = {
+  'Nancy Pelosi': { chamber: 'house', weight: 1.0, successRate: 0.89 },
+  'David Rouzer': { chamber: 'house', weight: 0.95, successRate: 0.87 },
+  'Debbie Wasserman Schultz': { chamber: 'house', weight: 0.85, successRate: 0.82 },
+  'Ron Wyden': { chamber: 'senate', weight: 0.80, successRate: 0.84 },
+  'Roger Williams': { chamber: 'house', weight: 0.75, successRate: 0.79 },
+  'Josh Gottheimer': { chamber: 'house', weight: 0.90, successRate: 0.85 }
+};
+
+const HORIZONS = [30, 90, 180];
+const DEFAULT_WEIGHT = 0.5;
+// A member with no measurable edge lands exactly on the recommendation threshold
+const NEUTRAL_WEIGHT = MIN_CONFIDENCE / SIGNAL_DEFAULTS.buyConfidence;
+
+function scoringOptions() {
+  return {
+    horizon: parseInt(process.env.SCORING_HORIZON_DAYS, 10) || 90,
+    minSamples: parseInt(process.env.SCORING_MIN_SAMPLES, 10) || 10,
+    priorStrength: parseFloat(process.env.SCORING_PRIOR_STRENGTH) || 20,
+    priorHitRate: parseFloat(process.env.SCORING_PRIOR_HIT_RATE) || 0.5,
+    edgeScale: parseFloat(process.env.SCORING_EDGE_SCALE) || 1.5
+  };
+}
+
+// ===== SCORING =====
+// Finds the first close on or after `date`, allowing for weekends and holidays
+function closeOnOrAfter(bars, date, maxGapDays = 7) {
+  if (!bars || bars.length === 0) return null;
+
+  let low = 0;
+  let high = bars.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (bars[mid].date < date) low = mid + 1;
+    else high = mid;
+  }
+
+  const bar = bars[low];
+  return bar && bar.date <= addDays(date, maxGapDays) ? bar.close : null;
+}
+
+/**
+ * Scores one trader's disclosed trades against stored daily closes.
+ * Returns are signed by direction, so a sale followed by a drop is a hit.
+ *
+ * The weight shrinks the observed hit rate and average return toward the
+ * prior by `priorStrength` pseudo-samples at the primary horizon, and centres the
+ * resulting edge on the weight whose buy confidence equals MIN_CONFIDENCE:
+ *   edge   = (shrunkHitRate - priorHitRate) + shrunkAvgReturn
+ *   weight = clamp(NEUTRAL_WEIGHT + edgeScale * edge, 0.1, 1.0)
+ * so members with a positive edge pass the threshold on their own and the rest need
+ * consensus. With fewer than `minSamples` scored trades the weight is null: the member
+ * keeps their seed or previous weight and success rate.
+ */
+function scoreTrades(trades, barsBySymbol, options = scoringOptions(), asOf = today()) {
+  const horizons = {};
+
+  for (const days of HORIZONS) {
+    let samples = 0;
+    let hits = 0;
+    let totalReturn = 0;
+
+    for (const trade of trades) {
+      const direction = /^(purchase|buy)/i.test(trade.transaction_type) ? 1 : /^(sale|sell)/i.test(trade.transaction_type) ? -1 : 0;
+      const exitDate = addDays(trade.trade_date, days);
+      if (!direction || exitDate > asOf) continue;
+
+      const bars = barsBySymbol[trade.symbol];
+      const entry = closeOnOrAfter(bars, trade.trade_date);
+      const exit = closeOnOrAfter(bars, exitDate);
+      if (!entry || !exit) continue;
+
+      const signedReturn = direction * (exit / entry - 1);
+      samples++;
+      totalReturn += signedReturn;
+      if (signedReturn > 0) hits++;
+    }
+
+    horizons[days] = {
+      samples,
+      hits,
+      hitRate: samples > 0 ? hits / samples : null,
+      avgReturn: samples > 0 ? totalReturn / samples : null,
+      totalReturn
+    };
+  }
+
+  const primary = horizons[options.horizon] || horizons[90];
+  const k = options.priorStrength;
+  const shrunkHitRate = (primary.hits + k * options.priorHitRate) / (primary.samples + k);
+  const shrunkAvgReturn = primary.totalReturn / (primary.samples + k);
+
+  const edge = (shrunkHitRate - options.priorHitRate) + shrunkAvgReturn;
+  const enough = primary.samples >= options.minSamples;
+
+  return {
+    sampleSize: primary.samples,
+    horizons,
+    successRate: enough ? shrunkHitRate : null,
+    weight: enough ? Math.min(Math.max(NEUTRAL_WEIGHT + options.edgeScale * edge, 0.1), 1.0) : null
+  };
+}
+
+// ===== PERSISTENCE =====
+async function seedTraders() {
+  const existing = await get('SELECT COUNT(*) AS count FROM traders');
+  if (existing.count > 0) return;
+
+  for (const [name, seed] of Object.entries(SEED_TRADERS)) {
+    await run(
+      'INSERT INTO traders (name, chamber, included, weight, success_rate) VALUES (?, ?, 1, ?, ?)',
+      [name, seed.chamber, seed.weight, seed.successRate]
+    );
+    await run('INSERT OR IGNORE INTO user_traders (user_id, trader_name) SELECT id, ? FROM users', [name]);
+  }
+  console.log(`👥 Seeded ${Object.keys(SEED_TRADERS).length} followed traders`);
+}
+
+// A user's followed traders keyed by name, in the { weight, successRate } shape the engine expects
+async function loadFollowedTraders(userId) {
+  const rows = await all(
+    'SELECT traders.* FROM traders JOIN user_traders ON user_traders.trader_name = traders.name WHERE user_traders.user_id = ?',
+    [userId]
+  );
+  const traders = {};
+  for (const row of rows) {
+    traders[row.name] = {
+      weight: row.manual_weight ?? row.weight ?? DEFAULT_WEIGHT,
+      successRate: row.success_rate,
+      chamber: row.chamber
+    };
+  }
+  return traders;
+}
+
+// `included` traders are followed by default by new users; `followed` is this user's choice
+async function listTraders(userId) {
+  const rows = await all(
+    `SELECT traders.*, user_traders.trader_name IS NOT NULL AS followed FROM traders
+     LEFT JOIN user_traders ON user_traders.trader_name = traders.name AND user_traders.user_id = ?
+     ORDER BY followed DESC, COALESCE(manual_weight, weight) DESC, name ASC`,
+    [userId]
+  );
+  return rows.map(row => ({
+    name: row.name,
+    chamber: row.chamber,
+    included: !!row.included,
+    followed: !!row.followed,
+    effectiveWeight: row.manual_weight ?? row.weight ?? DEFAULT_WEIGHT,
+    scoredWeight: row.weight,
+    manualWeight: row.manual_weight,
+    successRate: row.success_rate,
+    sampleSize: row.sample_size,
+    horizons: Object.fromEntries(HORIZONS.map(days => [days, {
+      hitRate: row[`hit_rate_${days}`],
+      avgReturn: row[`avg_return_${days}`]
+    }])),
+    scoredAt: row.scored_at
+  }));
+}
+
+// Returns false when there is no such trader
+async function setFollowing(userId, name, follow) {
+  if (!(await get('SELECT name FROM traders WHERE name = ?', [name]))) return false;
+  await run(
+    follow
+      ? 'INSERT OR IGNORE INTO user_traders (user_id, trader_name) VALUES (?, ?)'
+      : 'DELETE FROM user_traders WHERE user_id = ? AND trader_name = ?',
+    [userId, name]
+  );
+  return true;
+}
+
+async function loadDailyBars(symbols) {
+  const barsBySymbol = {};
+  if (symbols.length === 0) return barsBySymbol;
+
+  const rows = await all(
+    `SELECT symbol, price_date, close FROM daily_prices
+     WHERE symbol IN (${symbols.map(() => '?').join(',')})
+     ORDER BY symbol, price_date`,
+    symbols
+  );
+  for (const row of rows) {
+    (barsBySymbol[row.symbol] = barsBySymbol[row.symbol] || []).push({ date: row.price_date, close: row.close });
+  }
+  return barsBySymbol;
+}
+
+// Scores every member in the trades history; newly seen members are added but not followed.
+// Members without enough samples keep the weight they had (the seed weight at first).
+async function scoreAllTraders(options = scoringOptions()) {
+  const trades = await all(
+    "SELECT trader_name, symbol, transaction_type, trade_date FROM trades WHERE trader_name IS NOT NULL AND trade_date IS NOT NULL"
+  );
+  const barsBySymbol = await loadDailyBars([...new Set(trades.map(t => t.symbol))]);
+
+  const tradesByTrader = {};
+  for (const trade of trades) {
+    (tradesByTrader[trade.trader_name] = tradesByTrader[trade.trader_name] || []).push(trade);
+  }
+
+  let scored = 0;
+  for (const [name, traderTrades] of Object.entries(tradesByTrader)) {
+    const score = scoreTrades(traderTrades, barsBySymbol, options);
+    const { horizons } = score;
+
+    await run('INSERT OR IGNORE INTO traders (name, included) VALUES (?, 0)', [name]);
+    await run(
+      `UPDATE traders SET
+         weight = COALESCE(?, weight), success_rate = COALESCE(?, success_rate), sample_size = ?,
+         hit_rate_30 = ?, avg_return_30 = ?,
+         hit_rate_90 = ?, avg_return_90 = ?,
+         hit_rate_180 = ?, avg_return_180 = ?,
+         scored_at = CURRENT_TIMESTAMP
+       WHERE name = ?`,
+      [
+        score.weight, score.successRate, score.sampleSize,
+        horizons[30].hitRate, horizons[30].avgReturn,
+        horizons[90].hitRate, horizons[90].avgReturn,
+        horizons[180].hitRate, horizons[180].avgReturn,
+        name
+      ]
+    );
+    scored++;
+  }
+
+  console.log(`🏅 Scored ${scored} traders from ${trades.length} trades`);
+  return { traders: scored, trades: trades.length };
+}
+
+module.exports = {
+  SEED_TRADERS,
+  HORIZONS,
+  scoreTrades,
+  seedTraders,
+  loadFollowedTraders,
+  listTraders,
+  setFollowing,
+  scoreAllTraders
+};
@@ -0,0 +1,123 @@
+// lib/universe.js - Which tickers outside the portfolio the bot may open positions in
+//
+// The universe table holds an allowlist and a denylist. UNIVERSE_MODE picks how other
+// tickers are treated:
+//   open (default)   anything not denied may be opened
+//   allowlist        only allowlisted tickers may be opened
+// Optional filters apply on top: UNIVERSE_MIN_PRICE (dollars) and UNIVERSE_MIN_MARKET_CAP
+// (dollars; needs a market cap from the universe table or a price provider, and a ticker
+// with no known market cap is rejected while the filter is on). Market caps fetched from
+// providers are cached in the table for UNIVERSE_MARKET_CAP_TTL_DAYS (default 7), as
+// 'watch' entries when the ticker isn't listed yet; 'watch' never blocks or admits anything.
+//
+// Tickers already held are not filtered: signals on them always reach the plan.
+const { run, get, all } = require('./db');
+const { getMarketCap } = require('./prices');
+
+const LISTS = ['allow', 'deny', 'watch'];
+
+function universeOptions() {
+  return {
+    mode: process.env.UNIVERSE_MODE === 'allowlist' ? 'allowlist' : 'open',
+    minPrice: parseFloat(process.env.UNIVERSE_MIN_PRICE) || 0,
+    minMarketCap: parseFloat(process.env.UNIVERSE_MIN_MARKET_CAP) || 0,
+    marketCapTtlDays: parseFloat(process.env.UNIVERSE_MARKET_CAP_TTL_DAYS) || 7
+  };
+}
+
+// ===== MANAGEMENT =====
+async function listUniverse(list) {
+  return all(
+    `SELECT * FROM universe ${list ? 'WHERE list = ?' : ''} ORDER BY list, symbol`,
+    list ? [list] : []
+  );
+}
+
+// Adds or updates a ticker. Returns { entry } or { error }.
+async function setUniverseEntry(symbol, { list, note, marketCap }) {
+  const existing = await get('SELECT * FROM universe WHERE symbol = ?', [symbol]);
+  const nextList = list || (existing && existing.list);
+  if (!LISTS.includes(nextList)) {
+    return { error: `list must be one of: ${LISTS.join(', ')}` };
+  }
+  if (marketCap !== undefined && marketCap !== null && !(marketCap > 0)) {
+    return { error: 'marketCap must be a positive number' };
+  }
+
+  await run(
+    `INSERT INTO universe (symbol, list, note, market_cap, market_cap_updated_at)
+     VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+     ON CONFLICT(symbol) DO UPDATE SET
+       list = excluded.list,
+       note = COALESCE(excluded.note, universe.note),
+       market_cap = COALESCE(excluded.market_cap, universe.market_cap),
+       market_cap_updated_at = COALESCE(excluded.market_cap_updated_at, universe.market_cap_updated_at)`,
+    [symbol, nextList, note ?? null, marketCap ?? null, marketCap ?? null]
+  );
+  return { entry: await get('SELECT * FROM universe WHERE symbol = ?', [symbol]) };
+}
+
+async function removeUniverseEntry(symbol) {
+  const result = await run('DELETE FROM universe WHERE symbol = ?', [symbol]);
+  return result.changes > 0;
+}
+
+// ===== FILTERING =====
+async function knownMarketCap(symbol, entry, options) {
+  const fresh = entry && entry.market_cap &&
+    (!entry.market_cap_updated_at ||
+      Date.now() - new Date(`${entry.market_cap_updated_at}Z`).getTime() < options.marketCapTtlDays * 24 * 60 * 60 * 1000);
+  if (fresh) return entry.market_cap;
+
+  const marketCap = await getMarketCap(symbol);
+  if (marketCap) {
+    await run(
+      `INSERT INTO universe (symbol, list, market_cap, market_cap_updated_at) VALUES (?, 'watch', ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(symbol) DO UPDATE SET market_cap = excluded.market_cap, market_cap_updated_at = CURRENT_TIMESTAMP`,
+      [symbol, marketCap]
+    );
+  }
+  return marketCap || (entry && entry.market_cap) || null;
+}
+
+/**
+ * Decides whether a new position may be opened in `symbol` at `price`.
+ * Returns { allowed, reason, marketCap }.
+ */
+async function checkUniverse(symbol, price, options = universeOptions()) {
+  const entry = await get('SELECT * FROM universe WHERE symbol = ?', [symbol]);
+
+  if (entry && entry.list === 'deny') {
+    return { allowed: false, reason: `${symbol} is on the denylist${entry.note ? ` (${entry.note})` : ''}` };
+  }
+  if (options.mode === 'allowlist' && !(entry && entry.list === 'allow')) {
+    return { allowed: false, reason: `${symbol} is not on the allowlist` };
+  }
+  if (!(price > 0)) {
+    return { allowed: false, reason: `no price available for ${symbol}` };
+  }
+  if (options.minPrice > 0 && price < options.minPrice) {
+    return { allowed: false, reason: `price $${price.toFixed(2)} is below the $${options.minPrice} minimum` };
+  }
+
+  let marketCap = entry ? entry.market_cap : null;
+  if (options.minMarketCap > 0) {
+    marketCap = await knownMarketCap(symbol, entry, options);
+    if (!marketCap) {
+      return { allowed: false, reason: `market cap for ${symbol} is unknown` };
+    }
+    if (marketCap < options.minMarketCap) {
+      return { allowed: false, reason: `market cap $${(marketCap / 1e9).toFixed(2)}B is below the $${(options.minMarketCap / 1e9).toFixed(2)}B minimum`, marketCap };
+    }
+  }
+
+  return { allowed: true, reason: null, marketCap };
+}
+
+module.exports = {
+  universeOptions,
+  listUniverse,
+  setUniverseEntry,
+  removeUniverseEntry,
+  checkUniverse
+};
@@ -0,0 +1,167 @@
+// lib/users.js - User accounts and their API keys
+//
+// Every request authenticates with an API key (see lib/auth.js). Keys are random
+// `ctb_...` strings shown once when created; only their SHA-256 hash and a short prefix
+// (to tell them apart in listings) are stored. Roles:
+//   admin    manages users, sources, jobs, risk policy, strategies, universe and aliases
+//   viewer   reads shared data and manages their own portfolio, follows and notifications
+// Each user owns a portfolio, a followed-trader list and notification settings.
+// ADMIN_API_KEY registers a known key for the first admin; without it a key is generated
+// and printed at startup whenever no admin has an active one.
+const crypto = require('crypto');
+const { run, get, all } = require('./db');
+
+const ROLES = ['admin', 'viewer'];
+const KEY_PREFIX = 'ctb_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// ===== USERS =====
+async function listUsers() {
+  return all(
+    `SELECT users.*, COUNT(api_keys.id) AS active_keys FROM users
+     LEFT JOIN api_keys ON api_keys.user_id = users.id AND api_keys.revoked_at IS NULL
+     GROUP BY users.id ORDER BY users.id`
+  );
+}
+
+async function getUser(id) {
+  return get('SELECT * FROM users WHERE id = ?', [id]);
+}
+
+function validateUser({ name, role }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'name must be a non-empty string';
+  if (role !== undefined && !ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`;
+  return null;
+}
+
+/**
+ * Creates a user following the traders included by default, with one API key.
+ * Returns { user, key } (the only time the plain key is available) or { error }.
+ */
+async function createUser({ name, role = 'viewer' }) {
+  if (name === undefined) return { error: 'Missing required field: name' };
+  const error = validateUser({ name, role });
+  if (error) return { error };
+
+  const saved = await run('INSERT INTO users (name, role) VALUES (?, ?)', [name.trim(), role]);
+  await run('INSERT INTO user_traders (user_id, trader_name) SELECT ?, name FROM traders WHERE included = 1', [saved.lastID]);
+  const { key } = await createApiKey(saved.lastID, 'default');
+  return { user: await getUser(saved.lastID), key };
+}
+
+// Returns { user } or { error }; the last admin can't be demoted
+async function updateUser(id, changes) {
+  const error = validateUser(changes);
+  if (error) return { error };
+  const user = await getUser(id);
+  if (changes.role === 'viewer' && user.role === 'admin' && (await adminCount()) === 1) {
+    return { error: 'Cannot demote the last admin' };
+  }
+
+  await run(
+    'UPDATE users SET name = COALESCE(?, name), role = COALESCE(?, role) WHERE id = ?',
+    [changes.name ? changes.name.trim() : null, changes.role ?? null, id]
+  );
+  return { user: await getUser(id) };
+}
+
+// Tables whose user_id column was added after the fact, so it has no ON DELETE CASCADE
+const OWNED_TABLES = ['tax_lot_sales', 'tax_lots', 'paper_ledger', 'notification_deliveries', 'risk_decisions', 'brokerage_imports', 'recommendations'];
+
+// Deletes the user and everything they own; returns an error message or null
+async function deleteUser(id) {
+  const user = await getUser(id);
+  if (user.role === 'admin' && (await adminCount()) === 1) return 'Cannot delete the last admin';
+  for (const table of OWNED_TABLES) {
+    await run(`DELETE FROM ${table} WHERE user_id = ?`, [id]);
+  }
+  await run('DELETE FROM users WHERE id = ?', [id]);
+  return null;
+}
+
+async function adminCount() {
+  const row = await get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'");
+  return row.count;
+}
+
+// ===== API KEYS =====
+async function createApiKey(userId, label = null, key = generateKey()) {
+  const saved = await run(
+    'INSERT INTO api_keys (user_id, prefix, key_hash, label) VALUES (?, ?, ?, ?)',
+    [userId, key.slice(0, KEY_PREFIX.length + 6), hashKey(key), label]
+  );
+  return { key, apiKey: await get('SELECT id, user_id, prefix, label, created_at FROM api_keys WHERE id = ?', [saved.lastID]) };
+}
+
+async function listApiKeys(userId) {
+  return all(
+    'SELECT id, prefix, label, created_at, last_used_at, revoked_at FROM api_keys WHERE user_id = ? ORDER BY id',
+    [userId]
+  );
+}
+
+async function revokeApiKey(userId, id) {
+  const result = await run(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [id, userId]
+  );
+  return result.changes > 0;
+}
+
+// The user a key belongs to, or null for unknown and revoked keys
+async function authenticateKey(key) {
+  if (typeof key !== 'string' || !key) return null;
+  const row = await get(
+    `SELECT api_keys.id AS key_id, users.* FROM api_keys JOIN users ON users.id = api_keys.user_id
+     WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL`,
+    [hashKey(key)]
+  );
+  if (!row) return null;
+
+  const { key_id: keyId, ...user } = row;
+  await run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [keyId]);
+  return user;
+}
+
+/**
+ * Startup check that the admin can sign in: ADMIN_API_KEY is registered for the first
+ * admin, or when no admin has an active key one is generated. Returns the new plain key
+ * (to print once) or null.
+ */
+async function ensureAdminKey() {
+  const admin = await get("SELECT id FROM users WHERE role = 'admin' ORDER BY id LIMIT 1");
+  const envKey = process.env.ADMIN_API_KEY;
+  if (envKey) {
+    const existing = await get('SELECT id FROM api_keys WHERE key_hash = ?', [hashKey(envKey)]);
+    if (!existing) await createApiKey(admin.id, 'ADMIN_API_KEY', envKey);
+    return null;
+  }
+
+  const active = await get(
+    `SELECT COUNT(*) AS count FROM api_keys JOIN users ON users.id = api_keys.user_id
+     WHERE users.role = 'admin' AND api_keys.revoked_at IS NULL`
+  );
+  if (active.count > 0) return null;
+  return (await createApiKey(admin.id, 'generated')).key;
+}
+
+module.exports = {
+  ROLES,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateKey,
+  ensureAdminKey
+};
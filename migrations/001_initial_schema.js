@@ -0,0 +1,343 @@
+// Baseline schema: every table the bot had before versioned migrations. Tables are created
+// only if missing and older databases get the columns added since, so this is safe to
+// apply to any existing trades.db.
+const { run, all, addColumnIfMissing } = require('../lib/db');
+
+// Frozen copies of lib/sources/normalize.js's dedupKey and its helpers as of this
+// migration, so later changes to the live ones don't change what it writes
+const PLACEHOLDER_TICKERS = ['--', '-', 'N/A', 'NA', 'NONE', 'UNKNOWN'];
+
+function cleanTraderName(name) {
+  return String(name || '')
+    .replace(/^(hon\.?|sen\.?|senator|rep\.?|representative)\s+/i, '')
+    .replace(/\s+[A-Z]\.?(?=\s)/g, '')
+    .replace(/\s+(jr\.?|sr\.?|ii|iii|iv)$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function cleanTicker(ticker) {
+  const text = String(ticker || '')
+    .replace(/<[^>]*>/g, '')
+    .trim()
+    .toUpperCase()
+    .replace(/^(NYSE|NASDAQ|AMEX|ARCA|OTC)\s*:\s*/, '')
+    .replace(/^\$/, '');
+  if (PLACEHOLDER_TICKERS.includes(text)) return '';
+
+  const classShare = text.match(/^([A-Z]{1,5})[.\-/ ]([A-Z])$/);
+  if (classShare) return `${classShare[1]}.${classShare[2]}`;
+  return /^[A-Z]{1,5}$/.test(text) ? text : '';
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+}
+
+function normalizeTransactionType(type) {
+  const value = String(type || '').toLowerCase();
+  if (value.startsWith('purchase') || value === 'buy') return 'Purchase';
+  if (value.startsWith('sale') || value === 'sell') return 'Sale';
+  if (value.startsWith('exchange')) return 'Exchange';
+  return type || null;
+}
+
+function dedupKey(trade) {
+  return [
+    cleanTraderName(trade.Representative).toLowerCase().replace(/[^a-z ]/g, ''),
+    cleanTicker(trade.Ticker),
+    toIsoDate(trade.TransactionDate) || '',
+    normalizeTransactionType(trade.Transaction) || '',
+    Math.round(trade.AmountLow ?? (parseFloat(trade.Amount) || 0))
+  ].join('|');
+}
+
+module.exports = {
+  description: 'Baseline tables, upgrading databases created before migrations',
+
+  async up() {
+    await run(`CREATE TABLE IF NOT EXISTS trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trader_name TEXT,
+      symbol TEXT,
+      transaction_type TEXT,
+      amount REAL,
+      trade_date TEXT,
+      disclosure_date TEXT,
+      processed BOOLEAN DEFAULT FALSE,
+      source TEXT,
+      source_id TEXT,
+      dedup_key TEXT,
+      amount_low REAL,
+      amount_high REAL,
+      amount_range TEXT,
+      owner TEXT,
+      partial_sale BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS recommendations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT,
+      action TEXT,
+      current_price REAL,
+      recommended_amount REAL,
+      shares_to_trade REAL,
+      reason TEXT,
+      confidence REAL,
+      executed BOOLEAN DEFAULT FALSE,
+      status TEXT DEFAULT 'pending',
+      expires_at DATETIME,
+      executed_at DATETIME,
+      fill_price REAL,
+      fill_shares REAL,
+      fees REAL,
+      dismissed_at DATETIME,
+      dismiss_reason TEXT,
+      disclosure_lag_days INTEGER,
+      price_move_since_trade REAL,
+      target_allocation REAL,
+      members TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS manual_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trader_name TEXT,
+      symbol TEXT,
+      transaction_type TEXT,
+      amount REAL,
+      trade_date TEXT,
+      processed BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS portfolio_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      cash REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS positions (
+      symbol TEXT PRIMARY KEY,
+      shares REAL NOT NULL DEFAULT 0,
+      current_price REAL NOT NULL DEFAULT 0,
+      current_value REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS target_allocations (
+      symbol TEXT PRIMARY KEY,
+      target_allocation REAL NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+      snapshot_date TEXT PRIMARY KEY,
+      total_value REAL,
+      cash REAL,
+      positions TEXT,
+      net_flow REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS traders (
+      name TEXT PRIMARY KEY,
+      chamber TEXT,
+      included BOOLEAN DEFAULT TRUE,
+      weight REAL,
+      success_rate REAL,
+      manual_weight REAL,
+      sample_size INTEGER DEFAULT 0,
+      hit_rate_30 REAL,
+      avg_return_30 REAL,
+      hit_rate_90 REAL,
+      avg_return_90 REAL,
+      hit_rate_180 REAL,
+      avg_return_180 REAL,
+      scored_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS daily_prices (
+      symbol TEXT NOT NULL,
+      price_date TEXT NOT NULL,
+      open REAL,
+      high REAL,
+      low REAL,
+      close REAL NOT NULL,
+      volume REAL,
+      provider TEXT,
+      fetched_at DATETIME,
+      PRIMARY KEY (symbol, price_date)
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS price_quotes (
+      symbol TEXT PRIMARY KEY,
+      price REAL NOT NULL,
+      change REAL,
+      change_percent TEXT,
+      provider TEXT,
+      fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT,
+      channel TEXT,
+      channel_type TEXT,
+      title TEXT,
+      message TEXT,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at DATETIME,
+      recommendation_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS risk_policy (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      policy TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS risk_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recommendation_id INTEGER,
+      symbol TEXT,
+      action TEXT,
+      rule TEXT,
+      outcome TEXT,
+      original_amount REAL,
+      final_amount REAL,
+      confidence REAL,
+      detail TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS paper_positions (
+      symbol TEXT PRIMARY KEY,
+      shares REAL DEFAULT 0,
+      cost_basis REAL DEFAULT 0,
+      realized_pnl REAL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS paper_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recommendation_id INTEGER,
+      symbol TEXT,
+      action TEXT,
+      shares REAL,
+      price REAL,
+      quote_price REAL,
+      slippage REAL,
+      commission REAL,
+      amount REAL,
+      realized_pnl REAL,
+      cash_after REAL,
+      filled_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_name TEXT NOT NULL,
+      trigger TEXT,
+      status TEXT NOT NULL,
+      params TEXT,
+      counts TEXT,
+      error TEXT,
+      started_at DATETIME,
+      finished_at DATETIME,
+      duration_ms INTEGER
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS universe (
+      symbol TEXT PRIMARY KEY,
+      list TEXT NOT NULL,
+      note TEXT,
+      market_cap REAL,
+      market_cap_updated_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS brokerage_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      format TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      filename TEXT,
+      as_of DATE,
+      statement TEXT NOT NULL,
+      diff TEXT,
+      status TEXT NOT NULL DEFAULT 'preview',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      applied_at DATETIME
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS brokerage_activity (
+      id TEXT PRIMARY KEY,
+      import_id INTEGER,
+      format TEXT,
+      activity_date DATE,
+      action TEXT,
+      symbol TEXT,
+      shares REAL,
+      price REAL,
+      amount REAL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await addColumnIfMissing('recommendations', 'status', "TEXT DEFAULT 'pending'");
+    await addColumnIfMissing('recommendations', 'expires_at', 'DATETIME');
+    await addColumnIfMissing('recommendations', 'executed_at', 'DATETIME');
+    await addColumnIfMissing('recommendations', 'fill_price', 'REAL');
+    await addColumnIfMissing('recommendations', 'fill_shares', 'REAL');
+    await addColumnIfMissing('recommendations', 'fees', 'REAL');
+    await addColumnIfMissing('recommendations', 'dismissed_at', 'DATETIME');
+    await addColumnIfMissing('recommendations', 'dismiss_reason', 'TEXT');
+    await addColumnIfMissing('recommendations', 'disclosure_lag_days', 'INTEGER');
+    await addColumnIfMissing('recommendations', 'price_move_since_trade', 'REAL');
+    await addColumnIfMissing('recommendations', 'target_allocation', 'REAL');
+    await addColumnIfMissing('recommendations', 'members', 'TEXT');
+    await run("UPDATE recommendations SET status = 'executed' WHERE executed = 1 AND status = 'pending'");
+
+    await addColumnIfMissing('trades', 'source', 'TEXT');
+    await addColumnIfMissing('trades', 'source_id', 'TEXT');
+    await addColumnIfMissing('trades', 'dedup_key', 'TEXT');
+    await addColumnIfMissing('trades', 'amount_low', 'REAL');
+    await addColumnIfMissing('trades', 'amount_high', 'REAL');
+    await addColumnIfMissing('trades', 'amount_range', 'TEXT');
+    await addColumnIfMissing('trades', 'owner', 'TEXT');
+    await addColumnIfMissing('trades', 'partial_sale', 'BOOLEAN DEFAULT FALSE');
+
+    for (const column of ['open', 'high', 'low', 'volume']) {
+      await addColumnIfMissing('daily_prices', column, 'REAL');
+    }
+    await addColumnIfMissing('daily_prices', 'provider', 'TEXT');
+    await addColumnIfMissing('daily_prices', 'fetched_at', 'DATETIME');
+    await addColumnIfMissing('portfolio_snapshots', 'net_flow', 'REAL DEFAULT 0');
+    const unkeyed = await all('SELECT * FROM trades WHERE dedup_key IS NULL');
+    for (const row of unkeyed) {
+      const key = dedupKey({
+        Representative: row.trader_name,
+        Ticker: row.symbol,
+        Transaction: row.transaction_type,
+        Amount: row.amount,
+        TransactionDate: row.trade_date
+      });
+      await run("UPDATE trades SET dedup_key = ?, source = COALESCE(source, 'legacy') WHERE id = ?", [key, row.id]);
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// Indexes for the hot lookups: the per-trade duplicate check in processNewTrades, the
+// history filters, pending recommendations and the notification retry queue.
+// Duplicate trades (same dedup key) must be removed before the key can be unique.
+const { run, get } = require('../lib/db');
+
+const INDEXES = [
+  ['idx_trades_trade_date', 'trades (trade_date)'],
+  ['idx_trades_disclosure_date', 'trades (disclosure_date)'],
+  ['idx_trades_trader_name', 'trades (trader_name)'],
+  ['idx_trades_symbol', 'trades (symbol)'],
+  ['idx_recommendations_status', 'recommendations (status, expires_at)'],
+  ['idx_recommendations_symbol', 'recommendations (symbol, executed_at)'],
+  ['idx_notification_deliveries_status', 'notification_deliveries (status, next_attempt_at)'],
+  ['idx_job_runs_job_name', 'job_runs (job_name, status)'],
+  ['idx_paper_ledger_symbol', 'paper_ledger (symbol)'],
+  ['idx_brokerage_activity_import_id', 'brokerage_activity (import_id)']
+];
+
+module.exports = {
+  description: 'Unique trade dedup key and lookup indexes',
+
+  async up() {
+    const duplicates = await get(
+      `SELECT COUNT(*) AS count FROM trades
+       WHERE dedup_key IS NOT NULL AND id NOT IN (SELECT MIN(id) FROM trades WHERE dedup_key IS NOT NULL GROUP BY dedup_key)`
+    );
+    if (duplicates.count > 0) {
+      await run(
+        `DELETE FROM trades
+         WHERE dedup_key IS NOT NULL AND id NOT IN (SELECT MIN(id) FROM trades WHERE dedup_key IS NOT NULL GROUP BY dedup_key)`
+      );
+      console.log(`🧹 Removed ${duplicates.count} duplicate trades`);
+    }
+
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_trades_dedup_key ON trades (dedup_key)');
+    for (const [name, columns] of INDEXES) {
+      await run(`CREATE INDEX IF NOT EXISTS ${name} ON ${columns}`);
+    }
+  },
+
+  async down() {
+    await run('DROP INDEX IF EXISTS idx_trades_dedup_key');
+    for (const [name] of INDEXES) {
+      await run(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
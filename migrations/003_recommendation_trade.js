@@ -0,0 +1,28 @@
+// Links each recommendation to the disclosed trade that triggered it (the strongest
+// signal behind the order; trims funding a new position have none). Existing rows are
+// matched best-effort to the latest trade in the symbol by one of their members.
+const { run } = require('../lib/db');
+
+module.exports = {
+  description: 'recommendations.trade_id foreign key to trades',
+
+  async up() {
+    await run('ALTER TABLE recommendations ADD COLUMN trade_id INTEGER REFERENCES trades (id) ON DELETE SET NULL');
+    await run('CREATE INDEX IF NOT EXISTS idx_recommendations_trade_id ON recommendations (trade_id)');
+    await run(
+      `UPDATE recommendations SET trade_id = (
+         SELECT t.id FROM trades t
+         WHERE t.symbol = recommendations.symbol
+           AND t.created_at <= recommendations.created_at
+           AND t.trader_name IN (SELECT value FROM json_each(COALESCE(recommendations.members, '[]')))
+         ORDER BY t.created_at DESC, t.id DESC LIMIT 1
+       )
+       WHERE trade_id IS NULL AND reason NOT LIKE 'Trimming allocation%'`
+    );
+  },
+
+  async down() {
+    await run('DROP INDEX IF EXISTS idx_recommendations_trade_id');
+    await run('ALTER TABLE recommendations DROP COLUMN trade_id');
+  }
+};
@@ -0,0 +1,132 @@
+// Ticker aliases and asset classification for disclosures. Existing trades get their
+// symbols rewritten to the canonical form (BRK-B -> BRK.B) with recomputed dedup keys,
+// keeping the reported ticker in raw_ticker. Asset types of older trades stay unknown.
+const { run, get, all, addColumnIfMissing } = require('../lib/db');
+
+// Frozen copies of lib/sources/normalize.js's dedupKey and its helpers as of this
+// migration, so later changes to the live ones don't change what it writes
+const PLACEHOLDER_TICKERS = ['--', '-', 'N/A', 'NA', 'NONE', 'UNKNOWN'];
+
+function cleanTraderName(name) {
+  return String(name || '')
+    .replace(/^(hon\.?|sen\.?|senator|rep\.?|representative)\s+/i, '')
+    .replace(/\s+[A-Z]\.?(?=\s)/g, '')
+    .replace(/\s+(jr\.?|sr\.?|ii|iii|iv)$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function cleanTicker(ticker) {
+  const text = String(ticker || '')
+    .replace(/<[^>]*>/g, '')
+    .trim()
+    .toUpperCase()
+    .replace(/^(NYSE|NASDAQ|AMEX|ARCA|OTC)\s*:\s*/, '')
+    .replace(/^\$/, '');
+  if (PLACEHOLDER_TICKERS.includes(text)) return '';
+
+  const classShare = text.match(/^([A-Z]{1,5})[.\-/ ]([A-Z])$/);
+  if (classShare) return `${classShare[1]}.${classShare[2]}`;
+  return /^[A-Z]{1,5}$/.test(text) ? text : '';
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+}
+
+function normalizeTransactionType(type) {
+  const value = String(type || '').toLowerCase();
+  if (value.startsWith('purchase') || value === 'buy') return 'Purchase';
+  if (value.startsWith('sale') || value === 'sell') return 'Sale';
+  if (value.startsWith('exchange')) return 'Exchange';
+  return type || null;
+}
+
+function dedupKey(trade) {
+  return [
+    cleanTraderName(trade.Representative).toLowerCase().replace(/[^a-z ]/g, ''),
+    cleanTicker(trade.Ticker),
+    toIsoDate(trade.TransactionDate) || '',
+    normalizeTransactionType(trade.Transaction) || '',
+    Math.round(trade.AmountLow ?? (parseFloat(trade.Amount) || 0))
+  ].join('|');
+}
+
+// Renamed companies that members' older holdings are still filed under
+const SEED_ALIASES = [
+  ['FB', 'META', 'Facebook renamed Meta Platforms (2022)'],
+  ['ANTM', 'ELV', 'Anthem renamed Elevance Health (2022)'],
+  ['RTN', 'RTX', 'Raytheon merged into Raytheon Technologies (2020)'],
+  ['UTX', 'RTX', 'United Technologies became Raytheon Technologies (2020)'],
+  ['WLTW', 'WTW', 'Willis Towers Watson ticker change (2022)'],
+  ['FISV', 'FI', 'Fiserv ticker change (2023)'],
+  ['ABC', 'COR', 'AmerisourceBergen renamed Cencora (2023)'],
+  ['PEAK', 'DOC', 'Healthpeak ticker change (2024)'],
+  ['FLT', 'CPAY', 'FleetCor renamed Corpay (2024)'],
+  ['SQ', 'XYZ', 'Block ticker change (2025)']
+];
+
+const TRADE_COLUMNS = [
+  ['raw_ticker', 'TEXT'],
+  ['asset_type', 'TEXT'],
+  ['option_type', 'TEXT'],
+  ['option_strike', 'REAL'],
+  ['option_expiration', 'TEXT'],
+  ['option_exercise', 'BOOLEAN DEFAULT FALSE']
+];
+
+module.exports = {
+  description: 'Ticker alias table, trade asset types and canonical symbols',
+
+  async up() {
+    await run(`CREATE TABLE IF NOT EXISTS ticker_aliases (
+      alias TEXT PRIMARY KEY,
+      symbol TEXT NOT NULL,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    for (const [alias, symbol, note] of SEED_ALIASES) {
+      await run('INSERT OR IGNORE INTO ticker_aliases (alias, symbol, note) VALUES (?, ?, ?)', [alias, symbol, note]);
+    }
+
+    for (const [column, definition] of TRADE_COLUMNS) {
+      await addColumnIfMissing('trades', column, definition);
+    }
+    await run('CREATE INDEX IF NOT EXISTS idx_trades_asset_type ON trades (asset_type)');
+
+    const rows = await all('SELECT * FROM trades WHERE symbol IS NOT NULL');
+    for (const row of rows) {
+      const symbol = cleanTicker(row.symbol);
+      if (!symbol || symbol === row.symbol) continue;
+      const key = dedupKey({
+        Representative: row.trader_name,
+        Ticker: symbol,
+        Transaction: row.transaction_type,
+        Amount: row.amount,
+        AmountLow: row.amount_low,
+        TransactionDate: row.trade_date
+      });
+      // The same disclosure may already be stored under the canonical symbol
+      if (await get('SELECT id FROM trades WHERE dedup_key = ? AND id != ?', [key, row.id])) continue;
+      await run('UPDATE trades SET symbol = ?, raw_ticker = COALESCE(raw_ticker, ?), dedup_key = ? WHERE id = ?', [symbol, row.symbol, key, row.id]);
+    }
+  },
+
+  // Canonical symbols are kept; they are valid tickers for the older code too
+  async down() {
+    await run('DROP INDEX IF EXISTS idx_trades_asset_type');
+    for (const [column] of [...TRADE_COLUMNS].reverse()) {
+      await run(`ALTER TABLE trades DROP COLUMN ${column}`);
+    }
+    await run('DROP TABLE IF EXISTS ticker_aliases');
+  }
+};
@@ -0,0 +1,25 @@
+// Strategy configuration and the strategy behind each recommendation. Rows from before
+// strategies were pluggable came from the proportional one.
+const { run } = require('../lib/db');
+
+module.exports = {
+  description: 'strategy_config table and recommendations.strategy',
+
+  async up() {
+    await run(`CREATE TABLE IF NOT EXISTS strategy_config (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      config TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('ALTER TABLE recommendations ADD COLUMN strategy TEXT');
+    await run("UPDATE recommendations SET strategy = 'proportional'");
+    await run('CREATE INDEX IF NOT EXISTS idx_recommendations_strategy ON recommendations (strategy, created_at)');
+  },
+
+  async down() {
+    await run("DELETE FROM recommendations WHERE status = 'shadow'");
+    await run('DROP INDEX IF EXISTS idx_recommendations_strategy');
+    await run('ALTER TABLE recommendations DROP COLUMN strategy');
+    await run('DROP TABLE IF EXISTS strategy_config');
+  }
+};
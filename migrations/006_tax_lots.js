@@ -0,0 +1,53 @@
+// Tax lots and the gains booked when they are sold. Shares already held become one lot
+// per position at its last stored price, dated when the position was last updated;
+// correct those through PUT /api/tax/lots/:id.
+const { run } = require('../lib/db');
+
+module.exports = {
+  description: 'tax_lots, tax_lot_sales and recommendations.tax_estimate',
+
+  async up() {
+    await run(`CREATE TABLE IF NOT EXISTS tax_lots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      acquired_at DATE NOT NULL,
+      shares REAL NOT NULL,
+      remaining_shares REAL NOT NULL,
+      cost_per_share REAL NOT NULL,
+      source TEXT NOT NULL,
+      recommendation_id INTEGER REFERENCES recommendations (id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_tax_lots_symbol ON tax_lots (symbol, acquired_at)');
+
+    await run(`CREATE TABLE IF NOT EXISTS tax_lot_sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lot_id INTEGER NOT NULL REFERENCES tax_lots (id) ON DELETE CASCADE,
+      symbol TEXT NOT NULL,
+      sold_at DATE NOT NULL,
+      shares REAL NOT NULL,
+      price REAL NOT NULL,
+      cost_per_share REAL NOT NULL,
+      gain REAL NOT NULL,
+      term TEXT NOT NULL,
+      wash_sale BOOLEAN DEFAULT FALSE,
+      recommendation_id INTEGER REFERENCES recommendations (id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_tax_lot_sales_symbol ON tax_lot_sales (symbol, sold_at)');
+
+    await run('ALTER TABLE recommendations ADD COLUMN tax_estimate TEXT');
+
+    await run(
+      `INSERT INTO tax_lots (symbol, acquired_at, shares, remaining_shares, cost_per_share, source)
+       SELECT symbol, date(COALESCE(updated_at, CURRENT_TIMESTAMP)), shares, shares, current_price, 'migration'
+       FROM positions WHERE shares > 0`
+    );
+  },
+
+  async down() {
+    await run('ALTER TABLE recommendations DROP COLUMN tax_estimate');
+    await run('DROP TABLE IF EXISTS tax_lot_sales');
+    await run('DROP TABLE IF EXISTS tax_lots');
+  }
+};
@@ -0,0 +1,166 @@
+// User accounts, hashed API keys and per-user portfolios. Everything stored before accounts
+// existed belongs to user 1, the admin created here; its API key is issued at startup
+// (ADMIN_API_KEY, or a generated one printed once). Tables keyed by symbol or date are
+// rebuilt with the owner in their primary key; the rest gain a user_id column.
+const { run } = require('../lib/db');
+
+const OWNED_TABLES = ['recommendations', 'risk_decisions', 'notification_deliveries', 'paper_ledger', 'brokerage_imports', 'tax_lots', 'tax_lot_sales'];
+
+// [table, columns, primary key] for tables whose key gains user_id
+const REKEYED_TABLES = [
+  ['positions', [
+    ['symbol', 'TEXT NOT NULL'],
+    ['shares', 'REAL NOT NULL DEFAULT 0'],
+    ['current_price', 'REAL NOT NULL DEFAULT 0'],
+    ['current_value', 'REAL NOT NULL DEFAULT 0'],
+    ['updated_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+  ], 'symbol'],
+  ['target_allocations', [
+    ['symbol', 'TEXT NOT NULL'],
+    ['target_allocation', 'REAL NOT NULL'],
+    ['updated_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+  ], 'symbol'],
+  ['portfolio_snapshots', [
+    ['snapshot_date', 'TEXT NOT NULL'],
+    ['total_value', 'REAL'],
+    ['cash', 'REAL'],
+    ['positions', 'TEXT'],
+    ['net_flow', 'REAL DEFAULT 0'],
+    ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+  ], 'snapshot_date'],
+  ['paper_positions', [
+    ['symbol', 'TEXT NOT NULL'],
+    ['shares', 'REAL DEFAULT 0'],
+    ['cost_basis', 'REAL DEFAULT 0'],
+    ['realized_pnl', 'REAL DEFAULT 0'],
+    ['updated_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+  ], 'symbol'],
+  ['brokerage_activity', [
+    ['id', 'TEXT NOT NULL'],
+    ['import_id', 'INTEGER'],
+    ['format', 'TEXT'],
+    ['activity_date', 'DATE'],
+    ['action', 'TEXT'],
+    ['symbol', 'TEXT'],
+    ['shares', 'REAL'],
+    ['price', 'REAL'],
+    ['amount', 'REAL'],
+    ['description', 'TEXT'],
+    ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+  ], 'id']
+];
+
+// Copies `table` into a new definition; `owned` adds the user_id column and key, otherwise
+// only user 1's rows are kept
+async function rebuild(table, columns, key, owned) {
+  const names = columns.map(([name]) => name).join(', ');
+  const definitions = columns.map(([name, definition]) => `${name} ${definition}`).join(',\n      ');
+
+  await run(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+  if (owned) {
+    await run(`CREATE TABLE ${table} (
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      ${definitions},
+      PRIMARY KEY (user_id, ${key})
+    )`);
+    await run(`INSERT INTO ${table} (user_id, ${names}) SELECT 1, ${names} FROM ${table}_old`);
+  } else {
+    await run(`CREATE TABLE ${table} (
+      ${definitions},
+      PRIMARY KEY (${key})
+    )`);
+    await run(`INSERT INTO ${table} (${names}) SELECT ${names} FROM ${table}_old WHERE user_id = 1`);
+  }
+  await run(`DROP TABLE ${table}_old`);
+}
+
+module.exports = {
+  description: 'users, api_keys, per-user follows and notification settings, user_id on portfolio tables',
+
+  async up() {
+    await run(`CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK (role IN ('admin', 'viewer')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run("INSERT INTO users (id, name, role) VALUES (1, 'admin', 'admin')");
+
+    await run(`CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      label TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS user_traders (
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      trader_name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, trader_name)
+    )`);
+    await run('INSERT INTO user_traders (user_id, trader_name) SELECT 1, name FROM traders WHERE included = 1');
+
+    await run(`CREATE TABLE IF NOT EXISTS user_notifications (
+      user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      config TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run('ALTER TABLE portfolio_state RENAME TO portfolio_state_old');
+    await run(`CREATE TABLE portfolio_state (
+      user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      cash REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('INSERT INTO portfolio_state (user_id, cash, updated_at) SELECT 1, cash, updated_at FROM portfolio_state_old');
+    await run('DROP TABLE portfolio_state_old');
+
+    for (const [table, columns, key] of REKEYED_TABLES) {
+      await rebuild(table, columns, key, true);
+    }
+    await run('CREATE INDEX IF NOT EXISTS idx_brokerage_activity_import_id ON brokerage_activity (import_id)');
+
+    for (const table of OWNED_TABLES) {
+      await run(`ALTER TABLE ${table} ADD COLUMN user_id INTEGER`);
+      await run(`UPDATE ${table} SET user_id = 1`);
+    }
+    await run('CREATE INDEX IF NOT EXISTS idx_recommendations_user ON recommendations (user_id, status)');
+    await run('CREATE INDEX IF NOT EXISTS idx_tax_lots_user ON tax_lots (user_id, symbol)');
+    await run('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries (user_id)');
+  },
+
+  // Keeps only the admin's (user 1's) portfolio
+  async down() {
+    await run('DROP INDEX IF EXISTS idx_recommendations_user');
+    await run('DROP INDEX IF EXISTS idx_tax_lots_user');
+    await run('DROP INDEX IF EXISTS idx_notification_deliveries_user');
+    for (const table of [...OWNED_TABLES].reverse()) {
+      await run(`DELETE FROM ${table} WHERE user_id <> 1`);
+      await run(`ALTER TABLE ${table} DROP COLUMN user_id`);
+    }
+
+    for (const [table, columns, key] of REKEYED_TABLES) {
+      await rebuild(table, columns, key, false);
+    }
+    await run('CREATE INDEX IF NOT EXISTS idx_brokerage_activity_import_id ON brokerage_activity (import_id)');
+
+    await run('ALTER TABLE portfolio_state RENAME TO portfolio_state_old');
+    await run(`CREATE TABLE portfolio_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      cash REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('INSERT INTO portfolio_state (id, cash, updated_at) SELECT 1, cash, updated_at FROM portfolio_state_old WHERE user_id = 1');
+    await run('DROP TABLE portfolio_state_old');
+
+    await run('DROP TABLE IF EXISTS user_notifications');
+    await run('DROP TABLE IF EXISTS user_traders');
+    await run('DROP TABLE IF EXISTS api_keys');
+    await run('DROP TABLE IF EXISTS users');
+  }
+};
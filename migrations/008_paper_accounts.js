@@ -0,0 +1,39 @@
+// Paper trading gets its own account: cash, holdings, targets and value history kept apart
+// from the live portfolio, which paper fills no longer touch. An account opens as a copy of
+// the live portfolio the first time it is used; paper_positions rows from earlier fills keep
+// their realized P&L.
+const { run } = require('../lib/db');
+
+module.exports = {
+  description: 'paper_accounts, paper_snapshots and prices and targets on paper_positions',
+
+  async up() {
+    await run(`CREATE TABLE IF NOT EXISTS paper_accounts (
+      user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      cash REAL NOT NULL DEFAULT 0,
+      opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run('ALTER TABLE paper_positions ADD COLUMN current_price REAL DEFAULT 0');
+    await run('ALTER TABLE paper_positions ADD COLUMN target_allocation REAL DEFAULT 0');
+
+    await run(`CREATE TABLE IF NOT EXISTS paper_snapshots (
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      snapshot_date TEXT NOT NULL,
+      total_value REAL,
+      cash REAL,
+      positions TEXT,
+      net_flow REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, snapshot_date)
+    )`);
+  },
+
+  async down() {
+    await run('DROP TABLE IF EXISTS paper_snapshots');
+    await run('ALTER TABLE paper_positions DROP COLUMN target_allocation');
+    await run('ALTER TABLE paper_positions DROP COLUMN current_price');
+    await run('DROP TABLE IF EXISTS paper_accounts');
+  }
+};
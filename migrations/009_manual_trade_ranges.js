@@ -0,0 +1,15 @@
+// Manual trades can be entered as disclosure bands ("$1,001 - $15,000"); the band is kept
+// so the trade gets the same bounds and estimate as one from a disclosure feed.
+const { run } = require('../lib/db');
+
+module.exports = {
+  description: 'manual_trades.amount_range',
+
+  async up() {
+    await run('ALTER TABLE manual_trades ADD COLUMN amount_range TEXT');
+  },
+
+  async down() {
+    await run('ALTER TABLE manual_trades DROP COLUMN amount_range');
+  }
+};
@@ -0,0 +1,371 @@
+// public/dashboard.js - Dashboard panels, refreshed over Server-Sent Events from /api/events
+(function() {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  let portfolio = null;
+
+  // ===== HELPERS =====
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
+  function money(value, digits = 2) {
+    return '$' + Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  function percent(value, digits = 1) {
+    return value === null || value === undefined ? '–' : (value * 100).toFixed(digits) + '%';
+  }
+
+  function isBuy(action) {
+    return /^(buy|open|purchase)/i.test(action || '');
+  }
+
+  // The API key is asked for once and kept in localStorage; a rejected key is asked for again
+  const KEY_STORAGE = 'congress-bot-api-key';
+
+  function apiKey() {
+    let key = localStorage.getItem(KEY_STORAGE);
+    if (!key) {
+      key = (window.prompt('API key') || '').trim();
+      if (key) localStorage.setItem(KEY_STORAGE, key);
+    }
+    return key;
+  }
+
+  async function api(path, options = {}) {
+    const response = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey()}`, ...(options.headers || {}) },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) localStorage.removeItem(KEY_STORAGE);
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+  }
+
+  function toast(message, isError = false) {
+    const element = $('toast');
+    element.textContent = message;
+    element.className = 'toast' + (isError ? ' error' : '');
+    clearTimeout(toast.timer);
+    toast.timer = setTimeout(() => { element.className = 'toast hidden'; }, 4000);
+  }
+
+  function svg(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+    return element;
+  }
+
+  // ===== PORTFOLIO =====
+  async function loadPortfolio() {
+    portfolio = await api('/api/portfolio?historyDays=1');
+    $('total-value').textContent = money(portfolio.totalValue);
+    $('cash').textContent = money(portfolio.cash);
+    $('last-updated').textContent = new Date(portfolio.lastUpdated).toLocaleString();
+    renderAllocation();
+  }
+
+  function renderAllocation() {
+    const container = $('allocation-chart');
+    const total = portfolio.totalValue;
+    const rows = Object.entries(portfolio.positions)
+      .map(([symbol, position]) => ({
+        symbol,
+        actual: total > 0 ? position.currentValue / total : 0,
+        target: position.targetAllocation || 0,
+        value: position.currentValue
+      }))
+      .sort((a, b) => b.target - a.target || b.actual - a.actual);
+    rows.push({ symbol: 'Cash', actual: total > 0 ? portfolio.cash / total : 0, target: null, value: portfolio.cash });
+
+    if (rows.length === 1 && total === 0) {
+      container.innerHTML = '<p class="empty">No positions yet.</p>';
+      return;
+    }
+
+    // Bars are scaled so the largest actual or target fills the track
+    const scale = Math.max(...rows.map(row => Math.max(row.actual, row.target || 0)), 0.01);
+    container.innerHTML = rows.map(row => {
+      const drift = row.target === null ? '' : ` (target ${percent(row.target)})`;
+      const barClass = row.target === null ? 'cash' : row.actual > row.target + 0.05 ? 'over' : '';
+      return `
+        <div class="allocation-row">
+          <div class="name"><strong>${escapeHtml(row.symbol)}</strong><span>${percent(row.actual)}${drift} · ${money(row.value, 0)}</span></div>
+          <div class="track">
+            <div class="bar ${barClass}" style="width: ${(row.actual / scale * 100).toFixed(1)}%"></div>
+            ${row.target === null ? '' : `<div class="target" style="left: ${(row.target / scale * 100).toFixed(1)}%"></div>`}
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  async function loadValueChart() {
+    const { history } = await api(`/api/portfolio/history?days=${$('history-days').value}`);
+    const container = $('value-chart');
+    container.innerHTML = '';
+    if (history.length < 2) {
+      container.innerHTML = '<p class="empty">Not enough history yet. A snapshot is stored every time prices update.</p>';
+      return;
+    }
+
+    const width = 800;
+    const height = 260;
+    const pad = { top: 10, right: 10, bottom: 25, left: 70 };
+    const values = history.map(point => point.totalValue);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || max * 0.05 || 1;
+    const low = min - span * 0.1;
+    const high = max + span * 0.1;
+    const x = i => pad.left + (i / (history.length - 1)) * (width - pad.left - pad.right);
+    const y = value => pad.top + (1 - (value - low) / (high - low)) * (height - pad.top - pad.bottom);
+
+    const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, preserveAspectRatio: 'none' });
+    for (let i = 0; i <= 4; i++) {
+      const value = low + (high - low) * i / 4;
+      chart.appendChild(svg('line', { class: 'grid', x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value) }));
+      const label = svg('text', { x: pad.left - 8, y: y(value) + 4, 'text-anchor': 'end' });
+      label.textContent = money(value, 0);
+      chart.appendChild(label);
+    }
+
+    const points = history.map((point, i) => `${x(i).toFixed(1)},${y(point.totalValue).toFixed(1)}`);
+    chart.appendChild(svg('polygon', { class: 'area', points: `${x(0)},${y(low)} ${points.join(' ')} ${x(history.length - 1)},${y(low)}` }));
+    chart.appendChild(svg('polyline', { class: 'line', points: points.join(' ') }));
+
+    for (const i of [0, Math.floor((history.length - 1) / 2), history.length - 1]) {
+      const label = svg('text', { x: x(i), y: height - 6, 'text-anchor': i === 0 ? 'start' : i === history.length - 1 ? 'end' : 'middle' });
+      label.textContent = history[i].date;
+      chart.appendChild(label);
+    }
+
+    history.forEach((point, i) => {
+      const dot = svg('circle', { cx: x(i), cy: y(point.totalValue), r: 3, fill: '#1976d2' });
+      const title = svg('title');
+      title.textContent = `${point.date}: ${money(point.totalValue)}`;
+      dot.appendChild(title);
+      chart.appendChild(dot);
+    });
+
+    container.appendChild(chart);
+  }
+
+  // ===== RECOMMENDATIONS =====
+  async function loadRecommendations() {
+    const { recommendations } = await api('/api/recommendations/pending');
+    $('pending-count').textContent = recommendations.length;
+    const container = $('recommendations');
+    if (recommendations.length === 0) {
+      container.innerHTML = '<p class="empty">Nothing waiting for you.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table>
+        <tr><th>#</th><th>Order</th><th>Amount</th><th>Confidence</th><th></th></tr>
+        ${recommendations.map(rec => `
+          <tr>
+            <td>${rec.id}</td>
+            <td class="${isBuy(rec.action) ? 'buy' : 'sell'}">${escapeHtml(rec.action)} ${escapeHtml(rec.symbol)}</td>
+            <td>${money(rec.recommended_amount, 0)}<br><span class="muted">${Number(rec.shares_to_trade).toFixed(3)} sh @ ${money(rec.current_price)}</span></td>
+            <td>${percent(rec.confidence, 0)}</td>
+            <td>
+              <form class="execute-form" data-id="${rec.id}">
+                <input name="price" type="number" step="any" min="0" value="${rec.current_price}" title="Fill price">
+                <input name="shares" type="number" step="any" min="0" value="${Number(rec.shares_to_trade).toFixed(4)}" title="Shares">
+                <input name="fees" type="number" step="any" min="0" value="0" title="Fees">
+                <button type="submit" class="success">Execute</button>
+                <button type="button" class="secondary" data-dismiss="${rec.id}">Dismiss</button>
+              </form>
+            </td>
+          </tr>
+          <tr><td></td><td colspan="4" class="reason">${escapeHtml(rec.reason)}</td></tr>`).join('')}
+      </table>`;
+  }
+
+  async function executeRecommendation(form) {
+    const body = Object.fromEntries(['price', 'shares', 'fees'].map(name => [name, parseFloat(form.elements[name].value)]));
+    await api(`/api/recommendations/${form.dataset.id}/execute`, { method: 'POST', body });
+    toast(`Recommendation #${form.dataset.id} executed`);
+  }
+
+  async function dismissRecommendation(id) {
+    const reason = prompt('Why are you dismissing this recommendation? (optional)');
+    if (reason === null) return;
+    await api(`/api/recommendations/${id}/dismiss`, { method: 'POST', body: { reason: reason || undefined } });
+    toast(`Recommendation #${id} dismissed`);
+  }
+
+  // ===== TRADE FEED =====
+  function tradeItem(trade, fresh = false) {
+    const item = document.createElement('li');
+    if (fresh) item.className = 'fresh';
+    item.innerHTML = `
+      <span class="${isBuy(trade.transaction) ? 'buy' : 'sell'}">${escapeHtml(trade.transaction)} ${escapeHtml(trade.symbol)}</span>
+      by <strong>${escapeHtml(trade.trader)}</strong>
+      ${escapeHtml(trade.amountRange || money(trade.amount, 0))}
+      <br><span class="muted">traded ${escapeHtml(trade.tradeDate)} · disclosed ${escapeHtml(trade.disclosureDate || '?')} · ${escapeHtml(trade.source || '')}</span>`;
+    return item;
+  }
+
+  async function loadTrades() {
+    const { trades } = await api('/api/trades?sort=created_at&limit=25');
+    const feed = $('trade-feed');
+    feed.innerHTML = '';
+    if (trades.length === 0) {
+      feed.innerHTML = '<li class="empty">No trades stored yet.</li>';
+      return;
+    }
+    for (const trade of trades) {
+      feed.appendChild(tradeItem({
+        trader: trade.trader_name,
+        symbol: trade.symbol,
+        transaction: trade.transaction_type,
+        amount: trade.amount,
+        amountRange: trade.amount_range,
+        tradeDate: trade.trade_date,
+        disclosureDate: trade.disclosure_date,
+        source: trade.source
+      }));
+    }
+  }
+
+  function prependTrade(trade) {
+    const feed = $('trade-feed');
+    const empty = feed.querySelector('.empty');
+    if (empty) empty.remove();
+    feed.insertBefore(tradeItem(trade, true), feed.firstChild);
+    while (feed.children.length > 50) feed.lastChild.remove();
+  }
+
+  // ===== LEADERBOARD =====
+  async function loadLeaderboard() {
+    const [{ traders }, { traders: activity }] = await Promise.all([
+      api('/api/traders'),
+      api('/api/trades/by-trader?limit=1000')
+    ]);
+    const tradesByName = Object.fromEntries(activity.map(row => [row.trader, row.trades]));
+    const ranked = traders
+      .filter(trader => trader.included)
+      .sort((a, b) => b.effectiveWeight - a.effectiveWeight);
+
+    $('leaderboard').innerHTML = ranked.length === 0 ? '<p class="empty">No followed traders.</p>' : `
+      <table>
+        <tr><th>#</th><th>Trader</th><th>Weight</th><th>Success</th><th>90d hit rate</th><th>90d avg return</th><th>Trades</th></tr>
+        ${ranked.map((trader, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td><strong>${escapeHtml(trader.name)}</strong><br><span class="muted">${escapeHtml(trader.chamber || '')}</span></td>
+            <td>${trader.effectiveWeight.toFixed(2)}${trader.manualWeight !== null ? ' <span class="muted">(manual)</span>' : ''}</td>
+            <td>${percent(trader.successRate, 0)}</td>
+            <td>${percent(trader.horizons['90'].hitRate, 0)}</td>
+            <td>${percent(trader.horizons['90'].avgReturn)}</td>
+            <td>${tradesByName[trader.name] || 0}</td>
+          </tr>`).join('')}
+      </table>`;
+  }
+
+  // ===== JOBS =====
+  async function loadJobs() {
+    const { jobs } = await api('/api/jobs');
+    $('jobs').innerHTML = `
+      <table>
+        <tr><th>Job</th><th>Last run</th><th>Status</th></tr>
+        ${jobs.map(job => `
+          <tr>
+            <td><strong>${escapeHtml(job.name)}</strong><br><span class="muted">${escapeHtml(job.description)}</span></td>
+            <td>${job.lastRun ? escapeHtml(job.lastRun.started_at) : '<span class="muted">never</span>'}</td>
+            <td>${job.running ? '⏳ running' : job.lastRun ? escapeHtml(job.lastRun.status) + (job.lastRun.error ? `<br><span class="sell">${escapeHtml(job.lastRun.error)}</span>` : '') : ''}</td>
+          </tr>`).join('')}
+      </table>`;
+  }
+
+  async function runJob(button) {
+    button.disabled = true;
+    try {
+      const { run } = await api(`/api/jobs/${button.dataset.job}/run`, { method: 'POST' });
+      toast(`${button.textContent}: ${run.status}`);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ===== LIVE UPDATES =====
+  function refresh(...loaders) {
+    for (const load of loaders) {
+      load().catch(error => console.error(error));
+    }
+  }
+
+  function connect() {
+    const source = new EventSource(`/api/events?api_key=${encodeURIComponent(apiKey())}`);
+    source.onopen = () => {
+      $('live-status').textContent = '● live';
+      $('live-status').className = 'status online';
+    };
+    source.onerror = () => {
+      $('live-status').textContent = '● reconnecting';
+      $('live-status').className = 'status offline';
+    };
+
+    source.addEventListener('trade', event => prependTrade(JSON.parse(event.data)));
+    source.addEventListener('recommendation', () => refresh(loadRecommendations));
+    source.addEventListener('portfolio', () => refresh(loadPortfolio, loadValueChart));
+    source.addEventListener('job', event => {
+      const job = JSON.parse(event.data);
+      refresh(loadJobs);
+      if (job.name === 'score-traders' || job.name.startsWith('trades')) refresh(loadLeaderboard);
+    });
+  }
+
+  // ===== WIRING =====
+  function withErrors(handler) {
+    return event => {
+      Promise.resolve(handler(event)).catch(error => toast(error.message, true));
+    };
+  }
+
+  $('history-days').addEventListener('change', withErrors(loadValueChart));
+
+  $('recommendations').addEventListener('submit', withErrors(event => {
+    event.preventDefault();
+    return executeRecommendation(event.target);
+  }));
+
+  $('recommendations').addEventListener('click', withErrors(event => {
+    const id = event.target.dataset.dismiss;
+    if (id) return dismissRecommendation(id);
+  }));
+
+  document.querySelectorAll('button[data-job]').forEach(button => {
+    button.addEventListener('click', withErrors(() => runJob(button)));
+  });
+
+  $('test-notification').addEventListener('click', withErrors(async () => {
+    const { results } = await api('/api/notifications/test', { method: 'POST' });
+    toast(results && results.length > 0 ? results.map(result => `${result.channel}: ${result.status}`).join(', ') : 'No notification channels configured');
+  }));
+
+  $('manual-trade').addEventListener('submit', withErrors(async event => {
+    event.preventDefault();
+    const form = event.target;
+    const body = Object.fromEntries(new FormData(form));
+    body.amount = parseFloat(body.amount);
+    const data = await api('/api/manual-trade', { method: 'POST', body });
+    toast(data.message);
+    form.reset();
+  }));
+
+  refresh(loadPortfolio, loadValueChart, loadRecommendations, loadTrades, loadLeaderboard, loadJobs);
+  connect();
+})();
@@ -0,0 +1,101 @@
+// scripts/backtest.js - Run a copy-trading backtest from the command line
+//
+// Usage:
+//   npm run backtest -- --from 2023-01-01 --to 2024-01-01 \
+//     [--targets QQQ=0.25,NVDA=0.2] [--capital 10000] [--benchmark QQQ] \
+//     [--min-confidence 0.6] [--lag 1] [--prices ./data/prices] [--transactions ./all_transactions.json] \
+//     [--user 1] [--json]
+//
+// Without --targets, the targets stored in trades.db for --user (default 1, the admin) are
+// used. Trader weights come from the traders table, for the traders that user follows.
+require('dotenv').config();
+const { all } = require('../lib/db');
+const { runBacktestFromFiles } = require('../lib/backtest');
+const { SEED_TRADERS, loadFollowedTraders } = require('../lib/traders');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function parseTargets(value) {
+  const targets = {};
+  for (const pair of value.split(',')) {
+    const [symbol, allocation] = pair.split('=');
+    targets[symbol.trim().toUpperCase()] = parseFloat(allocation);
+  }
+  return targets;
+}
+
+async function loadStoredTargets(userId) {
+  const rows = await all('SELECT symbol, target_allocation FROM target_allocations WHERE user_id = ?', [userId]);
+  return Object.fromEntries(rows.map(row => [row.symbol, row.target_allocation]));
+}
+
+// Falls back to the seed list when trades.db hasn't been initialized by the server yet
+async function loadTraders(userId) {
+  try {
+    return await loadFollowedTraders(userId);
+  } catch (error) {
+    console.log('⚠️ No traders table found, using the seed trader list');
+    return SEED_TRADERS;
+  }
+}
+
+const percent = value => `${(value * 100).toFixed(2)}%`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const userId = parseInt(args.user, 10) || 1;
+  const targets = args.targets ? parseTargets(args.targets) : await loadStoredTargets(userId);
+
+  const result = await runBacktestFromFiles({
+    from: args.from,
+    to: args.to,
+    targets,
+    performers: await loadTraders(userId),
+    initialCapital: parseFloat(args.capital) || 10000,
+    benchmark: args.benchmark,
+    minConfidence: args['min-confidence'] !== undefined ? parseFloat(args['min-confidence']) : undefined,
+    executionLagDays: args.lag !== undefined ? parseInt(args.lag, 10) : undefined,
+    pricesDir: args.prices || process.env.BACKTEST_PRICES_DIR || './data/prices',
+    transactionsFile: args.transactions || process.env.BACKTEST_TRANSACTIONS_FILE
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { parameters, summary, benchmark } = result;
+  console.log(`\n📈 Backtest ${parameters.from} → ${parameters.to}`);
+  console.log(`   Final equity:      $${summary.finalEquity.toFixed(2)} (start $${parameters.initialCapital.toFixed(2)})`);
+  console.log(`   Total return:      ${percent(summary.totalReturn)}`);
+  console.log(`   CAGR:              ${percent(summary.cagr)}`);
+  console.log(`   Max drawdown:      ${percent(summary.maxDrawdown)}`);
+  console.log(`   Turnover:          ${summary.turnover.toFixed(2)}x (${summary.annualizedTurnover.toFixed(2)}x/yr)`);
+  console.log(`   Trades executed:   ${summary.tradesExecuted} of ${summary.signalsConsidered} signals`);
+  console.log(`\n📊 Benchmark: ${benchmark.name}`);
+  console.log(`   Total return:      ${percent(benchmark.totalReturn)}`);
+  console.log(`   CAGR:              ${percent(benchmark.cagr)}`);
+  console.log(`   Max drawdown:      ${percent(benchmark.maxDrawdown)}`);
+  console.log(`\n   Excess return:     ${percent(result.excessReturn)}\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,109 @@
+// scripts/import.js - Upload a brokerage statement to the running bot and show the diff
+//
+// Usage:
+//   npm run import -- ./Portfolio_Positions.csv [--format fidelity|schwab|robinhood|ofx] [--apply] \
+//     [--url http://localhost:3001] [--key <API key>] [--json]
+//
+// The key defaults to the API_KEY environment variable; the import lands in that key's portfolio.
+// Without --apply the import stays a preview; apply it later with
+//   npm run import -- --apply-id <import id>
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+const shares = value => (Math.round(value * 10000) / 10000).toString();
+
+function printDiff(diff) {
+  if (diff.activity) {
+    const { total, alreadyImported, from, to } = diff.activity;
+    console.log(`   Transactions:      ${diff.activity.new} new of ${total} (${alreadyImported} imported before)${from ? `, ${from} → ${to}` : ''}`);
+  }
+
+  const changed = diff.positions.filter(position => position.status !== 'unchanged');
+  console.log(`   Positions:         ${changed.length} changed, ${diff.positions.length - changed.length} unchanged`);
+  for (const position of changed) {
+    const sign = position.change > 0 ? '+' : '';
+    console.log(`     ${position.status.padEnd(8)} ${position.symbol.padEnd(6)} ${shares(position.storedShares)} → ${shares(position.importedShares)} (${sign}${shares(position.change)})`);
+  }
+
+  if (diff.cash) {
+    console.log(`   Cash:              ${money(diff.cash.stored)} → ${money(diff.cash.imported)} (${diff.cash.change >= 0 ? '+' : ''}${money(diff.cash.change)})`);
+  }
+  for (const warning of diff.warnings) {
+    console.log(`   ⚠️ ${warning}`);
+  }
+}
+
+async function applyImport(api, id) {
+  const { data } = await api.post(`/api/brokerage/imports/${id}/apply`);
+  console.log(`✅ Import #${id} applied - portfolio value $${data.portfolio.totalValue.toFixed(2)}, cash $${data.portfolio.cash.toFixed(2)}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const key = args.key || process.env.API_KEY;
+  if (!key) throw new Error('Pass --key or set API_KEY');
+  const api = axios.create({
+    baseURL: args.url || `http://localhost:${process.env.PORT || 3001}`,
+    headers: { Authorization: `Bearer ${key}` }
+  });
+
+  if (args['apply-id']) {
+    await applyImport(api, args['apply-id']);
+    return;
+  }
+
+  const file = args._[0];
+  if (!file) throw new Error('Usage: npm run import -- <statement file> [--format name] [--apply]');
+
+  const { data } = await api.post('/api/brokerage/imports', fs.readFileSync(file, 'utf8'), {
+    headers: { 'Content-Type': 'text/plain' },
+    params: { format: args.format, filename: path.basename(file) }
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    const { import: details, diff } = data;
+    console.log(`\n🏦 Import #${details.id}: ${details.format} ${details.kind}${details.asOf ? ` as of ${details.asOf}` : ''}`);
+    printDiff(diff);
+    console.log('');
+  }
+
+  if (!data.changes) {
+    console.log('✅ Holdings already match this statement');
+  } else if (args.apply) {
+    await applyImport(api, data.import.id);
+  } else {
+    console.log(`👉 Review the diff, then apply it with: npm run import -- --apply-id ${data.import.id}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    const message = error.response && error.response.data && error.response.data.error;
+    console.error('❌ Import failed:', message || error.message);
+    process.exit(1);
+  });
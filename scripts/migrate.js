@@ -0,0 +1,72 @@
+// scripts/migrate.js - Apply, roll back or list trades.db schema migrations
+//
+// Usage:
+//   npm run migrate                        apply every pending migration
+//   npm run migrate -- up [--to 002]       apply pending migrations up to a version
+//   npm run migrate -- down [--steps 1]    roll back the last applied migration(s)
+//   npm run migrate -- down --to 001       roll back everything after a version
+//   npm run migrate -- status [--json]
+require('dotenv').config();
+const { db } = require('../lib/db');
+const { migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function printStatus(json) {
+  const status = await migrationStatus();
+  if (json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  console.log(`\n🗄️ Schema version: ${status.current || 'none'} (${status.pending.length} pending)`);
+  for (const migration of status.migrations) {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`   ${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name.padEnd(28)} ${state}${migration.reversible ? '' : ' (irreversible)'}`);
+  }
+  for (const version of status.unknown) {
+    console.log(`   ❓ ${version} applied by a newer build`);
+  }
+  console.log('');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'up';
+
+  if (command === 'status') {
+    await printStatus(args.json);
+  } else if (command === 'up') {
+    const applied = await migrateUp({ to: args.to });
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : '✅ Schema is up to date');
+  } else if (command === 'down') {
+    const rolledBack = await migrateDown({ steps: parseInt(args.steps, 10) || 1, to: args.to });
+    console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migrations` : '✅ Nothing to roll back');
+  } else {
+    throw new Error(`Unknown command "${command}"; use up, down or status`);
+  }
+}
+
+main()
+  .then(() => db.close(() => process.exit(0)))
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -1,429 +1,1847 @@
-// server.js - Congressional Trading Bot (Email-Only, No Twilio)
+// server.js - Congressional Trading Bot
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
-const cron = require('node-cron');
-const axios = require('axios');
-const nodemailer = require('nodemailer');
-const sqlite3 = require('sqlite3').verbose();
 require('dotenv').config();
+const { db, run: dbRun, get: dbGet, all: dbAll, inTransaction } = require('./lib/db');
+const { ensureSchema } = require('./lib/migrations');
+const { orderSide, assetSignal } = require('./lib/engine');
+const { loadPriceHistory, runBacktestFromFiles } = require('./lib/backtest');
+const { seedTraders, loadFollowedTraders, listTraders, setFollowing, scoreAllTraders } = require('./lib/traders');
+const { enabledSources, fetchFromSources, sourceSchedules, dedupKey } = require('./lib/sources');
+const { cleanTicker } = require('./lib/sources/normalize');
+const { activeProviders, getPrices, getDailyBars, storeDailyBars } = require('./lib/prices');
+const { assessStaleness } = require('./lib/staleness');
+const { addDays } = require('./lib/dates');
+const { parseAmountRange } = require('./lib/amount');
+const { notificationConfig, updateUserConfig, describeChannels, notify, retryPendingDeliveries, requeueDelivery, listDeliveries } = require('./lib/notifications');
+const { HIGH_URGENCY_CONFIDENCE, recommendationMessage, digestMessage, testMessage } = require('./lib/notifications/templates');
+const { paperTradingEnabled, paperOptions, paperFillPrice, paperCommission, loadPaperAccount, savePaperPosition, savePaperCash, recordPaperFill, listPaperLedger, paperPnl } = require('./lib/paper');
+const { timeWeightedReturn, drawdowns, compareToBenchmark } = require('./lib/performance');
+const { listUniverse, setUniverseEntry, removeUniverseEntry, checkUniverse } = require('./lib/universe');
+const { listAliases, setAlias, removeAlias, resolveTicker } = require('./lib/tickers');
+const { loadStrategyConfig, updateStrategyConfig, evaluateStrategies, compareStrategies } = require('./lib/strategies');
+const { taxOptions, getLot, updateLot, selectLots, estimateSale, recentLossSale, addLot, recordSale, syncLots, listLots, realizedGains } = require('./lib/tax-lots');
+const { loadRiskPolicy, updateRiskPolicy, loadRiskHistory, applyRiskPolicy, recordRiskDecisions, listRiskDecisions } = require('./lib/risk');
+const { defineJob, getJob, runJob, withLock, scheduleJob, markInterruptedRuns, listJobs, listJobRuns } = require('./lib/jobs');
+const { increment, renderMetrics } = require('./lib/metrics');
+const { listTrades, listRecommendations, traderAggregates, symbolAggregates } = require('./lib/history');
+const { toCsv } = require('./lib/csv');
+const { authenticate, requireAdmin, corsOptions } = require('./lib/auth');
+const { listUsers, getUser, createUser, updateUser, deleteUser, createApiKey, listApiKeys, revokeApiKey, ensureAdminKey } = require('./lib/users');
+const { addClient, publish } = require('./lib/events');
+const { listFormats, parseStatement, reconcile, hasChanges, seenActivityIds, createImport, getImport, listImports, markImport, recordActivity } = require('./lib/brokerage');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const RECOMMENDATION_EXPIRY_HOURS = parseFloat(process.env.RECOMMENDATION_EXPIRY_HOURS) || 24;
+const PRICE_HISTORY_DIR = process.env.PRICE_HISTORY_DIR || process.env.BACKTEST_PRICES_DIR || './data/prices';
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions()));
 app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 500) increment('congress_bot_http_errors_total', { method: req.method });
+  });
+  next();
+});
+
+// Everything but the dashboard's static files needs an API key; req.portfolio is the caller's
+app.use(['/api', '/metrics'], authenticate, async (req, res, next) => {
+  try {
+    req.portfolio = await getPortfolio(req.user.id);
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Each user's portfolio, loaded from the database on first use and keyed by user id:
+// { userId, totalValue, cash, positions, lastUpdated }; paper accounts (lib/paper.js) share the
+// shape with `paper: true`, and the helpers below persist them to the paper tables instead
+const portfolios = new Map();
+const paperAccounts = new Map();
+const pendingLoads = new Map();
+
+// Concurrent first requests share one load, since loading may create the stored rows
+function loadOnce(key, load) {
+  if (!pendingLoads.has(key)) {
+    pendingLoads.set(key, load().finally(() => pendingLoads.delete(key)));
+  }
+  return pendingLoads.get(key);
+}
+
+// ===== PORTFOLIO PERSISTENCE =====
+function emptyPosition() {
+  return { shares: 0, targetAllocation: 0, currentValue: 0, currentPrice: 0 };
+}
+
+function recalculatePortfolioTotals(portfolio) {
+  const totalPositionValue = Object.values(portfolio.positions)
+    .reduce((sum, pos) => sum + pos.currentValue, 0);
+  portfolio.totalValue = totalPositionValue + portfolio.cash;
+}
+
+async function loadPortfolio(userId) {
+  let state = await dbGet('SELECT cash FROM portfolio_state WHERE user_id = ?', [userId]);
+  if (!state) {
+    const startingCash = parseFloat(process.env.DEFAULT_PORTFOLIO_VALUE) || 1000;
+    await dbRun('INSERT INTO portfolio_state (user_id, cash) VALUES (?, ?)', [userId, startingCash]);
+    state = { cash: startingCash };
+    console.log(`💼 Created new portfolio for user ${userId} with $${startingCash.toFixed(2)} cash`);
+  }
+
+  const positions = {};
+  const positionRows = await dbAll('SELECT * FROM positions WHERE user_id = ?', [userId]);
+  for (const row of positionRows) {
+    positions[row.symbol] = {
+      ...emptyPosition(),
+      shares: row.shares,
+      currentValue: row.current_value,
+      currentPrice: row.current_price
+    };
+  }
+
+  const targetRows = await dbAll('SELECT symbol, target_allocation FROM target_allocations WHERE user_id = ?', [userId]);
+  for (const row of targetRows) {
+    positions[row.symbol] = positions[row.symbol] || emptyPosition();
+    positions[row.symbol].targetAllocation = row.target_allocation;
+  }
+
+  const portfolio = { userId, totalValue: 0, cash: state.cash, positions, lastUpdated: new Date() };
+  recalculatePortfolioTotals(portfolio);
+
+  console.log(`💼 Loaded ${positionRows.length} positions and ${targetRows.length} targets for user ${userId}`);
+  return portfolio;
+}
+
+async function getPortfolio(userId) {
+  if (!portfolios.has(userId)) {
+    const portfolio = await loadOnce(`portfolio:${userId}`, () => loadPortfolio(userId));
+    if (!portfolios.has(userId)) portfolios.set(userId, portfolio);
+  }
+  return portfolios.get(userId);
+}
+
+// Opens the account from the live portfolio unless `open` is false, then null without one
+async function getPaperAccount(userId, open = true) {
+  if (!paperAccounts.has(userId)) {
+    const account = await loadOnce(`paper:${userId}:${open}`, async () => {
+      const stored = await loadPaperAccount(userId);
+      if (stored || !open) return stored;
+      // Copied holdings are booked at their current price
+      const live = await getPortfolio(userId);
+      await updatePortfolioValues(live);
+      return loadPaperAccount(userId, live);
+    });
+    if (!account) return null;
+    if (!paperAccounts.has(userId)) paperAccounts.set(userId, account);
+  }
+  return paperAccounts.get(userId);
+}
+
+// The portfolio recommendations are planned against and filled into
+async function tradingPortfolio(userId) {
+  return paperTradingEnabled() ? getPaperAccount(userId) : getPortfolio(userId);
+}
+
+async function savePosition(portfolio, symbol) {
+  const position = portfolio.positions[symbol];
+  if (portfolio.paper) return savePaperPosition(portfolio.userId, symbol, position);
+  await dbRun(
+    `INSERT INTO positions (user_id, symbol, shares, current_price, current_value, updated_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id, symbol) DO UPDATE SET
+       shares = excluded.shares,
+       current_price = excluded.current_price,
+       current_value = excluded.current_value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [portfolio.userId, symbol, position.shares, position.currentPrice, position.currentValue]
+  );
+}
+
+async function saveTarget(portfolio, symbol, targetAllocation) {
+  if (portfolio.paper) {
+    return savePaperPosition(portfolio.userId, symbol, { ...(portfolio.positions[symbol] || emptyPosition()), targetAllocation });
+  }
+  await dbRun(
+    `INSERT INTO target_allocations (user_id, symbol, target_allocation, updated_at)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id, symbol) DO UPDATE SET
+       target_allocation = excluded.target_allocation,
+       updated_at = CURRENT_TIMESTAMP`,
+    [portfolio.userId, symbol, targetAllocation]
+  );
+}
+
+async function saveCash(portfolio) {
+  if (portfolio.paper) return savePaperCash(portfolio.userId, portfolio.cash);
+  await dbRun(
+    'UPDATE portfolio_state SET cash = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+    [portfolio.cash, portfolio.userId]
+  );
+}
+
+async function deletePosition(portfolio, symbol) {
+  if (portfolio.paper) return savePaperPosition(portfolio.userId, symbol, emptyPosition());
+  await dbRun('DELETE FROM positions WHERE user_id = ? AND symbol = ?', [portfolio.userId, symbol]);
+}
+
+async function deleteTarget(portfolio, symbol) {
+  if (portfolio.paper) return savePaperPosition(portfolio.userId, symbol, { ...(portfolio.positions[symbol] || emptyPosition()), targetAllocation: 0 });
+  await dbRun('DELETE FROM target_allocations WHERE user_id = ? AND symbol = ?', [portfolio.userId, symbol]);
+}
+
+function publishPortfolio(portfolio) {
+  publish('portfolio', { paper: !!portfolio.paper, totalValue: portfolio.totalValue, cash: portfolio.cash, lastUpdated: portfolio.lastUpdated }, portfolio.userId);
+}
+
+function snapshotTable(paper) {
+  return paper ? 'paper_snapshots' : 'portfolio_snapshots';
+}
+
+// netFlow is value added (or removed, if negative) by hand rather than by trading,
+// which the time-weighted return excludes
+async function recordPortfolioSnapshot(portfolio, netFlow = 0) {
+  const positions = {};
+  for (const [symbol, pos] of Object.entries(portfolio.positions)) {
+    positions[symbol] = { shares: pos.shares, price: pos.currentPrice, value: pos.currentValue };
+  }
+
+  const table = snapshotTable(portfolio.paper);
+  await dbRun(
+    `INSERT INTO ${table} (user_id, snapshot_date, total_value, cash, positions, net_flow)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, snapshot_date) DO UPDATE SET
+       total_value = excluded.total_value,
+       cash = excluded.cash,
+       positions = excluded.positions,
+       net_flow = COALESCE(${table}.net_flow, 0) + excluded.net_flow,
+       created_at = CURRENT_TIMESTAMP`,
+    [portfolio.userId, new Date().toISOString().split('T')[0], portfolio.totalValue, portfolio.cash, JSON.stringify(positions), netFlow]
+  );
+  publishPortfolio(portfolio);
+}
+
+async function getPortfolioHistory(userId, days, { paper = false } = {}) {
+  const rows = await dbAll(
+    `SELECT snapshot_date, total_value, cash, positions, net_flow FROM ${snapshotTable(paper)}
+     WHERE user_id = ? AND snapshot_date >= date('now', ?)
+     ORDER BY snapshot_date ASC`,
+    [userId, `-${days} days`]
+  );
+  return rows.map(row => ({
+    date: row.snapshot_date,
+    totalValue: row.total_value,
+    cash: row.cash,
+    netFlow: row.net_flow || 0,
+    positions: JSON.parse(row.positions || '{}')
+  }));
+}
+
+// Returns an error message when the targets are invalid, otherwise null
+function validateTargets(targets) {
+  let total = 0;
+  for (const [symbol, allocation] of Object.entries(targets)) {
+    if (typeof allocation !== 'number' || Number.isNaN(allocation) || allocation < 0 || allocation > 1) {
+      return `Invalid target allocation for ${symbol}: must be a number between 0 and 1`;
+    }
+    total += allocation;
+  }
+  if (total > 1.000001) {
+    return `Target allocations sum to ${(total * 100).toFixed(1)}%, which exceeds 100%`;
+  }
+  return null;
+}
+
+function currentTargets(portfolio) {
+  const targets = {};
+  for (const [symbol, pos] of Object.entries(portfolio.positions)) {
+    if (pos.targetAllocation > 0) targets[symbol] = pos.targetAllocation;
+  }
+  return targets;
+}
+
+function parseOptionalNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return parseFloat(value);
+}
+
+// User-entered symbols go through the same cleanup and aliases as disclosed tickers; null when
+// it isn't a ticker. A holding saved under its raw spelling earlier is still found by that.
+async function requestSymbol(value, portfolio = null) {
+  const raw = String(value || '').trim().toUpperCase();
+  if (portfolio && portfolio.positions[raw]) return raw;
+  return resolveTicker(value);
+}
+
+// ===== STOCK PRICE FUNCTIONS =====
+// Loads <dir>/<SYMBOL>.csv price files for every traded symbol into daily_prices
+async function importDailyPrices(dir) {
+  const rows = await dbAll('SELECT DISTINCT symbol FROM trades WHERE symbol IS NOT NULL');
+  const history = loadPriceHistory(dir, rows.map(row => row.symbol));
+  
+  let imported = 0;
+  for (const [symbol, bars] of Object.entries(history)) {
+    await storeDailyBars(symbol, [...bars].map(([date, close]) => ({ date, close })), 'csv');
+    imported += bars.size;
+  }
+  console.log(`📈 Imported ${imported} daily prices for ${Object.keys(history).length} symbols`);
+  return imported;
+}
+
+// A held symbol's last price, or a fresh quote if it has none yet
+async function latestPrice(portfolio, symbol) {
+  const position = portfolio.positions[symbol];
+  if (position && position.currentPrice > 0) return position.currentPrice;
+  const quote = (await getPrices([symbol]))[symbol];
+  return quote ? quote.price : 0;
+}
+
+async function updatePortfolioValues(portfolio) {
+  console.log(`💰 Updating ${portfolio.paper ? 'paper account' : 'portfolio'} values for user ${portfolio.userId}...`);
+  
+  const quotes = await getPrices(Object.keys(portfolio.positions));
+  
+  for (const symbol of Object.keys(portfolio.positions)) {
+    const priceData = quotes[symbol];
+    if (priceData) {
+      portfolio.positions[symbol].currentPrice = priceData.price;
+      if (portfolio.positions[symbol].shares === 0) {
+        portfolio.positions[symbol].shares = 
+          portfolio.positions[symbol].currentValue / priceData.price;
+      }
+      portfolio.positions[symbol].currentValue = 
+        portfolio.positions[symbol].shares * priceData.price;
+      if (portfolio.positions[symbol].shares > 0) {
+        await savePosition(portfolio, symbol);
+      }
+    } else {
+      console.error(`No price available for ${symbol}`);
+    }
+  }
+  
+  recalculatePortfolioTotals(portfolio);
+  portfolio.lastUpdated = new Date();
+  await recordPortfolioSnapshot(portfolio);
+  
+  console.log(`📊 Portfolio updated: $${portfolio.totalValue.toFixed(2)}`);
+}
+
+async function updateAllPortfolioValues() {
+  const counts = { portfolios: 0, positions: 0, totalValue: 0, paperAccounts: 0 };
+  for (const user of await listUsers()) {
+    const portfolio = await getPortfolio(user.id);
+    await updatePortfolioValues(portfolio);
+    counts.portfolios++;
+    counts.positions += Object.keys(portfolio.positions).length;
+    counts.totalValue += portfolio.totalValue;
+    
+    const account = await getPaperAccount(user.id, paperTradingEnabled());
+    if (account) {
+      await updatePortfolioValues(account);
+      counts.paperAccounts++;
+    }
+  }
+  return counts;
+}
+
+// ===== DATA FETCHING (FREE SOURCES) =====
+async function fetchCongressionalTrades(sourceNames) {
+  console.log('🔍 Fetching congressional trades from free sources...');
+  
+  const allTrades = await fetchFromSources(sourceNames);
+  
+  console.log(`📊 Total trades found: ${allTrades.length}`);
+  return allTrades;
+}
+
+// ===== NOTIFICATIONS =====
+// Stores an order from the rebalancing plan as a pending recommendation and returns its id
+// Shadow recommendations (from non-primary strategies) are stored for comparison only
+async function saveRecommendation(portfolio, recommendation, { strategy, shadow = false }) {
+  const { symbol, action, currentPrice, recommendedAmount, sharesToTrade, reason, confidence, lagDays, priceMoveSinceTrade, targetAllocation, members, trade, tax } = recommendation;
+  
+  const saved = await dbRun(
+    `INSERT INTO recommendations (user_id, symbol, action, current_price, recommended_amount, shares_to_trade, reason, confidence, status, expires_at,
+       disclosure_lag_days, price_move_since_trade, target_allocation, members, trade_id, strategy, tax_estimate) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?), ?, ?, ?, ?, ?, ?, ?)`,
+    [portfolio.userId, symbol, action, currentPrice, recommendedAmount, sharesToTrade, reason, confidence, shadow ? 'shadow' : 'pending', `+${RECOMMENDATION_EXPIRY_HOURS} hours`,
+      lagDays ?? null, priceMoveSinceTrade ?? null, targetAllocation ?? null, JSON.stringify(members || []), trade && trade.Id ? trade.Id : null, strategy,
+      tax ? JSON.stringify(tax) : null]
+  );
+  recommendation.id = saved.lastID;
+  if (shadow) return saved.lastID;
+  
+  increment('congress_bot_recommendations_total', { action });
+  publish('recommendation', { id: saved.lastID, symbol, action, status: 'pending', recommendedAmount, confidence }, portfolio.userId);
+  return saved.lastID;
+}
+
+// Immediate alert for a single, already saved recommendation
+async function sendBuyRecommendation(portfolio, recommendation) {
+  await notify(
+    recommendationMessage(recommendation, { portfolio, expiryHours: RECOMMENDATION_EXPIRY_HOURS, paper: paperTradingEnabled() }),
+    { userId: portfolio.userId, recommendationId: recommendation.id }
+  );
+  console.log(`🔔 ${recommendation.action} alert sent for ${recommendation.symbol}: $${recommendation.recommendedAmount.toFixed(0)}`);
+}
+
+// One notification per processing run listing every order in the rebalancing plan
+async function sendRecommendationDigest(portfolio, plan) {
+  await notify(digestMessage(plan, { expiryHours: RECOMMENDATION_EXPIRY_HOURS, paper: paperTradingEnabled() }), { userId: portfolio.userId });
+  console.log(`🔔 Digest sent with ${plan.orders.length} order(s)`);
+}
+
+// ===== RECOMMENDATION WORKFLOW =====
+async function expireStaleRecommendations() {
+  const stale = `status = 'pending' AND COALESCE(expires_at, datetime(created_at, ?)) <= datetime('now')`;
+  const expiry = `+${RECOMMENDATION_EXPIRY_HOURS} hours`;
+  const byUser = await dbAll(`SELECT user_id, COUNT(*) AS count FROM recommendations WHERE ${stale} GROUP BY user_id`, [expiry]);
+  if (byUser.length === 0) return 0;
+  
+  const result = await dbRun(`UPDATE recommendations SET status = 'expired' WHERE ${stale}`, [expiry]);
+  console.log(`⌛ Expired ${result.changes} unanswered recommendations`);
+  for (const row of byUser) {
+    publish('recommendation', { status: 'expired', count: row.count }, row.user_id);
+  }
+  return result.changes;
+}
+
+async function getPendingRecommendations(userId) {
+  await expireStaleRecommendations();
+  return dbAll("SELECT * FROM recommendations WHERE user_id = ? AND status = 'pending' ORDER BY created_at DESC", [userId]);
+}
+
+async function getRecommendation(userId, id) {
+  return dbGet('SELECT * FROM recommendations WHERE id = ? AND user_id = ?', [id, userId]);
+}
+
+async function markRecommendationExecuted(portfolio, id, price, shares, fees) {
+  await dbRun(
+    `UPDATE recommendations
+     SET status = 'executed', executed = 1, executed_at = CURRENT_TIMESTAMP, fill_price = ?, fill_shares = ?, fees = ?
+     WHERE id = ?`,
+    [price, shares, fees, id]
+  );
+  publish('recommendation', { id, status: 'executed', price, shares, fees }, portfolio.userId);
+  publishPortfolio(portfolio);
+}
+
+// Applies a confirmed fill to holdings, cash and tax lots. Returns an error message or null.
+// Sells close lots by `lotMethod` (default TAX_LOT_METHOD) or the given `lots` ([{ id, shares }]).
+async function applyFill(portfolio, symbol, action, shares, price, fees, { lotMethod, lots, recommendationId = null } = {}) {
+  const position = portfolio.positions[symbol] || emptyPosition();
+  if (position.shares === 0 && position.currentValue > 0) {
+    position.shares = position.currentValue / price;
+  }
+  
+  if (!['BUY', 'SELL', 'OPEN', 'CLOSE'].includes(action)) {
+    return `Cannot execute a ${action} recommendation`;
+  }
+  
+  if (orderSide(action) === 'BUY') {
+    position.shares += shares;
+    portfolio.cash -= shares * price + fees;
+    await addLot(portfolio.userId, { symbol, shares, price, fees, source: 'fill', recommendationId });
+  } else {
+    if (shares > position.shares + 1e-9) {
+      return `Cannot sell ${shares} shares of ${symbol}: only ${position.shares.toFixed(3)} held`;
+    }
+    const selection = await selectLots(portfolio.userId, symbol, shares, { method: lotMethod, lots });
+    if (selection.error) return selection.error;
+    
+    position.shares = Math.max(position.shares - shares, 0);
+    portfolio.cash += shares * price - fees;
+    const realized = await recordSale(portfolio.userId, symbol, selection, { price, fees, recommendationId });
+    console.log(`🧾 ${symbol} sale realized $${realized.shortTermGain.toFixed(2)} short-term, $${realized.longTermGain.toFixed(2)} long-term (${selection.method})`);
+  }
+  
+  position.currentPrice = price;
+  position.currentValue = position.shares * price;
+  portfolio.positions[symbol] = position;
+  
+  await savePosition(portfolio, symbol);
+  await saveCash(portfolio);
+  recalculatePortfolioTotals(portfolio);
+  portfolio.lastUpdated = new Date();
+  return null;
+}
+
+// Executed plan orders move the stored target to the plan's; a fully filled CLOSE removes the position
+async function applyPlanTarget(portfolio, symbol, action, targetAllocation) {
+  const position = portfolio.positions[symbol];
+  if (!position) return;
+  
+  if (action === 'CLOSE' && position.shares < 1e-6) {
+    await deletePosition(portfolio, symbol);
+    await deleteTarget(portfolio, symbol);
+    delete portfolio.positions[symbol];
+    recalculatePortfolioTotals(portfolio);
+    console.log(`📭 Position ${symbol} closed`);
+    return;
+  }
+  
+  if (targetAllocation !== null && targetAllocation !== undefined) {
+    await saveTarget(portfolio, symbol, targetAllocation);
+    position.targetAllocation = targetAllocation;
+  }
+}
+
+// ===== PAPER TRADING =====
+// Fills a saved recommendation in the paper account at the latest quote with simulated
+// slippage and commission; the live portfolio and its tax lots are left alone
+async function paperFillRecommendation(account, order) {
+  const { symbol, action } = order;
+  const position = account.positions[symbol] || emptyPosition();
+  
+  const quote = (await getPrices([symbol]))[symbol];
+  const quotePrice = quote ? quote.price : position.currentPrice;
+  if (!(quotePrice > 0)) {
+    console.log(`⚠️ Paper fill skipped for #${order.id} ${symbol}: no price available`);
+    return null;
+  }
+  
+  const options = paperOptions();
+  const price = paperFillPrice(quotePrice, action, options);
+  let shares = order.recommendedAmount / price;
+  let commission = paperCommission(shares * price, options);
+  if (orderSide(action) === 'BUY') {
+    shares = Math.min(shares, Math.max(account.cash - commission, 0) / price);
+  } else {
+    // A CLOSE the risk policy shrank sells only what it was resized to
+    shares = Math.min(shares, position.shares);
+  }
+  commission = paperCommission(shares * price, options);
+  if (!(shares > 0)) {
+    console.log(`⚠️ Paper fill skipped for #${order.id} ${symbol}: nothing to ${action.toLowerCase()}`);
+    return null;
+  }
+  
+  const side = orderSide(action);
+  position.shares = side === 'BUY' ? position.shares + shares : Math.max(position.shares - shares, 0);
+  position.currentPrice = price;
+  position.currentValue = position.shares * price;
+  account.positions[symbol] = position;
+  account.cash += side === 'BUY' ? -(shares * price + commission) : shares * price - commission;
+  recalculatePortfolioTotals(account);
+  account.lastUpdated = new Date();
+  
+  const entry = await recordPaperFill(account.userId, {
+    recommendationId: order.id,
+    symbol,
+    action,
+    shares,
+    price,
+    quotePrice,
+    commission,
+    cashAfter: account.cash
+  });
+  await savePosition(account, symbol);
+  await saveCash(account);
+  await markRecommendationExecuted(account, order.id, price, shares, commission);
+  await applyPlanTarget(account, symbol, action, order.targetAllocation);
+  Object.assign(order, { currentPrice: price, sharesToTrade: shares, recommendedAmount: shares * price });
+  
+  console.log(`📝 Paper ${action} ${shares.toFixed(3)} ${symbol} @ $${price.toFixed(2)} (quote $${quotePrice.toFixed(2)}, fees $${commission.toFixed(2)})`);
+  return entry;
+}
+
+// ===== BROKERAGE IMPORTS =====
+async function previewBrokerageImport(portfolio, brokerageImport) {
+  const { statement } = brokerageImport;
+  const seen = await seenActivityIds(portfolio.userId, statement.activity.map(item => item.id));
+  return reconcile(statement, portfolio, seen);
+}
+
+// Replaces stored holdings with the reconciled ones; value the import adds or removes is a net flow
+async function applyBrokerageImport({ userId, id }) {
+  const brokerageImport = await getImport(userId, id);
+  if (!brokerageImport) throw new Error(`Import ${id} not found`);
+  if (brokerageImport.status !== 'preview') throw new Error(`Import ${id} is already ${brokerageImport.status}`);
+  
+  const portfolio = await getPortfolio(userId);
+  const diff = await previewBrokerageImport(portfolio, brokerageImport);
+  const valueBefore = portfolio.totalValue;
+  
+  // All or nothing: a failure part-way would otherwise leave lots that a retry adds again.
+  // The in-memory portfolio is dropped so it reloads from what was rolled back to.
+  try {
+    await inTransaction(() => applyImportChanges(userId, portfolio, brokerageImport, diff, valueBefore));
+  } catch (error) {
+    portfolios.delete(userId);
+    throw error;
+  }
+  
+  const changed = diff.positions.filter(position => position.status !== 'unchanged').length;
+  console.log(`🏦 Applied ${brokerageImport.format} import #${brokerageImport.id}: ${changed} positions changed, cash $${portfolio.cash.toFixed(2)}`);
+  return { import: brokerageImport.id, positionsChanged: changed, activity: diff.newActivityIds.length };
+}
+
+async function applyImportChanges(userId, portfolio, brokerageImport, diff, valueBefore) {
+  // Imported transactions carry real dates and prices, so they open and close lots directly
+  const newActivity = new Set(diff.newActivityIds);
+  for (const item of brokerageImport.statement.activity.filter(activityItem => newActivity.has(activityItem.id))) {
+    if (!item.symbol || !(item.shares > 0) || !(item.price > 0)) continue;
+    if (item.action === 'BUY') {
+      await addLot(userId, { symbol: item.symbol, shares: item.shares, price: item.price, acquiredAt: item.date || undefined, source: 'import' });
+    } else if (item.action === 'SELL') {
+      const selection = await selectLots(userId, item.symbol, item.shares);
+      await recordSale(userId, item.symbol, selection, { price: item.price, soldAt: item.date || undefined });
+    }
+  }
+  
+  for (const change of diff.positions.filter(position => position.status !== 'unchanged')) {
+    const position = portfolio.positions[change.symbol] || emptyPosition();
+    position.shares = change.importedShares;
+    if (change.price > 0) position.currentPrice = change.price;
+    position.currentValue = position.shares * position.currentPrice;
+    portfolio.positions[change.symbol] = position;
+    
+    if (change.status === 'removed') {
+      await deletePosition(portfolio, change.symbol);
+      if (!(position.targetAllocation > 0)) delete portfolio.positions[change.symbol];
+    } else {
+      await savePosition(portfolio, change.symbol);
+    }
+    await syncLots(userId, change.symbol, change.importedShares, position.currentPrice);
+  }
+  
+  if (diff.cash && diff.cash.change !== 0) {
+    portfolio.cash = Math.max(diff.cash.imported, 0);
+    await saveCash(portfolio);
+  }
+  
+  await recordActivity(userId, brokerageImport.id, brokerageImport.statement, diff.newActivityIds);
+  await markImport(brokerageImport.id, 'applied', diff);
+  recalculatePortfolioTotals(portfolio);
+  portfolio.lastUpdated = new Date();
+  await recordPortfolioSnapshot(portfolio, portfolio.totalValue - valueBefore);
+}
+
+// ===== TRADER SCORING =====
+async function runTraderScoring() {
+  console.log('🏅 Scoring traders from trade history...');
+  const pricesImported = await importDailyPrices(PRICE_HISTORY_DIR);
+  const result = await scoreAllTraders();
+  return { ...result, pricesImported };
+}
+
+// ===== MAIN PROCESSING =====
+async function assessTradeStaleness(trade, currentPrice) {
+  let tradePrice = null;
+  try {
+    const bars = await getDailyBars(trade.Ticker, { from: trade.TransactionDate, to: addDays(trade.TransactionDate, 7) });
+    tradePrice = bars.length > 0 ? bars[0].close : null;
+  } catch (error) {
+    console.error(`Could not load trade-date price for ${trade.Ticker}:`, error.message);
+  }
+  
+  return assessStaleness({
+    tradeDate: trade.TransactionDate,
+    disclosureDate: trade.DisclosureDate,
+    transactionType: trade.Transaction,
+    direction: assetSignal(trade).direction,
+    tradePrice,
+    currentPrice
+  });
+}
+
+// Sells get estimated gains from the lots they would close; buys a wash-sale warning
+// when they would repurchase within 30 days of a loss sale. Paper accounts have no lots.
+async function estimateOrderTax(portfolio, order) {
+  if (portfolio.paper) return null;
+  if (orderSide(order.action) === 'SELL') {
+    const estimate = await estimateSale(portfolio.userId, order.symbol, order.sharesToTrade, order.currentPrice);
+    return estimate.error ? null : estimate;
+  }
+  const lossSale = await recentLossSale(portfolio.userId, order.symbol);
+  return lossSale ? { washSale: { loss: -lossSale.loss, soldAt: lossSale.sold_at } } : null;
+}
+
+// Prices for tickers a strategy wants to open, limited to those the universe allows
+async function openablePrices(symbols) {
+  const prices = {};
+  if (symbols.length === 0) return prices;
+  const quotes = await getPrices(symbols);
+  for (const symbol of symbols) {
+    const price = quotes[symbol] ? quotes[symbol].price : null;
+    if ((await checkUniverse(symbol, price)).allowed) prices[symbol] = price;
+  }
+  return prices;
+}
+
+// sourceNames limits the run to specific source adapters (default: all enabled).
+// Resolves to the run's counts, stored with the job run.
+async function processNewTrades(sourceNames) {
+  console.log('🔍 Processing new congressional trades...');
+  
+  const trades = await fetchCongressionalTrades(sourceNames);
+  const counts = { fetched: trades.length, new: 0, users: 0, signals: 0, orders: 0, blocked: 0, shadowOrders: 0 };
+  const newTrades = [];
+  
+  for (const trade of trades) {
+    // The unique dedup key turns an already stored trade into a no-op insert
+    const saved = await dbRun(
+      `INSERT INTO trades (trader_name, symbol, transaction_type, amount, trade_date, disclosure_date, source, source_id, dedup_key,
+         amount_low, amount_high, amount_range, owner, partial_sale, raw_ticker, asset_type, option_type, option_strike, option_expiration, option_exercise) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(dedup_key) DO NOTHING`,
+      [trade.Representative, trade.Ticker, trade.Transaction, trade.Amount, trade.TransactionDate, trade.DisclosureDate, trade.Source, trade.SourceId, dedupKey(trade),
+        trade.AmountLow, trade.AmountHigh, trade.AmountRange, trade.Owner, trade.PartialSale ? 1 : 0,
+        trade.RawTicker, trade.AssetType, trade.Option ? trade.Option.type : null, trade.Option ? trade.Option.strike : null,
+        trade.Option ? trade.Option.expiration : null, trade.Option && trade.Option.exercise ? 1 : 0]
+    );
+    if (saved.changes === 0) continue;
+    
+    trade.Id = saved.lastID;
+    counts.new++;
+    newTrades.push(trade);
+    increment('congress_bot_trades_new_total');
+    publish('trade', {
+      id: trade.Id, trader: trade.Representative, symbol: trade.Ticker, transaction: trade.Transaction, amount: trade.Amount,
+      amountRange: trade.AmountRange, tradeDate: trade.TransactionDate, disclosureDate: trade.DisclosureDate, source: trade.Source,
+      assetType: trade.AssetType, option: trade.Option
+    });
+  }
+  if (newTrades.length === 0) return counts;
+  
+  // The shared feed fans out: each user's follows and portfolio turn it into their own plan
+  const config = await loadStrategyConfig();
+  const policy = await loadRiskPolicy();
+  for (const user of await listUsers()) {
+    await processTradesForUser(user, newTrades, { config, policy, counts });
+  }
+  return counts;
+}
+
+async function processTradesForUser(user, trades, { config, policy, counts }) {
+  const portfolio = await tradingPortfolio(user.id);
+  const followedTraders = await loadFollowedTraders(user.id);
+  const inputs = [];
+  const candidates = [];
+  let pricesRefreshed = false;
+  
+  for (const trade of trades) {
+    const traderName = trade.Representative;
+    const symbol = trade.Ticker;
+    const amount = parseFloat(trade.Amount) || 0;
+    const transactionType = trade.Transaction;
+    const { direction: signalDirection, weight: signalWeight } = assetSignal(trade);
+    
+    if (followedTraders[traderName] && !signalWeight) {
+      console.log(`⏭️ Ignoring ${trade.AssetType} trade: ${traderName} ${transactionType} ${symbol}`);
+    } else if (followedTraders[traderName] && portfolio.positions[symbol]) {
+      console.log(`🎯 Analyzing trade for ${user.name}: ${traderName} ${transactionType} ${symbol} $${amount.toLocaleString()}`);
+      
+      // One batched price refresh per run, not per trade
+      if (!pricesRefreshed) {
+        await updatePortfolioValues(portfolio);
+        pricesRefreshed = true;
+      }
+      
+      const staleness = await assessTradeStaleness(trade, portfolio.positions[symbol].currentPrice);
+      if (staleness.skip) {
+        console.log(`⏭️ Skipping stale signal: ${traderName} ${transactionType} ${symbol} - ${staleness.skipReason}`);
+        continue;
+      }
+      
+      inputs.push({ trade, staleness });
+    } else if (followedTraders[traderName] && signalDirection > 0) {
+      candidates.push(trade);
+    }
+  }
+  
+  // Purchases of tickers we don't hold may open a position if the universe allows it
+  const prices = {};
+  if (candidates.length > 0) {
+    if (!pricesRefreshed) await updatePortfolioValues(portfolio);
+    const quotes = await getPrices([...new Set(candidates.map(trade => trade.Ticker))]);
+    
+    for (const trade of candidates) {
+      const symbol = trade.Ticker;
+      const price = quotes[symbol] ? quotes[symbol].price : null;
+      const check = await checkUniverse(symbol, price);
+      if (!check.allowed) {
+        console.log(`⏭️ Not opening ${symbol} for ${trade.Representative}: ${check.reason}`);
+        continue;
+      }
+      
+      const staleness = await assessTradeStaleness(trade, price);
+      if (staleness.skip) {
+        console.log(`⏭️ Skipping stale signal: ${trade.Representative} ${trade.Transaction} ${symbol} - ${staleness.skipReason}`);
+        continue;
+      }
+      
+      inputs.push({ trade, staleness });
+      prices[symbol] = price;
+    }
+  }
+  
+  if (inputs.length === 0) return;
+  counts.users++;
+  counts.signals += inputs.length;
+  
+  // Each enabled strategy nets the run's trades into one plan against the current allocation
+  const results = await evaluateStrategies(inputs, { portfolio, performers: followedTraders, prices, openablePrices }, config);
+  const riskHistory = await loadRiskHistory(user.id, policy.cooldownDays);
+  
+  // Shadow plans pass the same risk policy but are only stored, with no decisions or alerts
+  for (const { name, plan: shadowPlan } of results.filter(result => !result.primary)) {
+    const shadowRisk = applyRiskPolicy(shadowPlan.orders, portfolio, policy, riskHistory);
+    for (const order of shadowRisk.approved) {
+      await saveRecommendation(portfolio, order, { strategy: name, shadow: true });
+    }
+    counts.shadowOrders += shadowRisk.approved.length;
+    console.log(`👥 Shadow strategy ${name} for ${user.name}: ${shadowRisk.approved.length} order(s)`);
+  }
+  
+  const { plan } = results[0];
+  for (const item of plan.skipped) {
+    console.log(`⏭️ No order for ${item.symbol}: ${item.reason}`);
+  }
+  if (plan.orders.length === 0) return;
+  
+  // Every order passes the risk policy before it is saved or alerted
+  const risk = applyRiskPolicy(plan.orders, portfolio, policy, riskHistory);
+  for (const order of risk.approved) {
+    order.tax = await estimateOrderTax(portfolio, order);
+    await saveRecommendation(portfolio, order, { strategy: config.primary });
+  }
+  await recordRiskDecisions(user.id, risk.decisions);
+  
+  const blockedReasons = risk.decisions.filter(decision => decision.outcome === 'blocked');
+  plan.orders = risk.approved;
+  plan.skipped.push(...blockedReasons.map(decision => ({ symbol: decision.symbol, reason: `Blocked by risk policy (${decision.rule}): ${decision.detail}` })));
+  plan.cashAfter = risk.approved.reduce((cash, order) => cash + (orderSide(order.action) === 'BUY' ? -order.recommendedAmount : order.recommendedAmount), plan.cashBefore);
+  counts.orders += plan.orders.length;
+  counts.blocked += blockedReasons.length;
+  if (plan.orders.length === 0) return;
+  
+  if (paperTradingEnabled()) {
+    for (const order of plan.orders) {
+      await paperFillRecommendation(portfolio, order);
+    }
+    plan.cashAfter = portfolio.cash;
+    await recordPortfolioSnapshot(portfolio);
+  }
+  
+  await sendRecommendationDigest(portfolio, plan);
+  
+  if (process.env.IMMEDIATE_ALERTS === 'true') {
+    for (const order of plan.orders.filter(order => order.confidence > HIGH_URGENCY_CONFIDENCE)) {
+      await sendBuyRecommendation(portfolio, order);
+    }
+  }
+}
+
+// ===== API ENDPOINTS =====
+// Any list endpoint becomes a download with ?format=csv or ?format=json
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_MAX_ROWS = 10000;
+
+// Handlers that change holdings, cash, targets or lots wait for (and hold off) the jobs in the
+// 'portfolio' lock group, so they never interleave with trade processing or revaluation
+function portfolioLocked(handler) {
+  return (req, res) => withLock('portfolio', () => handler(req, res))
+    .catch(error => res.status(500).json({ error: error.message }));
+}
+
+function isExport(req) {
+  return EXPORT_FORMATS.includes(req.query.format);
+}
+
+// Exports default to (and are capped at) EXPORT_MAX_ROWS instead of a page
+function listLimit(req, fallback, max) {
+  const requested = parseInt(req.query.limit, 10);
+  if (isExport(req)) return Math.min(requested || EXPORT_MAX_ROWS, EXPORT_MAX_ROWS);
+  return Math.min(requested || fallback, max);
+}
+
+function sendList(req, res, key, rows, extra = {}) {
+  if (req.query.format === undefined) {
+    return res.json({ [key]: rows, ...extra });
+  }
+  if (!isExport(req)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  
+  res.attachment(`${key}-${new Date().toISOString().split('T')[0]}.${req.query.format}`);
+  if (req.query.format === 'csv') {
+    return res.type('text/csv').send(toCsv(rows));
+  }
+  res.json(rows);
+}
+
+// Sends a test message to every one of the caller's channels, ignoring routing rules
+async function sendTestNotification(req, res) {
+  try {
+    const channels = (await describeChannels(req.user.id)).channels.map(channel => channel.name);
+    const results = await notify(testMessage(), { userId: req.user.id, channels });
+    res.json({ message: 'Test notification sent', results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/test-email', sendTestNotification);
+app.post('/api/notifications/test', sendTestNotification);
+
+app.get('/api/notifications', async (req, res) => {
+  try {
+    res.json(await describeChannels(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { channels, routes } in the NOTIFICATIONS_CONFIG shape
+app.put('/api/notifications', async (req, res) => {
+  try {
+    const result = await updateUserConfig(req.user.id, req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ message: 'Notification settings updated', ...result.settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Back to the default: the system channels for admins, none for viewers
+app.delete('/api/notifications', async (req, res) => {
+  try {
+    const result = await updateUserConfig(req.user.id, null);
+    res.json({ message: 'Notification settings cleared', ...result.settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/notifications/deliveries', async (req, res) => {
+  const limit = listLimit(req, 50, 500);
+  try {
+    sendList(req, res, 'deliveries', await listDeliveries(req.user.id, { status: req.query.status, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/notifications/deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = await requeueDelivery(req.user.id, req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: `Delivery ${req.params.id} not found` });
+    }
+    const retried = await retryPendingDeliveries();
+    res.json({ message: 'Delivery retried', retried });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/portfolio', async (req, res) => {
+  const days = parseInt(req.query.historyDays, 10) || 90;
+  try {
+    const history = await getPortfolioHistory(req.user.id, days);
+    res.json({ ...req.portfolio, history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/portfolio/history', async (req, res) => {
+  const days = parseInt(req.query.days, 10) || 90;
+  try {
+    res.json({ history: await getPortfolioHistory(req.user.id, days) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/portfolio/cash', portfolioLocked(async (req, res) => {
+  const cash = parseOptionalNumber(req.body.cash);
+  if (cash === undefined || Number.isNaN(cash) || cash < 0) {
+    return res.status(400).json({ error: 'cash must be a non-negative number' });
+  }
+
+  try {
+    const flow = cash - req.portfolio.cash;
+    req.portfolio.cash = cash;
+    await saveCash(req.portfolio);
+    recalculatePortfolioTotals(req.portfolio);
+    await recordPortfolioSnapshot(req.portfolio, flow);
+    res.json({ message: 'Cash updated', portfolio: req.portfolio });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+// Applies shares/value/targetAllocation from a request body to a position
+async function applyPositionChanges(portfolio, symbol, body) {
+  const shares = parseOptionalNumber(body.shares);
+  const value = parseOptionalNumber(body.value);
+  const targetAllocation = parseOptionalNumber(body.targetAllocation);
+
+  if ([shares, value].some(n => n !== undefined && (Number.isNaN(n) || n < 0))) {
+    return 'shares and value must be non-negative numbers';
+  }
+
+  if (targetAllocation !== undefined) {
+    const targets = { ...currentTargets(portfolio), [symbol]: targetAllocation };
+    const targetError = validateTargets(targets);
+    if (targetError) return targetError;
+  }
+
+  const position = portfolio.positions[symbol] || emptyPosition();
+  const valueBefore = position.currentValue;
+  if (shares !== undefined || value !== undefined) {
+    // The flow is booked at this price; a holding added at 0 would count as return once priced
+    let price = await latestPrice(portfolio, symbol);
+    if (!(price > 0) && shares > 0 && value > 0) price = value / shares;
+    if (!(price > 0) && shares > 0) return `No price available for ${symbol}; give its value along with the shares`;
+    if (price > 0) position.currentPrice = price;
+  }
+  if (shares !== undefined) {
+    position.shares = shares;
+    position.currentValue = shares * position.currentPrice;
+  } else if (value !== undefined) {
+    // Shares are derived from the value at the next price update
+    position.shares = position.currentPrice ? value / position.currentPrice : 0;
+    position.currentValue = value;
+  }
+  portfolio.positions[symbol] = position;
+
+  if (shares !== undefined || value !== undefined) {
+    await savePosition(portfolio, symbol);
+    await syncLots(portfolio.userId, symbol, position.shares, position.currentPrice);
+  }
+  const flow = position.currentValue - valueBefore;
+  if (targetAllocation !== undefined) {
+    await saveTarget(portfolio, symbol, targetAllocation);
+    position.targetAllocation = targetAllocation;
+  }
+
+  recalculatePortfolioTotals(portfolio);
+  if (flow !== 0) await recordPortfolioSnapshot(portfolio, flow);
+  return null;
+}
+
+app.get('/api/positions', (req, res) => {
+  res.json({ positions: req.portfolio.positions });
+});
+
+app.post('/api/positions', portfolioLocked(async (req, res) => {
+  if (!req.body.symbol) {
+    return res.status(400).json({ error: 'Missing required field: symbol' });
+  }
+
+  try {
+    const symbol = await requestSymbol(req.body.symbol);
+    if (!symbol) return res.status(400).json({ error: `${req.body.symbol} is not a ticker` });
+
+    const existing = await dbGet('SELECT symbol FROM positions WHERE user_id = ? AND symbol = ?', [req.user.id, symbol]);
+    if (existing) {
+      return res.status(409).json({ error: `Position ${symbol} already exists` });
+    }
+
+    const error = await applyPositionChanges(req.portfolio, symbol, req.body);
+    if (error) return res.status(400).json({ error });
+    await savePosition(req.portfolio, symbol);
+    res.status(201).json({ message: 'Position created', symbol, position: req.portfolio.positions[symbol] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.put('/api/positions/:symbol', portfolioLocked(async (req, res) => {
+  const symbol = await requestSymbol(req.params.symbol, req.portfolio) || req.params.symbol.toUpperCase();
+  if (!req.portfolio.positions[symbol]) {
+    return res.status(404).json({ error: `Position ${symbol} not found` });
+  }
+
+  try {
+    const error = await applyPositionChanges(req.portfolio, symbol, req.body);
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Position updated', symbol, position: req.portfolio.positions[symbol] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.delete('/api/positions/:symbol', portfolioLocked(async (req, res) => {
+  const symbol = await requestSymbol(req.params.symbol, req.portfolio) || req.params.symbol.toUpperCase();
+  if (!req.portfolio.positions[symbol]) {
+    return res.status(404).json({ error: `Position ${symbol} not found` });
+  }
+
+  try {
+    const flow = -req.portfolio.positions[symbol].currentValue;
+    await deletePosition(req.portfolio, symbol);
+    await syncLots(req.user.id, symbol, 0);
+    await deleteTarget(req.portfolio, symbol);
+    delete req.portfolio.positions[symbol];
+    recalculatePortfolioTotals(req.portfolio);
+    await recordPortfolioSnapshot(req.portfolio, flow);
+    res.json({ message: 'Position deleted', symbol });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.get('/api/targets', (req, res) => {
+  const targets = currentTargets(req.portfolio);
+  const total = Object.values(targets).reduce((sum, t) => sum + t, 0);
+  res.json({ targets, total, unallocated: Math.max(1 - total, 0) });
+});
+
+app.put('/api/targets', portfolioLocked(async (req, res) => {
+  const targets = {};
+  try {
+    for (const [ticker, allocation] of Object.entries(req.body.targets || {})) {
+      const symbol = await requestSymbol(ticker, req.portfolio);
+      if (!symbol) return res.status(400).json({ error: `${ticker} is not a ticker` });
+      targets[symbol] = (targets[symbol] || 0) + parseFloat(allocation);
+    }
+
+    const error = validateTargets(targets);
+    if (error) return res.status(400).json({ error });
+
+    await dbRun('DELETE FROM target_allocations WHERE user_id = ?', [req.user.id]);
+    for (const [symbol, position] of Object.entries(req.portfolio.positions)) {
+      position.targetAllocation = 0;
+      if (!targets[symbol] && position.shares === 0 && position.currentValue === 0) {
+        delete req.portfolio.positions[symbol];
+      }
+    }
+    for (const [symbol, allocation] of Object.entries(targets)) {
+      await saveTarget(req.portfolio, symbol, allocation);
+      req.portfolio.positions[symbol] = req.portfolio.positions[symbol] || emptyPosition();
+      req.portfolio.positions[symbol].targetAllocation = allocation;
+    }
+    res.json({ message: 'Targets replaced', targets: currentTargets(req.portfolio) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.put('/api/targets/:symbol', portfolioLocked(async (req, res) => {
+  const targetAllocation = parseOptionalNumber(req.body.targetAllocation);
+  if (targetAllocation === undefined) {
+    return res.status(400).json({ error: 'Missing required field: targetAllocation' });
+  }
+
+  try {
+    const symbol = await requestSymbol(req.params.symbol, req.portfolio);
+    if (!symbol) return res.status(400).json({ error: `${req.params.symbol} is not a ticker` });
+    const error = await applyPositionChanges(req.portfolio, symbol, { targetAllocation });
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Target updated', symbol, targets: currentTargets(req.portfolio) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.delete('/api/targets/:symbol', portfolioLocked(async (req, res) => {
+  const symbol = await requestSymbol(req.params.symbol, req.portfolio) || req.params.symbol.toUpperCase();
+  const position = req.portfolio.positions[symbol];
+  if (!position || !position.targetAllocation) {
+    return res.status(404).json({ error: `No target set for ${symbol}` });
+  }
+
+  try {
+    await deleteTarget(req.portfolio, symbol);
+    position.targetAllocation = 0;
+    if (position.shares === 0 && position.currentValue === 0) {
+      delete req.portfolio.positions[symbol];
+    }
+    res.json({ message: 'Target removed', symbol, targets: currentTargets(req.portfolio) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+// ===== BROKERAGE IMPORTS =====
+// Statements are uploaded as JSON { content, format?, filename? } or as the raw file with ?format=&filename=
+const statementBody = express.text({ type: ['text/*', 'application/x-ofx', 'application/ofx'], limit: '5mb' });
+
+app.get('/api/brokerage/formats', (req, res) => {
+  res.json({ formats: listFormats() });
+});
+
+app.post('/api/brokerage/imports', statementBody, async (req, res) => {
+  const raw = typeof req.body === 'string';
+  const content = raw ? req.body : req.body.content;
+  const format = raw ? req.query.format : req.body.format;
+  const filename = raw ? req.query.filename : req.body.filename;
+  if (typeof content !== 'string' || content.trim() === '') {
+    return res.status(400).json({ error: 'Missing statement content' });
+  }
+  
+  const { statement, error } = parseStatement(content, format);
+  if (error) return res.status(400).json({ error });
+  
+  try {
+    const id = await createImport(req.user.id, { filename, statement });
+    const diff = await previewBrokerageImport(req.portfolio, { statement });
+    console.log(`🏦 Parsed ${statement.format} ${statement.kind} import #${id}: ${statement.positions.length} positions, ${statement.activity.length} transactions`);
+    res.status(201).json({
+      message: 'Import parsed; review the diff and apply it to update holdings',
+      import: { id, format: statement.format, kind: statement.kind, filename: filename || null, asOf: statement.asOf, status: 'preview' },
+      changes: hasChanges(diff),
+      diff
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/brokerage/imports', async (req, res) => {
+  const limit = listLimit(req, 50, 500);
+  try {
+    sendList(req, res, 'imports', await listImports(req.user.id, { status: req.query.status, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pending imports are diffed against current holdings; applied ones return the diff that was applied
+app.get('/api/brokerage/imports/:id', async (req, res) => {
+  try {
+    const brokerageImport = await getImport(req.user.id, req.params.id);
+    if (!brokerageImport) {
+      return res.status(404).json({ error: `Import ${req.params.id} not found` });
+    }
+    const { statement, diff, ...details } = brokerageImport;
+    const current = details.status === 'preview' ? await previewBrokerageImport(req.portfolio, brokerageImport) : diff;
+    res.json({ import: details, changes: current ? hasChanges(current) : false, diff: current, statement });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/brokerage/imports/:id/apply', async (req, res) => {
+  try {
+    const brokerageImport = await getImport(req.user.id, req.params.id);
+    if (!brokerageImport) {
+      return res.status(404).json({ error: `Import ${req.params.id} not found` });
+    }
+    if (brokerageImport.status !== 'preview') {
+      return res.status(409).json({ error: `Import ${req.params.id} is already ${brokerageImport.status}` });
+    }
+    
+    const jobRun = await runJob('brokerage-import', { trigger: 'api', params: { userId: req.user.id, id: brokerageImport.id } });
+    if (jobRun.status === 'skipped') return res.status(409).json({ error: 'Another import is being applied', run: jobRun });
+    if (jobRun.status === 'failed') return res.status(500).json({ error: jobRun.error, run: jobRun });
+    const { statement, ...applied } = await getImport(req.user.id, brokerageImport.id);
+    res.json({ message: 'Import applied', import: applied, run: jobRun, portfolio: req.portfolio });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/brokerage/imports/:id', async (req, res) => {
+  try {
+    const brokerageImport = await getImport(req.user.id, req.params.id);
+    if (!brokerageImport) {
+      return res.status(404).json({ error: `Import ${req.params.id} not found` });
+    }
+    if (brokerageImport.status !== 'preview') {
+      return res.status(409).json({ error: `Import ${req.params.id} is already ${brokerageImport.status}` });
+    }
+    await markImport(brokerageImport.id, 'discarded');
+    res.json({ message: 'Import discarded', id: brokerageImport.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== TRADE & RECOMMENDATION HISTORY =====
+// ?trader=&symbol=&action=buy|sell|exchange&source=&assetType=stock|etf|option|fund|bond|crypto|other&from=&to=&dateField=trade|disclosure
+//  &sort=trade_date|disclosure_date|amount|trader|symbol|created_at&order=asc|desc&cursor=&limit=
+app.get('/api/trades', async (req, res) => {
+  const { trader, symbol, action, source, assetType, from, to, dateField, sort, order, cursor } = req.query;
+  try {
+    const result = await listTrades({ trader, symbol, action, source, assetType, from, to, dateField, sort, order, cursor, limit: listLimit(req, 50, 500) });
+    if (result.error) return res.status(400).json({ error: result.error });
+    sendList(req, res, 'trades', result.rows, { nextCursor: result.nextCursor });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-member totals; same filters as /api/trades, sort=trades|buys|sells|buy_amount|sell_amount|net_amount|last_trade_date
+app.get('/api/trades/by-trader', async (req, res) => {
+  const { symbol, action, source, assetType, from, to, dateField, sort, order } = req.query;
+  try {
+    const result = await traderAggregates({ symbol, action, source, assetType, from, to, dateField, sort, order, limit: listLimit(req, 100, 1000) });
+    if (result.error) return res.status(400).json({ error: result.error });
+    sendList(req, res, 'traders', result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-ticker totals; same filters and sorts as /api/trades/by-trader
+app.get('/api/trades/by-symbol', async (req, res) => {
+  const { trader, action, source, assetType, from, to, dateField, sort, order } = req.query;
+  try {
+    const result = await symbolAggregates({ userId: req.user.id, trader, action, source, assetType, from, to, dateField, sort, order, limit: listLimit(req, 100, 1000) });
+    if (result.error) return res.status(400).json({ error: result.error });
+    sendList(req, res, 'symbols', result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?symbol=&action=BUY|SELL|OPEN|CLOSE&status=&executed=true|false&trader=&from=&to=
+//  &sort=created_at|executed_at|confidence|amount|symbol&order=asc|desc&cursor=&limit=
+app.get('/api/recommendations', async (req, res) => {
+  const { symbol, action, status, trader, strategy, from, to, sort, order, cursor } = req.query;
+  if (req.query.executed !== undefined && !['true', 'false'].includes(req.query.executed)) {
+    return res.status(400).json({ error: 'executed must be true or false' });
+  }
+  const executed = req.query.executed === undefined ? undefined : req.query.executed === 'true';
+  
+  try {
+    const result = await listRecommendations({ userId: req.user.id, symbol, action, status, executed, trader, strategy, from, to, sort, order, cursor, limit: listLimit(req, 50, 500) });
+    if (result.error) return res.status(400).json({ error: result.error });
+    sendList(req, res, 'recommendations', result.rows, { nextCursor: result.nextCursor });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/recommendations/pending', async (req, res) => {
+  try {
+    sendList(req, res, 'recommendations', await getPendingRecommendations(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/recommendations/:id/execute', portfolioLocked(async (req, res) => {
+  const price = parseOptionalNumber(req.body.price);
+  const shares = parseOptionalNumber(req.body.shares);
+  const fees = parseOptionalNumber(req.body.fees) || 0;
+  
+  if (!(price > 0) || !(shares > 0) || fees < 0) {
+    return res.status(400).json({ error: 'price and shares must be positive numbers, fees must be non-negative' });
+  }
+  
+  try {
+    await expireStaleRecommendations();
+    const recommendation = await getRecommendation(req.user.id, req.params.id);
+    if (!recommendation) {
+      return res.status(404).json({ error: `Recommendation ${req.params.id} not found` });
+    }
+    if (recommendation.status !== 'pending') {
+      return res.status(409).json({ error: `Recommendation ${req.params.id} is already ${recommendation.status}` });
+    }
+    
+    const error = await applyFill(req.portfolio, recommendation.symbol, recommendation.action, shares, price, fees,
+      { lotMethod: req.body.lotMethod, lots: req.body.lots, recommendationId: recommendation.id });
+    if (error) return res.status(400).json({ error });
+    
+    await markRecommendationExecuted(req.portfolio, recommendation.id, price, shares, fees);
+    await applyPlanTarget(req.portfolio, recommendation.symbol, recommendation.action, recommendation.target_allocation);
+    
+    console.log(`✅ Recommendation #${recommendation.id} executed: ${recommendation.action} ${shares} ${recommendation.symbol} @ $${price.toFixed(2)}`);
+    res.json({
+      message: 'Recommendation executed',
+      recommendation: await getRecommendation(req.user.id, recommendation.id),
+      position: req.portfolio.positions[recommendation.symbol],
+      cash: req.portfolio.cash
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.post('/api/recommendations/:id/dismiss', portfolioLocked(async (req, res) => {
+  try {
+    const recommendation = await getRecommendation(req.user.id, req.params.id);
+    if (!recommendation) {
+      return res.status(404).json({ error: `Recommendation ${req.params.id} not found` });
+    }
+    if (recommendation.status !== 'pending') {
+      return res.status(409).json({ error: `Recommendation ${req.params.id} is already ${recommendation.status}` });
+    }
+    
+    await dbRun(
+      `UPDATE recommendations SET status = 'dismissed', dismissed_at = CURRENT_TIMESTAMP, dismiss_reason = ? WHERE id = ?`,
+      [req.body.reason || null, recommendation.id]
+    );
+    publish('recommendation', { id: recommendation.id, symbol: recommendation.symbol, action: recommendation.action, status: 'dismissed' }, req.user.id);
+    res.json({ message: 'Recommendation dismissed', id: recommendation.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+app.get('/api/paper/ledger', async (req, res) => {
+  const limit = listLimit(req, 100, 1000);
+  try {
+    sendList(req, res, 'ledger', await listPaperLedger(req.user.id, { symbol: req.query.symbol, limit }), { enabled: paperTradingEnabled(), options: paperOptions() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/paper/pnl', async (req, res) => {
+  try {
+    res.json({ enabled: paperTradingEnabled(), ...(await paperPnl(req.user.id, await getPaperAccount(req.user.id, false))) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?symbol=&open=false (include closed lots)
+app.get('/api/tax/lots', async (req, res) => {
+  const prices = Object.fromEntries(Object.entries(req.portfolio.positions).map(([symbol, position]) => [symbol, position.currentPrice]));
+  try {
+    const lots = await listLots(req.user.id, { symbol: req.query.symbol, open: req.query.open !== 'false', prices });
+    sendList(req, res, 'lots', lots, { options: taxOptions() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { acquiredAt, costPerShare } to correct a lot's basis
+app.put('/api/tax/lots/:id', portfolioLocked(async (req, res) => {
+  try {
+    if (!(await getLot(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: `Lot ${req.params.id} not found` });
+    }
+    const result = await updateLot(req.user.id, req.params.id, { acquiredAt: req.body.acquiredAt, costPerShare: parseOptionalNumber(req.body.costPerShare) });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ message: 'Lot updated', lot: result.lot });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+// ?symbol=&year=
+app.get('/api/tax/realized', async (req, res) => {
+  try {
+    const { sales, ...totals } = await realizedGains(req.user.id, { symbol: req.query.symbol, year: req.query.year });
+    sendList(req, res, 'sales', sales, totals);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What selling would realize: ?shares= (default: the whole position)&price=&lotMethod=fifo|hifo
+app.get('/api/tax/estimate/:symbol', async (req, res) => {
+  try {
+    const symbol = await requestSymbol(req.params.symbol, req.portfolio) || req.params.symbol.toUpperCase();
+    const position = req.portfolio.positions[symbol];
+    if (!position) {
+      return res.status(404).json({ error: `Position ${symbol} not found` });
+    }
+    const shares = parseOptionalNumber(req.query.shares) ?? position.shares;
+    if (!(shares > 0)) {
+      return res.status(400).json({ error: 'shares must be a positive number' });
+    }
+
+    const price = parseOptionalNumber(req.query.price) ?? await latestPrice(req.portfolio, symbol);
+    if (!(price > 0)) return res.status(400).json({ error: `No price for ${symbol}; pass ?price=` });
+    
+    const estimate = await estimateSale(req.user.id, symbol, shares, price, { method: req.query.lotMethod });
+    if (estimate.error) return res.status(400).json({ error: estimate.error });
+    res.json({ symbol, shares, price, ...estimate });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?account=live|paper picks the history (default: paper while paper trading is on)
+function performanceAccount(req) {
+  return req.query.account || (paperTradingEnabled() ? 'paper' : 'live');
+}
+
+// Snapshot history as performance points; ?days= limits the window (default 365)
+async function performancePoints(req) {
+  const days = parseInt(req.query.days, 10) || 365;
+  const history = await getPortfolioHistory(req.user.id, days, { paper: performanceAccount(req) === 'paper' });
+  return history.map(point => ({ date: point.date, equity: point.totalValue, netFlow: point.netFlow }));
+}
+
+async function benchmarkComparison(points, symbol) {
+  const bars = points.length > 0
+    ? await getDailyBars(symbol, { from: addDays(points[0].date, -7), to: points[points.length - 1].date })
+    : [];
+  return compareToBenchmark(points, bars, symbol);
+}
+
+app.get('/api/performance', async (req, res) => {
+  const benchmark = (req.query.benchmark || 'SPY').toUpperCase();
+  try {
+    const points = await performancePoints(req);
+    const { series, ...twr } = timeWeightedReturn(points);
+    const { curve, ...drawdown } = drawdowns(points);
+    const { series: benchmarkSeries, ...comparison } = await benchmarkComparison(points, benchmark);
+    res.json({
+      paperTrading: paperTradingEnabled(),
+      account: performanceAccount(req),
+      from: points.length > 0 ? points[0].date : null,
+      to: points.length > 0 ? points[points.length - 1].date : null,
+      timeWeightedReturn: twr,
+      drawdown,
+      benchmark: comparison
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/performance/twr', async (req, res) => {
+  try {
+    res.json(timeWeightedReturn(await performancePoints(req)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/performance/drawdown', async (req, res) => {
+  try {
+    res.json(drawdowns(await performancePoints(req)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?symbol=SPY|QQQ|...
+app.get('/api/performance/benchmark', async (req, res) => {
+  const symbol = (req.query.symbol || 'SPY').toUpperCase();
+  try {
+    res.json(await benchmarkComparison(await performancePoints(req), symbol));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/risk/policy', async (req, res) => {
+  try {
+    res.json({ policy: await loadRiskPolicy() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/risk/policy', requireAdmin, async (req, res) => {
+  try {
+    const result = await updateRiskPolicy(req.body || {});
+    if (result.error) return res.status(400).json({ error: result.error });
+    
+    console.log(`🛡️ Risk policy updated${result.policy.killSwitch ? ' (kill switch ON)' : ''}`);
+    res.json({ message: 'Risk policy updated', policy: result.policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Initialize email service only
-const emailTransporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-// Initialize database
-const db = new sqlite3.Database('./trades.db');
-
-// User portfolio tracking
-let userPortfolio = {
-  totalValue: parseFloat(process.env.DEFAULT_PORTFOLIO_VALUE) || 1000,
-  cash: 100, // 10% cash
-  positions: {
-    'QQQ': { shares: 0, targetAllocation: 0.25, currentValue: 250, currentPrice: 0 },
-    'NVDA': { shares: 0, targetAllocation: 0.20, currentValue: 200, currentPrice: 0 },
-    'MSFT': { shares: 0, targetAllocation: 0.20, currentValue: 200, currentPrice: 0 },
-    'AAPL': { shares: 0, targetAllocation: 0.15, currentValue: 150, currentPrice: 0 },
-    'GOOGL': { shares: 0, targetAllocation: 0.10, currentValue: 100, currentPrice: 0 }
-  },
-  lastUpdated: new Date()
-};
-
-// Top performers with their success rates
-const TOP_PERFORMERS = {
-  'Nancy Pelosi': { weight: 1.0, successRate: 0.89 },
-  'David Rouzer': { weight: 0.95, successRate: 0.87 },
-  'Debbie Wasserman Schultz': { weight: 0.85, successRate: 0.82 },
-  'Ron Wyden': { weight: 0.80, successRate: 0.84 },
-  'Roger Williams': { weight: 0.75, successRate: 0.79 },
-  'Josh Gottheimer': { weight: 0.90, successRate: 0.85 }
-};
-
-// Database setup
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS trades (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    trader_name TEXT,
-    symbol TEXT,
-    transaction_type TEXT,
-    amount REAL,
-    trade_date TEXT,
-    disclosure_date TEXT,
-    processed BOOLEAN DEFAULT FALSE,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS recommendations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    symbol TEXT,
-    action TEXT,
-    current_price REAL,
-    recommended_amount REAL,
-    shares_to_trade REAL,
-    reason TEXT,
-    confidence REAL,
-    executed BOOLEAN DEFAULT FALSE,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS manual_trades (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    trader_name TEXT,
-    symbol TEXT,
-    transaction_type TEXT,
-    amount REAL,
-    trade_date TEXT,
-    processed BOOLEAN DEFAULT FALSE,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
+app.get('/api/strategies', async (req, res) => {
+  try {
+    res.json(await loadStrategyConfig());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// ===== STOCK PRICE FUNCTIONS =====
-async function getStockPrice(symbol) {
+// Body: { primary, strategies: { consensus: { enabled: true, minMembers: 3 } } }
+app.put('/api/strategies', requireAdmin, async (req, res) => {
   try {
-    const response = await axios.get(
-      `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${process.env.ALPHA_VANTAGE_API_KEY}`
-    );
-    
-    const quote = response.data['Global Quote'];
-    if (!quote || !quote['05. price']) {
-      throw new Error('Invalid response from Alpha Vantage');
-    }
+    const result = await updateStrategyConfig(req.body || {});
+    if (result.error) return res.status(400).json({ error: result.error });
     
-    return {
-      symbol: symbol,
-      price: parseFloat(quote['05. price']),
-      change: parseFloat(quote['09. change']),
-      changePercent: quote['10. change percent'].replace('%', ''),
-      lastUpdated: new Date()
-    };
+    const shadows = Object.keys(result.config.strategies).filter(name => name !== result.config.primary && result.config.strategies[name].enabled);
+    console.log(`🧠 Strategies updated: ${result.config.primary} primary${shadows.length > 0 ? `, shadowing ${shadows.join(', ')}` : ''}`);
+    res.json({ message: 'Strategies updated', ...result.config });
   } catch (error) {
-    console.error(`Error fetching price for ${symbol}:`, error.message);
-    return null;
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-async function updatePortfolioValues() {
-  console.log('💰 Updating portfolio values...');
-  
-  for (const symbol of Object.keys(userPortfolio.positions)) {
-    const priceData = await getStockPrice(symbol);
-    if (priceData) {
-      userPortfolio.positions[symbol].currentPrice = priceData.price;
-      if (userPortfolio.positions[symbol].shares === 0) {
-        userPortfolio.positions[symbol].shares = 
-          userPortfolio.positions[symbol].currentValue / priceData.price;
-      }
-      userPortfolio.positions[symbol].currentValue = 
-        userPortfolio.positions[symbol].shares * priceData.price;
-    }
-    
-    // Avoid rate limiting (Alpha Vantage: 5 calls/minute)
-    await new Promise(resolve => setTimeout(resolve, 15000));
+// ?days=30
+app.get('/api/strategies/compare', async (req, res) => {
+  const days = parseInt(req.query.days, 10) || 30;
+  try {
+    res.json(await compareStrategies({ userId: req.user.id, days, getPrices }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  
-  const totalPositionValue = Object.values(userPortfolio.positions)
-    .reduce((sum, pos) => sum + pos.currentValue, 0);
-  userPortfolio.totalValue = totalPositionValue + userPortfolio.cash;
-  userPortfolio.lastUpdated = new Date();
-  
-  console.log(`📊 Portfolio updated: $${userPortfolio.totalValue.toFixed(2)}`);
-}
+});
 
-// ===== DATA FETCHING (FREE SOURCES) =====
-async function fetchHouseStockWatcher() {
+// ?symbol=&outcome=blocked|resized&rule=&limit=
+app.get('/api/risk/decisions', async (req, res) => {
+  const limit = listLimit(req, 50, 500);
   try {
-    console.log('🔍 Fetching from House Stock Watcher...');
-    const response = await axios.get('https://house-stock-watcher-data.s3-us-west-2.amazonaws.com/data/all_transactions.json');
-    
-    const trades = response.data
-      .filter(trade => {
-        const tradeDate = new Date(trade.transaction_date);
-        const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        return tradeDate > sevenDaysAgo;
-      })
-      .map(trade => ({
-        Representative: trade.representative,
-        Ticker: trade.ticker,
-        Transaction: trade.transaction_type,
-        Amount: parseFloat(trade.amount) || 0,
-        TransactionDate: trade.transaction_date,
-        DisclosureDate: trade.disclosure_date
-      }))
-      .filter(trade => 
-        trade.Representative && 
-        trade.Ticker && 
-        TOP_PERFORMERS[trade.Representative] && 
-        userPortfolio.positions[trade.Ticker]
-      );
-    
-    console.log(`📊 Found ${trades.length} relevant trades from House Stock Watcher`);
-    return trades;
-    
+    const decisions = await listRiskDecisions(req.user.id, { symbol: req.query.symbol, outcome: req.query.outcome, rule: req.query.rule, limit });
+    sendList(req, res, 'decisions', decisions);
   } catch (error) {
-    console.error('House Stock Watcher failed:', error.message);
-    return [];
-  }
-}
-
-async function fetchManualTrades() {
-  return new Promise((resolve) => {
-    db.all(
-      'SELECT * FROM manual_trades WHERE processed = 0 ORDER BY created_at DESC',
-      (err, rows) => {
-        if (err || !rows) {
-          resolve([]);
-        } else {
-          db.run('UPDATE manual_trades SET processed = 1 WHERE processed = 0');
-          
-          const trades = rows.map(row => ({
-            Representative: row.trader_name,
-            Ticker: row.symbol,
-            Transaction: row.transaction_type,
-            Amount: row.amount,
-            TransactionDate: row.trade_date,
-            DisclosureDate: new Date().toISOString().split('T')[0]
-          }));
-          
-          console.log(`📊 Found ${trades.length} manual trades`);
-          resolve(trades);
-        }
-      }
-    );
-  });
-}
+    res.status(500).json({ error: error.message });
+  }
+});
 
-async function fetchCongressionalTrades() {
-  console.log('🔍 Fetching congressional trades from free sources...');
-  
-  let allTrades = [];
-  
-  const hswTrades = await fetchHouseStockWatcher();
-  allTrades = allTrades.concat(hswTrades);
-  
-  const manualTrades = await fetchManualTrades();
-  allTrades = allTrades.concat(manualTrades);
-  
-  console.log(`📊 Total trades found: ${allTrades.length}`);
-  return allTrades;
-}
+// ?list=allow|deny|watch
+app.get('/api/universe', async (req, res) => {
+  try {
+    sendList(req, res, 'entries', await listUniverse(req.query.list));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/universe/check/:symbol', async (req, res) => {
+  try {
+    const symbol = await requestSymbol(req.params.symbol);
+    if (!symbol) return res.status(400).json({ error: `${req.params.symbol} is not a ticker` });
+    const quote = (await getPrices([symbol]))[symbol];
+    const price = quote ? quote.price : null;
+    res.json({ symbol, price, held: !!req.portfolio.positions[symbol], ...(await checkUniverse(symbol, price)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// ===== RECOMMENDATION ENGINE =====
-function calculatePositionAdjustment(symbol, traderAction, traderName, amount) {
-  const position = userPortfolio.positions[symbol];
-  const traderWeight = TOP_PERFORMERS[traderName]?.weight || 0.5;
-  const currentAllocation = position.currentValue / userPortfolio.totalValue;
-  const targetAllocation = position.targetAllocation;
-  
-  let recommendation = {
-    symbol: symbol,
-    action: 'HOLD',
-    currentPrice: position.currentPrice || 0,
-    recommendedAmount: 0,
-    sharesToTrade: 0,
-    reason: '',
-    confidence: 0
-  };
-  
-  const tradeImpact = Math.min((amount / 1000000) * traderWeight, 0.15);
-  
-  if (traderAction === 'Purchase' || traderAction === 'Buy') {
-    const newTargetAllocation = Math.min(targetAllocation + tradeImpact, 0.35);
-    const targetValue = newTargetAllocation * userPortfolio.totalValue;
-    const additionalAmount = targetValue - position.currentValue;
+app.put('/api/universe/:symbol', requireAdmin, async (req, res) => {
+  const { list, note, marketCap } = req.body || {};
+  try {
+    const symbol = await requestSymbol(req.params.symbol);
+    if (!symbol) return res.status(400).json({ error: `${req.params.symbol} is not a ticker` });
+    const result = await setUniverseEntry(symbol, { list, note, marketCap });
+    if (result.error) return res.status(400).json({ error: result.error });
     
-    if (additionalAmount > 10) {
-      recommendation.action = 'BUY';
-      recommendation.recommendedAmount = additionalAmount;
-      recommendation.sharesToTrade = additionalAmount / (position.currentPrice || 100);
-      recommendation.reason = `${traderName} bought $${amount.toLocaleString()} - increasing allocation from ${(currentAllocation * 100).toFixed(1)}% to ${(newTargetAllocation * 100).toFixed(1)}%`;
-      recommendation.confidence = traderWeight * 0.9;
+    console.log(`🌐 Universe: ${symbol} → ${result.entry.list}`);
+    res.json({ message: 'Universe updated', entry: result.entry });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/universe/:symbol', requireAdmin, async (req, res) => {
+  try {
+    const symbol = await requestSymbol(req.params.symbol) || req.params.symbol.toUpperCase();
+    if (!(await removeUniverseEntry(symbol))) {
+      return res.status(404).json({ error: `${symbol} not found in universe` });
     }
+    res.json({ message: `${symbol} removed from universe` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tickers/aliases', async (req, res) => {
+  try {
+    sendList(req, res, 'aliases', await listAliases());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Canonical form of a reported ticker (class-share spelling, then aliases)
+app.get('/api/tickers/resolve/:ticker', async (req, res) => {
+  try {
+    const symbol = await resolveTicker(req.params.ticker);
+    if (!symbol) return res.status(400).json({ error: `${req.params.ticker} is not a ticker` });
+    res.json({ ticker: req.params.ticker, symbol });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/tickers/aliases/:alias', requireAdmin, async (req, res) => {
+  const { symbol, note } = req.body || {};
+  try {
+    const result = await setAlias(req.params.alias, { symbol, note });
+    if (result.error) return res.status(400).json({ error: result.error });
     
-  } else if (traderAction === 'Sale' || traderAction === 'Sell') {
-    const newTargetAllocation = Math.max(targetAllocation - tradeImpact, 0.05);
-    const targetValue = newTargetAllocation * userPortfolio.totalValue;
-    const reductionAmount = position.currentValue - targetValue;
-    
-    if (reductionAmount > 10) {
-      recommendation.action = 'SELL';
-      recommendation.recommendedAmount = reductionAmount;
-      recommendation.sharesToTrade = reductionAmount / (position.currentPrice || 100);
-      recommendation.reason = `${traderName} sold $${amount.toLocaleString()} - reducing allocation from ${(currentAllocation * 100).toFixed(1)}% to ${(newTargetAllocation * 100).toFixed(1)}%`;
-      recommendation.confidence = traderWeight * 0.8;
+    console.log(`🔤 Ticker alias: ${result.alias.alias} → ${result.alias.symbol}`);
+    res.json({ message: 'Alias saved', alias: result.alias });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tickers/aliases/:alias', requireAdmin, async (req, res) => {
+  try {
+    if (!(await removeAlias(req.params.alias))) {
+      return res.status(404).json({ error: `Alias ${req.params.alias} not found` });
     }
+    res.json({ message: `Alias ${cleanTicker(req.params.alias)} removed` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  
-  return recommendation;
-}
+});
 
-// ===== EMAIL ALERT FUNCTIONS =====
-async function sendEmail(subject, htmlBody) {
-  if (!process.env.EMAIL_USER) {
-    console.log('📧 Email not configured, skipping...');
-    return;
+app.get('/api/prices', async (req, res) => {
+  const symbols = String(req.query.symbols || '')
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'Missing required query parameter: symbols' });
   }
   
   try {
-    await emailTransporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to: process.env.EMAIL_USER,
-      subject: subject,
-      html: htmlBody
-    });
-    console.log('📧 Email sent:', subject);
+    res.json({ quotes: await getPrices(symbols) });
   } catch (error) {
-    console.error('Email failed:', error.message);
+    res.status(500).json({ error: error.message });
   }
-}
+});
+
+app.get('/api/prices/:symbol/history', async (req, res) => {
+  try {
+    const bars = await getDailyBars(req.params.symbol.toUpperCase(), { from: req.query.from, to: req.query.to });
+    res.json({ symbol: req.params.symbol.toUpperCase(), bars });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/traders', async (req, res) => {
+  try {
+    sendList(req, res, 'traders', await listTraders(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-async function sendBuyRecommendation(recommendation) {
-  const { symbol, action, currentPrice, recommendedAmount, sharesToTrade, reason, confidence } = recommendation;
+app.post('/api/traders', requireAdmin, async (req, res) => {
+  const { name, chamber } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Missing required field: name' });
+  }
   
-  const emailSubject = `🚨 ${action} ALERT: ${symbol} - $${recommendedAmount.toFixed(0)}`;
-  const emailBody = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="background: ${action === 'BUY' ? '#e8f5e8' : '#ffe8e8'}; padding: 20px; border-radius: 10px; margin: 20px 0;">
-        <h2 style="margin: 0; color: ${action === 'BUY' ? '#2e7d32' : '#d32f2f'};">
-          🚨 ${action} RECOMMENDATION
-        </h2>
-        <h3 style="margin: 10px 0;">${symbol} - ${action} $${recommendedAmount.toFixed(0)}</h3>
-      </div>
-      
-      <div style="background: #f5f5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
-        <h3>📊 Trade Details</h3>
-        <p><strong>Current Price:</strong> $${currentPrice.toFixed(2)}</p>
-        <p><strong>Shares to ${action.toLowerCase()}:</strong> ${sharesToTrade.toFixed(3)}</p>
-        <p><strong>Confidence Level:</strong> ${(confidence * 100).toFixed(0)}%</p>
-        <p><strong>Urgency:</strong> ${confidence > 0.85 ? 'HIGH - Act within 1 hour' : confidence > 0.7 ? 'MEDIUM - Act within 4 hours' : 'LOW - Act within 24 hours'}</p>
-      </div>
-      
-      <div style="background: #e3f2fd; padding: 20px; border-radius: 10px; margin: 20px 0;">
-        <h3>🧠 Analysis</h3>
-        <p>${reason}</p>
-      </div>
-      
-      <div style="background: #fff3e0; padding: 20px; border-radius: 10px; margin: 20px 0;">
-        <h3>💼 Portfolio Impact</h3>
-        <p><strong>Current ${symbol} value:</strong> $${userPortfolio.positions[symbol].currentValue.toFixed(2)}</p>
-        <p><strong>After ${action}:</strong> $${(userPortfolio.positions[symbol].currentValue + (action === 'BUY' ? recommendedAmount : -recommendedAmount)).toFixed(2)}</p>
-        <p><strong>New allocation:</strong> ${((userPortfolio.positions[symbol].currentValue + (action === 'BUY' ? recommendedAmount : -recommendedAmount)) / userPortfolio.totalValue * 100).toFixed(1)}%</p>
-      </div>
-      
-      <div style="background: #f3e5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
-        <h3>📱 Step-by-Step Instructions</h3>
-        <ol style="line-height: 1.8;">
-          <li><strong>Open your brokerage app</strong> (Robinhood, Fidelity, Schwab, etc.)</li>
-          <li><strong>Search for "${symbol}"</strong></li>
-          <li><strong>Choose order type:</strong> Market ${action === 'BUY' ? 'Buy' : 'Sell'} Order</li>
-          <li><strong>Enter amount:</strong>
-            <ul>
-              <li>Dollar amount: $${recommendedAmount.toFixed(0)}</li>
-              <li>OR Share amount: ${sharesToTrade.toFixed(3)} shares</li>
-            </ul>
-          </li>
-          <li><strong>Review and submit</strong> the order</li>
-          <li><strong>Confirm execution</strong> and update your records</li>
-        </ol>
-      </div>
-      
-      <div style="text-align: center; padding: 20px; color: #666; font-size: 12px;">
-        <p>Generated at ${new Date().toLocaleString()}</p>
-        <p>Congressional Trading Bot - Following the most successful traders in Congress</p>
-      </div>
-    </div>
-  `;
+  try {
+    const existing = await dbGet('SELECT name FROM traders WHERE name = ?', [name]);
+    if (existing) {
+      return res.status(409).json({ error: `Trader ${name} already exists` });
+    }
+    
+    await dbRun(
+      'INSERT INTO traders (name, chamber, included, manual_weight) VALUES (?, ?, ?, ?)',
+      [name, chamber || null, req.body.included === false ? 0 : 1, parseOptionalNumber(req.body.manualWeight) ?? null]
+    );
+    if (req.body.included !== false) await setFollowing(req.user.id, name, true);
+    res.status(201).json({ message: 'Trader added', name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pin a manual weight (manualWeight: null clears it) or include/exclude a member;
+// `included` decides whether new users follow the member by default
+app.put('/api/traders/:name', requireAdmin, async (req, res) => {
+  const { name } = req.params;
+  const updates = [];
+  const params = [];
   
-  await sendEmail(emailSubject, emailBody);
+  if (req.body.included !== undefined) {
+    updates.push('included = ?');
+    params.push(req.body.included ? 1 : 0);
+  }
+  if (req.body.manualWeight !== undefined) {
+    const manualWeight = req.body.manualWeight === null ? null : parseFloat(req.body.manualWeight);
+    if (manualWeight !== null && (Number.isNaN(manualWeight) || manualWeight < 0 || manualWeight > 1)) {
+      return res.status(400).json({ error: 'manualWeight must be between 0 and 1, or null to clear it' });
+    }
+    updates.push('manual_weight = ?');
+    params.push(manualWeight);
+  }
+  if (req.body.chamber !== undefined) {
+    updates.push('chamber = ?');
+    params.push(req.body.chamber);
+  }
   
-  // Save recommendation
-  db.run(
-    `INSERT INTO recommendations (symbol, action, current_price, recommended_amount, shares_to_trade, reason, confidence) 
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [symbol, action, currentPrice, recommendedAmount, sharesToTrade, reason, confidence]
-  );
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'Nothing to update: pass included, manualWeight or chamber' });
+  }
   
-  console.log(`📧 ${action} alert sent via email for ${symbol}: $${recommendedAmount.toFixed(0)}`);
-}
+  try {
+    const result = await dbRun(`UPDATE traders SET ${updates.join(', ')} WHERE name = ?`, [...params, name]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: `Trader ${name} not found` });
+    }
+    res.json({ message: 'Trader updated', trader: (await listTraders(req.user.id)).find(t => t.name === name) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// ===== MAIN PROCESSING =====
-async function processNewTrades() {
-  console.log('🔍 Processing new congressional trades...');
-  
+// Follow or unfollow a member for the caller's own recommendations
+async function setTraderFollowing(req, res, follow) {
   try {
-    const trades = await fetchCongressionalTrades();
-    
-    for (const trade of trades) {
-      const existing = await new Promise((resolve) => {
-        db.get(
-          'SELECT id FROM trades WHERE trader_name = ? AND symbol = ? AND trade_date = ? AND amount = ?',
-          [trade.Representative, trade.Ticker, trade.TransactionDate, trade.Amount],
-          (err, row) => resolve(row)
-        );
-      });
-      
-      if (existing) continue;
-      
-      db.run(
-        `INSERT INTO trades (trader_name, symbol, transaction_type, amount, trade_date, disclosure_date) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [trade.Representative, trade.Ticker, trade.Transaction, trade.Amount, trade.TransactionDate, trade.DisclosureDate]
-      );
-      
-      const traderName = trade.Representative;
-      const symbol = trade.Ticker;
-      const amount = parseFloat(trade.Amount) || 0;
-      const transactionType = trade.Transaction;
-      
-      if (TOP_PERFORMERS[traderName] && userPortfolio.positions[symbol]) {
-        console.log(`🎯 Analyzing trade: ${traderName} ${transactionType} ${symbol} $${amount.toLocaleString()}`);
-        
-        await updatePortfolioValues();
-        
-        const recommendation = calculatePositionAdjustment(symbol, transactionType, traderName, amount);
-        
-        if (recommendation.action !== 'HOLD' && recommendation.confidence > 0.6) {
-          await sendBuyRecommendation(recommendation);
-        }
-      }
+    if (!(await setFollowing(req.user.id, req.params.name, follow))) {
+      return res.status(404).json({ error: `Trader ${req.params.name} not found` });
     }
-    
+    res.json({ message: follow ? 'Trader followed' : 'Trader unfollowed', trader: (await listTraders(req.user.id)).find(t => t.name === req.params.name) });
   } catch (error) {
-    console.error('❌ Error processing trades:', error.message);
+    res.status(500).json({ error: error.message });
   }
 }
 
-// ===== API ENDPOINTS =====
-app.get('/api/test-email', async (req, res) => {
-  await sendEmail('🤖 Bot Test', '<h2>Congressional Trading Bot is working!</h2><p>Email alerts are configured correctly.</p>');
-  res.json({ message: 'Test email sent' });
+app.put('/api/traders/:name/follow', (req, res) => setTraderFollowing(req, res, true));
+app.delete('/api/traders/:name/follow', (req, res) => setTraderFollowing(req, res, false));
+
+app.post('/api/traders/score', requireAdmin, async (req, res) => {
+  try {
+    const jobRun = await runJob('score-traders', { trigger: 'api' });
+    if (jobRun.status === 'skipped') return res.status(409).json({ error: 'Trader scoring is already running', run: jobRun });
+    if (jobRun.status === 'failed') return res.status(500).json({ error: jobRun.error, run: jobRun });
+    res.json({ message: 'Trader scoring complete', ...jobRun.counts, traders: await listTraders(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get('/api/portfolio', (req, res) => {
-  res.json(userPortfolio);
+app.post('/api/backtest', async (req, res) => {
+  const { from, to, targets, initialCapital, benchmark, minConfidence, executionLagDays, traderWeights } = req.body;
+  
+  const backtestTargets = targets || currentTargets(req.portfolio);
+  const targetError = validateTargets(backtestTargets);
+  if (targetError) return res.status(400).json({ error: targetError });
+  
+  try {
+    const performers = await loadFollowedTraders(req.user.id);
+    for (const [name, weight] of Object.entries(traderWeights || {})) {
+      performers[name] = { ...performers[name], weight: parseFloat(weight) };
+    }
+    
+    const result = await runBacktestFromFiles({
+      from,
+      to,
+      targets: backtestTargets,
+      initialCapital: parseOptionalNumber(initialCapital),
+      benchmark,
+      minConfidence: parseOptionalNumber(minConfidence),
+      executionLagDays: parseOptionalNumber(executionLagDays),
+      performers,
+      pricesDir: PRICE_HISTORY_DIR,
+      transactionsFile: process.env.BACKTEST_TRANSACTIONS_FILE
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
-app.post('/api/manual-trade', async (req, res) => {
+app.post('/api/manual-trade', requireAdmin, async (req, res) => {
   const { trader, symbol, type, amount } = req.body;
   
   if (!trader || !symbol || !type || !amount) {
     return res.status(400).json({ error: 'Missing required fields: trader, symbol, type, amount' });
   }
+  // A dollar figure or a disclosure band, e.g. "$1,001 - $15,000" or "$1,000,001 +"
+  const parsed = parseAmountRange(amount);
+  if (!(parsed.estimate > 0)) {
+    return res.status(400).json({ error: 'amount must be a dollar amount or a range like "$1,001 - $15,000"' });
+  }
   
   db.run(
-    'INSERT INTO manual_trades (trader_name, symbol, transaction_type, amount, trade_date) VALUES (?, ?, ?, ?, ?)',
-    [trader, symbol, type, parseFloat(amount), new Date().toISOString().split('T')[0]],
+    'INSERT INTO manual_trades (trader_name, symbol, transaction_type, amount, amount_range, trade_date) VALUES (?, ?, ?, ?, ?, ?)',
+    [trader, symbol, type, parsed.estimate, parsed.range, new Date().toISOString().split('T')[0]],
     function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
@@ -434,125 +1852,298 @@ app.post('/api/manual-trade', async (req, res) => {
           trade: { trader, symbol, type, amount }
         });
         
-        setTimeout(processNewTrades, 1000);
+        runJob('trades:manual', { trigger: 'manual-trade' })
+          .catch(error => console.error('❌ Could not process the manual trade:', error.message));
       }
     }
   );
 });
 
-app.post('/api/trigger/trades', async (req, res) => {
-  await processNewTrades();
-  res.json({ message: 'Trade processing triggered' });
+app.post('/api/trigger/trades', requireAdmin, async (req, res) => {
+  try {
+    const jobRun = await runJob('trades', { trigger: 'api' });
+    if (jobRun.status === 'skipped') return res.status(409).json({ error: 'Trade processing is already running', run: jobRun });
+    if (jobRun.status === 'failed') return res.status(500).json({ error: jobRun.error, run: jobRun });
+    res.json({ message: 'Trade processing triggered', run: jobRun });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/trigger/update-prices', requireAdmin, async (req, res) => {
+  try {
+    const jobRun = await runJob('update-prices', { trigger: 'api' });
+    if (jobRun.status === 'skipped') return res.status(409).json({ error: 'A price update is already running', run: jobRun });
+    if (jobRun.status === 'failed') return res.status(500).json({ error: jobRun.error, run: jobRun });
+    res.json({ message: 'Portfolio prices updated', run: jobRun, portfolio: req.portfolio });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/trigger/update-prices', async (req, res) => {
-  await updatePortfolioValues();
-  res.json({ message: 'Portfolio prices updated', portfolio: userPortfolio });
+// ===== USERS & API KEYS =====
+app.get('/api/me', (req, res) => {
+  res.json({ user: req.user });
 });
 
-// Basic dashboard
-app.get('/', (req, res) => {
-  res.send(`
-    <html>
-      <head><title>Congressional Trading Bot</title></head>
-      <body style="font-family: Arial; padding: 20px; background: #f5f5f5;">
-        <h1>🤖 Congressional Trading Bot</h1>
-        <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-          <h2>📊 Portfolio Status</h2>
-          <p><strong>Total Value:</strong> $${userPortfolio.totalValue.toFixed(2)}</p>
-          <p><strong>Cash:</strong> $${userPortfolio.cash.toFixed(2)}</p>
-          <p><strong>Last Updated:</strong> ${userPortfolio.lastUpdated.toLocaleString()}</p>
-          <p><strong>Email Configured:</strong> ${process.env.EMAIL_USER ? '✅ Yes' : '❌ No'}</p>
-          <p><strong>API Key Configured:</strong> ${process.env.ALPHA_VANTAGE_API_KEY ? '✅ Yes' : '❌ No'}</p>
-        </div>
-        
-        <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-          <h2>💼 Current Positions</h2>
-          ${Object.entries(userPortfolio.positions).map(([symbol, pos]) => 
-            `<p><strong>${symbol}:</strong> ${pos.shares.toFixed(3)} shares @ $${pos.currentPrice.toFixed(2)} = $${pos.currentValue.toFixed(2)} (${(pos.targetAllocation * 100).toFixed(0)}% target)</p>`
-          ).join('')}
-        </div>
-        
-        <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-          <h2>🧪 Test Functions</h2>
-          <a href="/api/test-email" style="margin: 10px; padding: 10px; background: #28a745; color: white; text-decoration: none; border-radius: 5px;">Test Email</a>
-          <a href="/api/trigger/update-prices" style="margin: 10px; padding: 10px; background: #ffc107; color: black; text-decoration: none; border-radius: 5px;">Update Prices</a>
-        </div>
-        
-        <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-          <h2>⚡ Manual Triggers</h2>
-          <button onclick="fetch('/api/trigger/trades', {method: 'POST'}).then(() => alert('Trade check triggered!'))" style="margin: 5px; padding: 10px; background: #dc3545; color: white; border: none; border-radius: 5px;">Check Trades</button>
-        </div>
-        
-        <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-          <h2>📝 Add Manual Trade (For Testing)</h2>
-          <input type="text" id="trader" placeholder="Trader Name (e.g., Nancy Pelosi)" style="margin: 5px; padding: 8px; width: 200px;"><br>
-          <input type="text" id="symbol" placeholder="Symbol (e.g., NVDA)" style="margin: 5px; padding: 8px; width: 100px;">
-          <select id="type" style="margin: 5px; padding: 8px;">
-            <option value="Purchase">Purchase</option>
-            <option value="Sale">Sale</option>
-          </select><br>
-          <input type="number" id="amount" placeholder="Amount (e.g., 500000)" style="margin: 5px; padding: 8px; width: 150px;">
-          <button onclick="addManualTrade()" style="margin: 5px; padding: 10px; background: #17a2b8; color: white; border: none; border-radius: 5px;">Add Trade</button>
-        </div>
-        
-        <script>
-          function addManualTrade() {
-            const trader = document.getElementById('trader').value;
-            const symbol = document.getElementById('symbol').value;
-            const type = document.getElementById('type').value;
-            const amount = document.getElementById('amount').value;
-            
-            if (!trader || !symbol || !amount) {
-              alert('Please fill all fields');
-              return;
-            }
-            
-            fetch('/api/manual-trade', {
-              method: 'POST',
-              headers: {'Content-Type': 'application/json'},
-              body: JSON.stringify({trader, symbol, type, amount: parseFloat(amount)})
-            }).then(res => res.json()).then(data => {
-              alert('Trade added: ' + data.message);
-              document.getElementById('trader').value = '';
-              document.getElementById('symbol').value = '';
-              document.getElementById('amount').value = '';
-            }).catch(err => alert('Error: ' + err));
-          }
-        </script>
-      </body>
-    </html>
-  `);
-});
-
-// Scheduled jobs
-cron.schedule('0 9,11,13,15 * * 1-5', async () => {
-  console.log('⏰ Scheduled trade check...');
-  await processNewTrades();
-}, {
-  timezone: "America/New_York"
-});
-
-cron.schedule('0 9,16 * * 1-5', async () => {
-  console.log('⏰ Scheduled portfolio update...');
-  await updatePortfolioValues();
-}, {
-  timezone: "America/New_York"
+app.get('/api/me/keys', async (req, res) => {
+  try {
+    sendList(req, res, 'keys', await listApiKeys(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The plain key is only returned here; store it now
+app.post('/api/me/keys', async (req, res) => {
+  try {
+    const { key, apiKey } = await createApiKey(req.user.id, req.body.label || null);
+    res.status(201).json({ message: 'API key created', key, apiKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/me/keys/:id', async (req, res) => {
+  try {
+    if (!(await revokeApiKey(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: `API key ${req.params.id} not found` });
+    }
+    res.json({ message: 'API key revoked', id: Number(req.params.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    sendList(req, res, 'users', await listUsers());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name, role: admin|viewer }; responds with the user's first API key
+app.post('/api/users', requireAdmin, async (req, res) => {
+  const { name, role } = req.body;
+  try {
+    if (typeof name === 'string' && await dbGet('SELECT id FROM users WHERE name = ?', [name.trim()])) {
+      return res.status(409).json({ error: `User ${name.trim()} already exists` });
+    }
+    const result = await createUser({ name, role });
+    if (result.error) return res.status(400).json({ error: result.error });
+    
+    console.log(`👤 User ${result.user.name} added (${result.user.role})`);
+    res.status(201).json({ message: 'User added; the key is only shown once', ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/users/:id', requireAdmin, async (req, res) => {
+  const { name, role } = req.body;
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.id} not found` });
+    }
+    if (typeof name === 'string' && await dbGet('SELECT id FROM users WHERE name = ? AND id <> ?', [name.trim(), user.id])) {
+      return res.status(409).json({ error: `User ${name.trim()} already exists` });
+    }
+    const result = await updateUser(user.id, { name, role });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ message: 'User updated', user: result.user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Removes the user with their keys, portfolio and history
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.id} not found` });
+    }
+    const error = await deleteUser(user.id);
+    if (error) return res.status(409).json({ error });
+    
+    portfolios.delete(user.id);
+    paperAccounts.delete(user.id);
+    console.log(`👤 User ${user.name} removed`);
+    res.json({ message: `User ${user.name} removed`, id: user.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users/:id/keys', requireAdmin, async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.id} not found` });
+    }
+    const { key, apiKey } = await createApiKey(user.id, req.body.label || null);
+    res.status(201).json({ message: 'API key created', key, apiKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== JOBS & METRICS =====
+app.get('/api/jobs', async (req, res) => {
+  try {
+    sendList(req, res, 'jobs', await listJobs());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?job=&status=running|success|failed|skipped|interrupted&limit=
+app.get('/api/jobs/runs', async (req, res) => {
+  const limit = listLimit(req, 50, 500);
+  try {
+    sendList(req, res, 'runs', await listJobRuns({ job: req.query.job, status: req.query.status, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:name/runs', async (req, res) => {
+  if (!getJob(req.params.name)) {
+    return res.status(404).json({ error: `Job ${req.params.name} not found` });
+  }
+  const limit = listLimit(req, 50, 500);
+  try {
+    sendList(req, res, 'runs', await listJobRuns({ job: req.params.name, status: req.query.status, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Runs a job now and responds when it finishes; 409 if it was already running
+app.post('/api/jobs/:name/run', requireAdmin, async (req, res) => {
+  if (!getJob(req.params.name)) {
+    return res.status(404).json({ error: `Job ${req.params.name} not found` });
+  }
+  
+  try {
+    const jobRun = await runJob(req.params.name, { trigger: 'api' });
+    if (jobRun.status === 'skipped') return res.status(409).json({ error: `Job ${req.params.name} is already running`, run: jobRun });
+    if (jobRun.status === 'failed') return res.status(500).json({ error: jobRun.error, run: jobRun });
+    res.json({ message: `Job ${req.params.name} finished`, run: jobRun });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/events', (req, res) => {
+  addClient(req, res, req.user.id);
+});
+
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+
+// ===== JOBS =====
+// Everything that reads or rewrites the in-memory portfolio shares the 'portfolio' lock
+defineJob({
+  name: 'trades',
+  description: 'Fetch every enabled disclosure source and process new trades',
+  lockGroup: 'portfolio',
+  run: () => processNewTrades()
+});
+
+defineJob({
+  name: 'trades:manual',
+  description: 'Process trades added through /api/manual-trade',
+  lockGroup: 'portfolio',
+  rerunWhenBusy: true,
+  run: () => processNewTrades(['manual'])
+});
+
+for (const [schedule, sourceNames] of Object.entries(sourceSchedules())) {
+  const name = `trades:${sourceNames.join('+')}`;
+  if (!getJob(name)) {
+    defineJob({
+      name,
+      description: `Fetch ${sourceNames.join(', ')} and process new trades`,
+      lockGroup: 'portfolio',
+      run: () => processNewTrades(sourceNames)
+    });
+  }
+  scheduleJob(name, schedule, { timezone: 'America/New_York' });
+}
+
+defineJob({
+  name: 'update-prices',
+  description: 'Refresh quotes and revalue every portfolio',
+  lockGroup: 'portfolio',
+  run: updateAllPortfolioValues
+});
+scheduleJob('update-prices', '0 9,16 * * 1-5', { timezone: 'America/New_York' });
+
+defineJob({
+  name: 'brokerage-import',
+  description: 'Apply a previewed brokerage statement import to stored holdings',
+  lockGroup: 'portfolio',
+  run: params => applyBrokerageImport(params)
+});
+
+defineJob({
+  name: 'score-traders',
+  description: 'Import daily prices and rescore traders',
+  run: runTraderScoring
 });
+scheduleJob('score-traders', '0 6 * * 0', { timezone: 'America/New_York' });
+
+defineJob({
+  name: 'expire-recommendations',
+  description: 'Expire recommendations nobody confirmed in time',
+  run: async () => ({ expired: await expireStaleRecommendations() })
+});
+scheduleJob('expire-recommendations', '15 * * * *');
+
+defineJob({
+  name: 'retry-notifications',
+  description: 'Resend notification deliveries whose backoff has elapsed',
+  run: async () => ({ retried: await retryPendingDeliveries() })
+});
+scheduleJob('retry-notifications', '*/5 * * * *');
 
 // Initialize on startup
 setTimeout(async () => {
   console.log('🚀 Congressional Trading Bot starting up...');
-  console.log('💰 Portfolio value: $' + userPortfolio.totalValue.toFixed(2));
-  console.log('📊 Data sources: House Stock Watcher + Manual Entry');
-  console.log('📧 Email configured:', !!process.env.EMAIL_USER);
+  console.log(`👥 Users: ${(await listUsers()).length}`);
+  console.log('📊 Data sources: ' + enabledSources().map(source => source.label).join(' + '));
+  console.log('🔔 Notification channels: ' + ((await describeChannels()).channels.map(channel => `${channel.name} (${channel.type})`).join(', ') || 'none'));
   console.log('🔑 API key configured:', !!process.env.ALPHA_VANTAGE_API_KEY);
-  console.log('✅ Bot initialized and ready! (Email-only mode)');
+  console.log('💹 Price providers: ' + activeProviders().map(provider => provider.name).join(' → '));
+  if (paperTradingEnabled()) console.log('📝 Paper trading mode - recommendations are filled automatically');
+  if ((await loadRiskPolicy()).killSwitch) console.log('🛑 Risk kill switch is ON - no recommendations will be issued');
+  console.log('✅ Bot initialized and ready!');
 }, 3000);
 
-app.listen(PORT, () => {
-  console.log(`🚀 Congressional Trading Bot running on port ${PORT}`);
-  console.log('📧 Email-only mode - No SMS required!');
+async function startServer() {
+  notificationConfig();
+  const migrated = await ensureSchema();
+  if (migrated.length > 0) console.log(`🗄️ Database migrated to ${migrated[migrated.length - 1]}`);
+  const interrupted = await markInterruptedRuns();
+  if (interrupted > 0) console.log(`⚠️ Marked ${interrupted} unfinished job runs as interrupted`);
+  await seedTraders();
+  const adminKey = await ensureAdminKey();
+  if (adminKey) console.log(`🔑 Admin API key (shown once, store it now): ${adminKey}`);
+  
+  app.listen(PORT, () => {
+    console.log(`🚀 Congressional Trading Bot running on port ${PORT}`);
+  });
+}
+
+startServer().catch(error => {
+  console.error('❌ Failed to start:', error.message);
+  process.exit(1);
 });
 
 process.on('SIGTERM', () => {
@@ -0,0 +1,125 @@
+process.env.DATABASE_PATH = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStatement, reconcile, hasChanges } = require('../lib/brokerage');
+const { parseAmount, parseDate } = require('../lib/brokerage/normalize');
+
+const FIDELITY_POSITIONS = [
+  'Account Number,Account Name,Symbol,Description,Quantity,Last Price,Current Value',
+  'X1,Individual,NVDA,NVIDIA CORP,10,$500.00,$5000.00',
+  'X2,IRA,NVDA,NVIDIA CORP,5,$500.00,$2500.00',
+  'X1,Individual,SPAXX**,MONEY MARKET,,,$1200.50',
+  'X1,Individual,Pending Activity,,,,-$200.00',
+  'X1,Individual,912828XX9,US TREASURY NOTE,1000,$99.00,$990.00',
+  '',
+  '"Date downloaded 10/15/2026"'
+].join('\n');
+
+const SCHWAB_ACTIVITY = [
+  '"Date","Action","Symbol","Description","Quantity","Price","Fees & Comm","Amount"',
+  '"01/05/2024","Buy","NVDA","NVIDIA CORP","10","$400.00","","-$4000.00"',
+  '"01/08/2024","Sell","AAPL","APPLE INC","5","$180.00","$0.50","$899.50"',
+  '"01/09/2024","MoneyLink Transfer","","Tfr BANK","","","","$1000.00"'
+].join('\n');
+
+const ROBINHOOD_ACTIVITY = [
+  '"Activity Date","Process Date","Settle Date","Instrument","Description","Trans Code","Quantity","Price","Amount"',
+  '"1/5/2024","1/5/2024","1/8/2024","NVDA","NVIDIA","Buy","2","$480.00","($960.00)"',
+  '"1/6/2024","1/6/2024","1/8/2024","NVDA","NVIDIA","SPL","18S","",""'
+].join('\n');
+
+const OFX_POSITIONS = `OFXHEADER:100
+<OFX><INVSTMTMSGSRSV1><INVSTMTTRNRS><INVSTMTRS>
+<DTASOF>20240131120000
+<INVPOSLIST><POSSTOCK><INVPOS><SECID><UNIQUEID>67066G104<UNIQUEIDTYPE>CUSIP</SECID>
+<UNITS>12<UNITPRICE>600<MKTVAL>7200</INVPOS></POSSTOCK></INVPOSLIST>
+<INVBAL><AVAILCASH>250.75</INVBAL>
+</INVSTMTRS></INVSTMTTRNRS></INVSTMTMSGSRSV1>
+<SECLISTMSGSRSV1><SECLIST><STOCKINFO><SECINFO><SECID><UNIQUEID>67066G104<UNIQUEIDTYPE>CUSIP</SECID>
+<TICKER>NVDA<SECNAME>NVIDIA CORP</SECINFO></STOCKINFO></SECLIST></SECLISTMSGSRSV1></OFX>`;
+
+function portfolio(cash, holdings) {
+  const positions = {};
+  for (const [symbol, shares] of Object.entries(holdings)) {
+    positions[symbol] = { shares, currentPrice: 100, currentValue: shares * 100, targetAllocation: 0 };
+  }
+  return { cash, positions };
+}
+
+test('parseAmount and parseDate read brokerage spellings', () => {
+  assert.strictEqual(parseAmount('$1,234.50'), 1234.5);
+  assert.strictEqual(parseAmount('-$1,205.00'), -1205);
+  assert.strictEqual(parseAmount('($241.00)'), -241);
+  assert.strictEqual(parseAmount('--'), null);
+  assert.strictEqual(parseDate('10/15/2026 as of 10/14/2026'), '2026-10-15');
+  assert.strictEqual(parseDate('20240131120000'), '2024-01-31');
+});
+
+test('Fidelity positions combine accounts and count money market funds as cash', () => {
+  const { statement } = parseStatement(FIDELITY_POSITIONS);
+  assert.strictEqual(statement.format, 'fidelity');
+  assert.strictEqual(statement.kind, 'positions');
+  assert.deepStrictEqual(statement.positions, [{ symbol: 'NVDA', shares: 15, price: 500, value: 7500 }]);
+  assert.strictEqual(statement.cash, 1000.5);
+  assert.deepStrictEqual(statement.warnings, ['Skipped 912828XX9: not a stock or ETF ticker']);
+});
+
+test('Schwab activity maps actions and gets stable ids', () => {
+  const { statement } = parseStatement(SCHWAB_ACTIVITY);
+  assert.strictEqual(statement.format, 'schwab');
+  assert.deepStrictEqual(statement.activity.map(item => item.action), ['BUY', 'SELL', 'DEPOSIT']);
+  assert.deepStrictEqual(parseStatement(SCHWAB_ACTIVITY).statement.activity.map(item => item.id), statement.activity.map(item => item.id));
+});
+
+test('Robinhood splits keep the reported share change', () => {
+  const { statement } = parseStatement(ROBINHOOD_ACTIVITY);
+  assert.strictEqual(statement.format, 'robinhood');
+  assert.deepStrictEqual(statement.activity.map(item => [item.action, item.shares]), [['BUY', 2], ['SPLIT', 18]]);
+});
+
+test('OFX positions resolve CUSIPs through the security list', () => {
+  const { statement } = parseStatement(OFX_POSITIONS);
+  assert.strictEqual(statement.format, 'ofx');
+  assert.strictEqual(statement.asOf, '2024-01-31');
+  assert.deepStrictEqual(statement.positions, [{ symbol: 'NVDA', shares: 12, price: 600, value: 7200 }]);
+  assert.strictEqual(statement.cash, 250.75);
+});
+
+test('parseStatement reports unknown files and formats', () => {
+  assert.match(parseStatement('hello').error, /Unrecognized file/);
+  assert.match(parseStatement('hello', 'bogus').error, /format must be one of/);
+});
+
+test('a positions snapshot replaces holdings and removes ones it leaves out', () => {
+  const { statement } = parseStatement(FIDELITY_POSITIONS);
+  const diff = reconcile(statement, portfolio(500, { NVDA: 10, AAPL: 3 }));
+  assert.deepStrictEqual(diff.positions.map(position => [position.symbol, position.importedShares, position.status]), [
+    ['AAPL', 0, 'removed'],
+    ['NVDA', 15, 'changed']
+  ]);
+  assert.deepStrictEqual(diff.cash, { stored: 500, imported: 1000.5, change: 500.5 });
+  assert.ok(hasChanges(diff));
+});
+
+test('activity applies only transactions not seen before', () => {
+  const { statement } = parseStatement(SCHWAB_ACTIVITY);
+  const holdings = portfolio(100, { AAPL: 5 });
+  const diff = reconcile(statement, holdings);
+  assert.deepStrictEqual(diff.positions.map(position => [position.symbol, position.importedShares, position.status]), [
+    ['AAPL', 0, 'removed'],
+    ['NVDA', 10, 'added']
+  ]);
+  assert.strictEqual(diff.cash.imported, 100 - 4000 + 899.5 + 1000);
+
+  const again = reconcile(statement, holdings, new Set(diff.newActivityIds));
+  assert.strictEqual(again.newActivityIds.length, 0);
+  assert.strictEqual(again.cash, null);
+  assert.ok(!hasChanges(again));
+});
+
+test('activity selling more than is held stops at zero with a warning', () => {
+  const { statement } = parseStatement(SCHWAB_ACTIVITY);
+  const diff = reconcile(statement, portfolio(0, { AAPL: 2 }));
+  assert.strictEqual(diff.positions.find(position => position.symbol === 'AAPL').importedShares, 0);
+  assert.ok(diff.warnings.some(warning => warning.startsWith('AAPL would go to -3.0000 shares')));
+});
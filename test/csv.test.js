@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv } = require('../lib/csv');
+
+test('toCsv quotes fields with commas, quotes and newlines', () => {
+  const csv = toCsv([{ name: 'x, "y"', tags: ['a', 'b'], note: null }]);
+  assert.strictEqual(csv, 'name,tags,note\r\n"x, ""y""",a; b,\r\n');
+  assert.deepStrictEqual(parseCsv(csv), [{ name: 'x, "y"', tags: 'a; b', note: '' }]);
+});
+
+test('toCsv keeps text from being read as a spreadsheet formula', () => {
+  const rows = [{ a: '=HYPERLINK("http://x")', b: '+1', c: '-2', d: '@SUM(A1)', e: '\tx', f: 'ok' }];
+  assert.strictEqual(toCsv(rows).split('\r\n')[1], `"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),'\tx,ok`);
+});
+
+test('toCsv leaves negative numbers alone', () => {
+  assert.strictEqual(toCsv([{ change: -5.5 }]), 'change\r\n-5.5\r\n');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRebalancingPlan } = require('../lib/engine');
+
+const PORTFOLIO = {
+  cash: 10000,
+  totalValue: 20000,
+  positions: { AAPL: { shares: 50, currentPrice: 200, currentValue: 10000, targetAllocation: 0.5 } }
+};
+
+function signal(symbol, direction, impact, traderName = 'Jane Doe') {
+  return { symbol, traderName, direction, impact, confidence: 0.9, description: 'Test.' };
+}
+
+test('offsetting buys and sells are skipped as cancelled out', () => {
+  const plan = buildRebalancingPlan([signal('AAPL', 1, 0.1), signal('AAPL', -1, 0.1, 'John Roe')], PORTFOLIO);
+  assert.deepStrictEqual(plan.skipped, [{ symbol: 'AAPL', reason: 'Buy and sell signals cancel out' }]);
+});
+
+test('signals without a trade amount are skipped with their own reason', () => {
+  const plan = buildRebalancingPlan([signal('AAPL', 1, 0)], PORTFOLIO);
+  assert.deepStrictEqual(plan.skipped, [{ symbol: 'AAPL', reason: 'Signals have no trade amount' }]);
+});
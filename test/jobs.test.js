@@ -0,0 +1,50 @@
+process.env.DATABASE_PATH = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateUp } = require('../lib/migrations');
+const { defineJob, runJob, listJobRuns } = require('../lib/jobs');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Job and migration logs would mix into the test runner's output
+test.mock.method(console, 'log', () => {});
+test.before(() => migrateUp());
+
+function slowJob(name, options = {}) {
+  const job = { runs: 0 };
+  defineJob({ name, ...options, run: async () => { job.runs++; await wait(50); } });
+  return job;
+}
+
+test('a request while the job runs is skipped', async () => {
+  const job = slowJob('plain');
+  const first = runJob('plain');
+  await wait(10);
+  assert.strictEqual((await runJob('plain')).status, 'skipped');
+  await first;
+  await wait(100);
+  assert.strictEqual(job.runs, 1);
+});
+
+test('rerunWhenBusy jobs run again after a run that was under way', async () => {
+  const job = slowJob('queued', { rerunWhenBusy: true });
+  const first = runJob('queued');
+  await wait(10);
+  const skipped = await runJob('queued');
+  assert.strictEqual(skipped.error, 'Already running; runs again when done');
+  await first;
+  await wait(100);
+  assert.strictEqual(job.runs, 2);
+  assert.deepStrictEqual((await listJobRuns({ job: 'queued' })).map(run => run.status), ['success', 'skipped', 'success']);
+});
+
+test('rerunWhenBusy jobs still waiting for the lock are not run twice', async () => {
+  slowJob('blocker', { lockGroup: 'shared' });
+  const job = slowJob('waiting', { lockGroup: 'shared', rerunWhenBusy: true });
+  const blocker = runJob('blocker');
+  const first = runJob('waiting');
+  assert.strictEqual((await runJob('waiting')).status, 'skipped');
+  await Promise.all([blocker, first]);
+  await wait(100);
+  assert.strictEqual(job.runs, 1);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { destinationProblem, checkDestinations } = require('../lib/notifications/destinations');
+
+test('internal and non-http destinations are refused', async () => {
+  const refused = [
+    [{ type: 'webhook', url: 'http://127.0.0.1:3000/hook' }, /internal/],
+    [{ type: 'webhook', url: 'http://localhost/hook' }, /internal/],
+    [{ type: 'slack', url: 'http://169.254.169.254/latest/meta-data' }, /internal/],
+    [{ type: 'discord', url: 'https://10.1.2.3/webhook' }, /internal/],
+    [{ type: 'webhook', url: 'http://[::ffff:192.168.1.1]/' }, /internal/],
+    [{ type: 'ntfy', topic: 't', server: 'http://[::1]:8080' }, /internal/],
+    [{ type: 'smtp', host: '172.16.0.5', to: 'me@example.com' }, /internal/],
+    [{ type: 'webhook', url: 'file:///etc/passwd' }, /http or https/],
+    [{ type: 'webhook', url: 'not a url' }, /invalid URL/]
+  ];
+  for (const [options, problem] of refused) {
+    assert.match(await destinationProblem(options), problem, JSON.stringify(options));
+  }
+});
+
+test('public addresses and named mail services are allowed', async () => {
+  assert.strictEqual(await destinationProblem({ type: 'webhook', url: 'https://93.184.215.14/hook' }), null);
+  assert.strictEqual(await destinationProblem({ type: 'smtp', service: 'gmail', user: 'me@example.com' }), null);
+});
+
+test('NOTIFY_ALLOWED_HOSTS limits destinations to those hosts', async () => {
+  process.env.NOTIFY_ALLOWED_HOSTS = 'hooks.slack.com, example.com';
+  try {
+    assert.strictEqual(await destinationProblem({ type: 'slack', url: 'https://hooks.slack.com/services/x' }), null);
+    assert.strictEqual(await destinationProblem({ type: 'webhook', url: 'https://api.example.com/hook' }), null);
+    assert.match(await destinationProblem({ type: 'webhook', url: 'https://example.org/hook' }), /not allowed/);
+  } finally {
+    delete process.env.NOTIFY_ALLOWED_HOSTS;
+  }
+});
+
+test('checkDestinations names the channel it refuses', async () => {
+  await assert.rejects(
+    checkDestinations({ alerts: { type: 'webhook', url: 'http://127.0.0.1/' } }),
+    /Notification channel "alerts": host 127\.0\.0\.1 is internal/
+  );
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { transporterFor } = require('../lib/notifications/channels/smtp');
+
+const ADMIN = { type: 'smtp', host: 'smtp.example.com', port: 587, user: 'admin@example.com', pass: 'admin-secret' };
+
+test('channels reuse a transporter only with the same credentials', () => {
+  assert.strictEqual(transporterFor({ ...ADMIN }), transporterFor({ ...ADMIN }));
+  assert.notStrictEqual(transporterFor({ ...ADMIN, pass: 'guessed' }), transporterFor(ADMIN));
+  assert.notStrictEqual(transporterFor({ ...ADMIN, pass: undefined }), transporterFor(ADMIN));
+});
@@ -0,0 +1,96 @@
+process.env.DATABASE_PATH = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_POLICY, applyRiskPolicy } = require('../lib/risk');
+
+const NO_HISTORY = { dailyTurnover: 0, weeklyTurnover: 0, lastExecuted: {} };
+const OPEN_POLICY = { ...DEFAULT_POLICY, maxPositionWeight: 1, maxSectorWeight: 1, cashFloor: 0, maxDailyTurnover: 1, maxWeeklyTurnover: 1, cooldownDays: 0 };
+
+function portfolio(cash, positions = {}) {
+  const totalValue = cash + Object.values(positions).reduce((sum, position) => sum + position.currentValue, 0);
+  return { cash, totalValue, positions };
+}
+
+function order(symbol, action, recommendedAmount, extra = {}) {
+  return { symbol, action, recommendedAmount, currentPrice: 100, targetAllocation: 0, reason: 'Test.', ...extra };
+}
+
+test('the kill switch blocks every order', () => {
+  const result = applyRiskPolicy([order('NVDA', 'BUY', 100)], portfolio(1000), { ...OPEN_POLICY, killSwitch: true }, NO_HISTORY);
+  assert.strictEqual(result.approved.length, 0);
+  assert.strictEqual(result.decisions[0].rule, 'kill_switch');
+});
+
+test('symbols traded within the cooldown are blocked', () => {
+  const history = { ...NO_HISTORY, lastExecuted: { NVDA: '2024-01-05 10:00:00' } };
+  const result = applyRiskPolicy([order('NVDA', 'BUY', 100), order('AAPL', 'BUY', 100)], portfolio(1000), { ...OPEN_POLICY, cooldownDays: 3 }, history);
+  assert.deepStrictEqual(result.approved.map(o => o.symbol), ['AAPL']);
+  assert.strictEqual(result.decisions[0].rule, 'cooldown');
+});
+
+test('buys are resized to the position cap and get the matching target', () => {
+  const result = applyRiskPolicy([order('NVDA', 'BUY', 500)], portfolio(1000), { ...OPEN_POLICY, maxPositionWeight: 0.2 }, NO_HISTORY);
+  const [resized] = result.approved;
+  assert.strictEqual(resized.recommendedAmount, 200);
+  assert.strictEqual(resized.sharesToTrade, 2);
+  assert.strictEqual(resized.targetAllocation, 0.2);
+  assert.strictEqual(result.decisions[0].rule, 'max_position');
+  assert.strictEqual(result.decisions[0].outcome, 'resized');
+});
+
+test('resized sells keep the rest of the position as their target', () => {
+  const holdings = portfolio(0, { NVDA: { shares: 10, currentValue: 1000 } });
+  const result = applyRiskPolicy([order('NVDA', 'CLOSE', 1000)], holdings, { ...OPEN_POLICY, maxDailyTurnover: 0.4 }, NO_HISTORY);
+  assert.strictEqual(result.approved[0].recommendedAmount, 400);
+  assert.strictEqual(result.approved[0].targetAllocation, 0.6);
+});
+
+test('the cash floor and turnover are shared across orders', () => {
+  const policy = { ...OPEN_POLICY, cashFloor: 0.1 };
+  const result = applyRiskPolicy([order('NVDA', 'BUY', 500), order('AAPL', 'BUY', 500)], portfolio(1000), policy, NO_HISTORY);
+  assert.deepStrictEqual(result.approved.map(o => o.recommendedAmount), [500, 400]);
+  assert.strictEqual(result.decisions[0].rule, 'cash_floor');
+});
+
+test('orders resized below the minimum are blocked under the rule that shrank them', () => {
+  const history = { ...NO_HISTORY, dailyTurnover: 990 };
+  const result = applyRiskPolicy([order('NVDA', 'BUY', 100)], portfolio(1000), OPEN_POLICY, history);
+  assert.strictEqual(result.blocked.length, 1);
+  assert.strictEqual(result.decisions[0].rule, 'daily_turnover');
+  assert.strictEqual(result.decisions[0].outcome, 'blocked');
+});
+
+test('trims are blocked when the opens they fund are', () => {
+  const holdings = portfolio(0, { AAPL: { shares: 10, currentValue: 1000 } });
+  const orders = [order('AAPL', 'SELL', 300, { funds: ['NVDA'], targetAllocation: 0.7 }), order('NVDA', 'OPEN', 300)];
+  const policy = { ...OPEN_POLICY, sectors: { NVDA: 'Tech' }, maxSectorWeight: 0 };
+  const result = applyRiskPolicy(orders, holdings, policy, NO_HISTORY);
+  assert.strictEqual(result.approved.length, 0);
+  assert.deepStrictEqual(result.decisions.map(d => d.rule), ['max_sector', 'unfunded_open']);
+});
+
+test('buys are checked again without the cash of a dropped trim', () => {
+  const holdings = portfolio(0, { AAPL: { shares: 10, currentValue: 1000 } });
+  const orders = [
+    order('AAPL', 'SELL', 300, { funds: ['NVDA'], targetAllocation: 0.7 }),
+    order('NVDA', 'OPEN', 300),
+    order('MSFT', 'BUY', 200)
+  ];
+  const policy = { ...OPEN_POLICY, sectors: { NVDA: 'Tech' }, maxSectorWeight: 0 };
+  const result = applyRiskPolicy(orders, holdings, policy, NO_HISTORY);
+  assert.strictEqual(result.approved.length, 0);
+  assert.deepStrictEqual(result.decisions.map(d => [d.symbol, d.rule]), [['NVDA', 'max_sector'], ['MSFT', 'cash_floor'], ['AAPL', 'unfunded_open']]);
+});
+
+test('turnover a dropped trim used is given back to later orders', () => {
+  const holdings = portfolio(500, { AAPL: { shares: 10, currentValue: 500 } });
+  const orders = [
+    order('AAPL', 'SELL', 200, { funds: ['NVDA'], targetAllocation: 0.3 }),
+    order('NVDA', 'OPEN', 200),
+    order('MSFT', 'BUY', 250)
+  ];
+  const policy = { ...OPEN_POLICY, maxDailyTurnover: 0.3, sectors: { NVDA: 'Tech' }, maxSectorWeight: 0 };
+  const result = applyRiskPolicy(orders, holdings, policy, NO_HISTORY);
+  assert.deepStrictEqual(result.approved.map(o => [o.symbol, o.recommendedAmount]), [['MSFT', 250]]);
+  assert.strictEqual(result.approved[0].reason, 'Test.');
+});
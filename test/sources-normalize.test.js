@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  cleanTraderName, cleanTicker, tickerFromDescription, classifyAsset, normalizeTransactionType, amountFields, dedupKey
+} = require('../lib/sources/normalize');
+
+test('cleanTraderName drops titles, middle initials and suffixes', () => {
+  assert.strictEqual(cleanTraderName('Hon. Nancy Pelosi'), 'Nancy Pelosi');
+  assert.strictEqual(cleanTraderName('Ron L Wyden'), 'Ron Wyden');
+  assert.strictEqual(cleanTraderName('Sen. John  Smith Jr.'), 'John Smith');
+  assert.strictEqual(cleanTraderName(null), '');
+});
+
+test('cleanTicker gives one spelling for class shares and drops prefixes', () => {
+  for (const ticker of ['BRK-B', 'brk/b', 'BRK B', 'brk.b']) {
+    assert.strictEqual(cleanTicker(ticker), 'BRK.B');
+  }
+  assert.strictEqual(cleanTicker('NASDAQ: nvda'), 'NVDA');
+  assert.strictEqual(cleanTicker('$AAPL'), 'AAPL');
+  assert.strictEqual(cleanTicker('<a href="#">MSFT</a>'), 'MSFT');
+});
+
+test('cleanTicker rejects placeholders and non-tickers', () => {
+  for (const ticker of ['--', 'N/A', 'none', '', undefined, 'Tesla Inc', '12345']) {
+    assert.strictEqual(cleanTicker(ticker), '');
+  }
+});
+
+test('tickerFromDescription finds a ticker in parentheses', () => {
+  assert.strictEqual(tickerFromDescription('NVIDIA Corporation (NVDA) - Common Stock'), 'NVDA');
+  assert.strictEqual(tickerFromDescription('US Treasury Note'), '');
+});
+
+test('classifyAsset reads options out of descriptions filed as stock', () => {
+  const asset = classifyAsset('Stock', 'NVIDIA Call options, strike price $450, expires 12/15/23');
+  assert.strictEqual(asset.AssetType, 'option');
+  assert.deepStrictEqual(asset.Option, { type: 'call', strike: 450, expiration: '2023-12-15', exercise: false });
+
+  assert.deepStrictEqual(classifyAsset(null, 'SPDR S&P 500 ETF Trust'), { AssetType: 'etf', Option: null });
+  assert.strictEqual(classifyAsset(null, 'Apple Inc').AssetType, 'stock');
+});
+
+test('normalizeTransactionType maps source spellings', () => {
+  assert.strictEqual(normalizeTransactionType('sale_partial'), 'Sale');
+  assert.strictEqual(normalizeTransactionType('Sale (Full)'), 'Sale');
+  assert.strictEqual(normalizeTransactionType('buy'), 'Purchase');
+  assert.strictEqual(normalizeTransactionType('Exchange'), 'Exchange');
+});
+
+test('amountFields parses the range, owner and partial sales', () => {
+  assert.deepStrictEqual(amountFields('$1,001 - $15,000', 'sale_partial', 'Spouse'), {
+    Amount: 8000.5,
+    AmountLow: 1001,
+    AmountHigh: 15000,
+    AmountRange: '$1,001 - $15,000',
+    Owner: 'spouse',
+    PartialSale: true
+  });
+});
+
+test('dedupKey matches the same disclosure from different feeds', () => {
+  const trade = { Representative: 'Hon. Nancy Pelosi', Ticker: 'brk-b', TransactionDate: '2024-01-05', Transaction: 'Purchase', AmountLow: 1001 };
+  const other = { ...trade, Representative: 'Nancy Pelosi', Ticker: 'BRK.B', Transaction: 'purchase' };
+  assert.strictEqual(dedupKey(trade), dedupKey(other));
+  assert.notStrictEqual(dedupKey(trade), dedupKey({ ...trade, TransactionDate: '2024-01-06' }));
+});
@@ -0,0 +1,92 @@
+process.env.DATABASE_PATH = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateUp } = require('../lib/migrations');
+const {
+  longTermDate, openLots, addLot, selectLots, estimateSale, recordSale, syncLots, realizedGains
+} = require('../lib/tax-lots');
+
+const USER = 1;
+
+test.before(() => migrateUp());
+
+test('lots turn long-term the day after their first anniversary', () => {
+  assert.strictEqual(longTermDate('2023-01-15'), '2024-01-16');
+  assert.strictEqual(longTermDate('2024-02-29'), '2025-03-02');
+});
+
+test('fifo sells the oldest lots and hifo the most expensive', async () => {
+  await addLot(USER, { symbol: 'AAA', shares: 10, price: 50, acquiredAt: '2023-01-10', source: 'fill' });
+  await addLot(USER, { symbol: 'AAA', shares: 10, price: 80, acquiredAt: '2023-06-10', source: 'fill' });
+
+  const fifo = await selectLots(USER, 'AAA', 15, { method: 'fifo' });
+  assert.deepStrictEqual(fifo.picks.map(pick => [pick.lot.cost_per_share, pick.shares]), [[50, 10], [80, 5]]);
+
+  const hifo = await selectLots(USER, 'AAA', 15, { method: 'hifo' });
+  assert.deepStrictEqual(hifo.picks.map(pick => [pick.lot.cost_per_share, pick.shares]), [[80, 10], [50, 5]]);
+
+  const oversold = await selectLots(USER, 'AAA', 25, { method: 'fifo' });
+  assert.strictEqual(oversold.unmatchedShares, 5);
+});
+
+test('specific lots must be open and add up to the sale', async () => {
+  const [first] = await openLots(USER, 'AAA');
+  const picked = await selectLots(USER, 'AAA', 4, { lots: [{ id: first.id, shares: 4 }] });
+  assert.strictEqual(picked.method, 'specific');
+  assert.strictEqual(picked.picks[0].lot.id, first.id);
+
+  assert.match((await selectLots(USER, 'AAA', 5, { lots: [{ id: first.id, shares: 4 }] })).error, /hold 4 shares but 5/);
+  assert.match((await selectLots(USER, 'AAA', 4, { lots: [{ id: 9999, shares: 4 }] })).error, /not an open AAA lot/);
+  assert.match((await selectLots(USER, 'AAA', 4, { method: 'lifo' })).error, /lotMethod must be one of/);
+});
+
+test('estimateSale splits gains by term and suggests waiting for long-term', async () => {
+  process.env.TAX_DEFERRAL_DAYS = '30';
+  try {
+    await addLot(USER, { symbol: 'BBB', shares: 10, price: 100, fees: 10, acquiredAt: '2023-01-20', source: 'fill' });
+    await addLot(USER, { symbol: 'BBB', shares: 10, price: 100, acquiredAt: '2023-12-01', source: 'fill' });
+
+    const estimate = await estimateSale(USER, 'BBB', 20, 120, { method: 'fifo', asOf: '2024-01-10' });
+    assert.strictEqual(estimate.shortTermGain, 10 * (120 - 101) + 10 * 20);
+    assert.strictEqual(estimate.longTermGain, 0);
+    assert.deepStrictEqual(estimate.lots.map(lot => lot.daysToLongTerm), [11, 327]);
+    assert.deepStrictEqual(estimate.deferral, { days: 11, until: '2024-01-21', lotIds: [estimate.lots[0].id], gain: 190 });
+
+    const later = await estimateSale(USER, 'BBB', 10, 120, { method: 'fifo', asOf: '2024-02-01' });
+    assert.strictEqual(later.longTermGain, 190);
+    assert.strictEqual(later.deferral, null);
+  } finally {
+    delete process.env.TAX_DEFERRAL_DAYS;
+  }
+});
+
+test('losses within 30 days of another buy are flagged as wash sales', async () => {
+  await addLot(USER, { symbol: 'CCC', shares: 10, price: 100, acquiredAt: '2024-01-02', source: 'fill' });
+  const rebuy = await addLot(USER, { symbol: 'CCC', shares: 5, price: 70, acquiredAt: '2024-02-01', source: 'fill' });
+
+  const estimate = await estimateSale(USER, 'CCC', 10, 80, { method: 'fifo', asOf: '2024-02-10' });
+  assert.strictEqual(estimate.shortTermGain, -200);
+  assert.strictEqual(estimate.washSale.lotId, rebuy);
+
+  const selection = await selectLots(USER, 'CCC', 10, { method: 'fifo' });
+  const realized = await recordSale(USER, 'CCC', selection, { price: 80, soldAt: '2024-02-10' });
+  assert.deepStrictEqual(realized, { shortTermGain: -200, longTermGain: 0 });
+
+  const report = await realizedGains(USER, { symbol: 'ccc', year: 2024 });
+  assert.strictEqual(report.sales.length, 1);
+  assert.strictEqual(report.washSaleLosses, 200);
+  assert.deepStrictEqual((await openLots(USER, 'CCC')).map(lot => lot.remaining_shares), [5]);
+});
+
+test('syncLots opens an adjustment lot or trims the newest lots', async () => {
+  await addLot(USER, { symbol: 'DDD', shares: 4, price: 10, acquiredAt: '2023-03-01', source: 'fill' });
+  await addLot(USER, { symbol: 'DDD', shares: 4, price: 12, acquiredAt: '2023-04-01', source: 'fill' });
+
+  await syncLots(USER, 'DDD', 10, 15);
+  let lots = await openLots(USER, 'DDD');
+  assert.deepStrictEqual(lots.map(lot => [lot.source, lot.remaining_shares]), [['fill', 4], ['fill', 4], ['adjustment', 2]]);
+
+  await syncLots(USER, 'DDD', 3, 15);
+  lots = await openLots(USER, 'DDD');
+  assert.deepStrictEqual(lots.map(lot => [lot.cost_per_share, lot.remaining_shares]), [[10, 3]]);
+});